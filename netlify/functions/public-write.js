@@ -0,0 +1,313 @@
+// Netlify function that writes to the Dexie Cloud public realm on behalf of
+// a signed-in user. The client credentials never leave the server: the
+// browser only sends its own Dexie Cloud access token, which we validate
+// before requesting a short-lived GLOBAL_WRITE token.
+
+import { randomUUID } from 'node:crypto'
+import { getNoteWords } from '../../src/lib/search.js'
+
+const PUBLIC_REALM_ID = 'rlm-public'
+
+// Tables the browser is allowed to write to the public realm, and the roles
+// the caller must hold in the public realm to do so
+const TABLE_ROLES = {
+  notes: ['publisher', 'admin'],
+  members: ['admin'],
+  roles: ['admin']
+}
+
+const ROLE_NAMES = ['admin', 'publisher', 'editor', 'viewer']
+
+// Card content a client may set. The key, realm, owner, trash state and the
+// search index are always set here.
+const NOTE_FIELDS = ['title', 'details', 'tags', 'priority', 'status', 'checklist', 'dueDate', 'remindAt', 'createdAt']
+
+// Fields an update may change; `null` removes one. `position` is the board
+// sort key.
+const NOTE_UPDATE_FIELDS = [...NOTE_FIELDS.filter(key => key !== 'createdAt'), 'position']
+
+// Changes to existing public cards, and the roles each needs (the same as
+// roleHelpers.canEditNote / canDeleteNote in the app)
+const NOTE_OP_ROLES = {
+  update: ['publisher', 'admin', 'editor'],
+  trash: ['publisher', 'admin'],
+  restore: ['publisher', 'admin']
+}
+
+function json(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  })
+}
+
+// Read the payload of a JWT without verifying it. Only used after Dexie Cloud
+// itself has accepted the token, so the claims can be trusted.
+function decodeTokenClaims(token) {
+  try {
+    const payload = token.split('.')[1]
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch (error) {
+    return null
+  }
+}
+
+// Validate the caller's session by making an authenticated request with it
+async function verifyUserToken(databaseUrl, userToken) {
+  const response = await fetch(`${databaseUrl}/my/realms`, {
+    headers: { 'Authorization': `Bearer ${userToken}` }
+  })
+  if (!response.ok) return null
+
+  const claims = decodeTokenClaims(userToken)
+  return claims?.sub ? claims : null
+}
+
+// True if the caller is listed in PUBLIC_REALM_ADMINS, which bootstraps the
+// first admins before any membership has been granted
+function isBootstrapAdmin(claims) {
+  const admins = (process.env.PUBLIC_REALM_ADMINS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean)
+  return [claims.sub, claims.email]
+    .filter(Boolean)
+    .some(id => admins.includes(id.toLowerCase()))
+}
+
+// The caller's rows in the public realm's members table
+async function getPublicMembers(databaseUrl, token, claims) {
+  const identities = [claims.sub, claims.email]
+    .filter(Boolean)
+    .map(id => id.toLowerCase())
+
+  const response = await fetch(`${databaseUrl}/all/members?realmId=${PUBLIC_REALM_ID}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  })
+  if (!response.ok) {
+    const error = await response.text()
+    throw new Error(`Members request failed: ${response.status} - ${error}`)
+  }
+
+  const members = await response.json()
+  return members.filter(m => identities.includes((m.userId || '').toLowerCase()) ||
+    identities.includes((m.email || '').toLowerCase()))
+}
+
+// Roles the caller holds in the public realm
+function getPublicRoles(members, claims) {
+  const roles = new Set()
+  members.forEach(m => (m.roles || []).forEach(r => roles.add(r)))
+  if (isBootstrapAdmin(claims)) roles.add('admin')
+  return roles
+}
+
+// Shape the record for the target table. Ownership and realm always come
+// from the server, never from the client. New notes get their key here too:
+// the endpoint upserts by id, and a client supplied one would let a
+// publisher overwrite somebody else's card.
+function buildRecord(table, data, claims) {
+  if (table === 'notes') {
+    const content = Object.fromEntries(NOTE_FIELDS.filter(key => key in data).map(key => [key, data[key]]))
+    return {
+      ...content,
+      id: `not${randomUUID().replace(/-/g, '')}`,
+      type: 'note',
+      realmId: PUBLIC_REALM_ID,
+      owner: claims.sub,
+      createdAt: Number.isFinite(content.createdAt) ? content.createdAt : Date.now(),
+      words: getNoteWords(content)
+    }
+  }
+  if (table === 'members') {
+    const roles = (data.roles || []).filter(r => ROLE_NAMES.includes(r))
+    return { ...data, realmId: PUBLIC_REALM_ID, email: (data.email || '').toLowerCase(), roles }
+  }
+  if (table === 'roles' && ROLE_NAMES.includes(data.name)) {
+    return { ...data, realmId: PUBLIC_REALM_ID }
+  }
+  return null
+}
+
+// An existing public card with `op` applied
+function applyNoteOp(op, note, data, claims) {
+  const next = { ...note }
+  if (op === 'update') {
+    for (const key of NOTE_UPDATE_FIELDS) {
+      if (!(key in data)) continue
+      if (data[key] === null) delete next[key]
+      else next[key] = data[key]
+    }
+    next.updatedAt = Date.now()
+    next.words = getNoteWords(next)
+  } else if (op === 'trash') {
+    next.deletedAt = Date.now()
+    next.deletedBy = claims.sub
+  } else if (op === 'restore') {
+    delete next.deletedAt
+    delete next.deletedBy
+  }
+  return next
+}
+
+async function getPublicNote(databaseUrl, token, id) {
+  const response = await fetch(`${databaseUrl}/all/notes/${encodeURIComponent(id)}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  })
+  if (response.status === 404) return null
+  if (!response.ok) {
+    const error = await response.text()
+    throw new Error(`Note request failed: ${response.status} - ${error}`)
+  }
+  const note = await response.json()
+  return note?.realmId === PUBLIC_REALM_ID ? note : null
+}
+
+// Upsert one record into a public realm table and return its id
+async function writePublicRecord(databaseUrl, token, table, record) {
+  const response = await fetch(`${databaseUrl}/public/${table}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify([record])
+  })
+
+  if (!response.ok) {
+    const error = await response.text()
+    throw new Error(`REST API error: ${response.status} - ${error}`)
+  }
+
+  const result = await response.json()
+  return result[0]?.id || result.id
+}
+
+// GET: the caller's public realm roles. Bootstrap admins from
+// PUBLIC_REALM_ADMINS get a members row the first time they ask, so the
+// browser sees them as admins once it has synced.
+async function describeCaller(databaseUrl, token, claims) {
+  const members = await getPublicMembers(databaseUrl, token, claims)
+  const roles = getPublicRoles(members, claims)
+  let seeded = false
+
+  if (isBootstrapAdmin(claims) && !members.some(m => (m.roles || []).includes('admin'))) {
+    const existing = members[0] || { email: (claims.email || claims.sub).toLowerCase(), userId: claims.sub }
+    await writePublicRecord(databaseUrl, token, 'members', buildRecord('members', {
+      ...existing,
+      roles: Array.from(roles)
+    }, claims))
+    seeded = true
+  }
+
+  return json(200, { roles: Array.from(roles), seeded })
+}
+
+// Get a token with the minimum scopes needed for a public realm write
+async function getGlobalWriteToken(databaseUrl, clientId, clientSecret) {
+  const response = await fetch(`${databaseUrl}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret,
+      scopes: ['ACCESS_DB', 'GLOBAL_READ', 'GLOBAL_WRITE']
+    })
+  })
+
+  if (!response.ok) {
+    const error = await response.text()
+    throw new Error(`Token request failed: ${response.status} - ${error}`)
+  }
+
+  const tokenData = await response.json()
+  return tokenData.accessToken || tokenData.access_token
+}
+
+export default async function handler(req) {
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return json(405, { error: 'Method not allowed' })
+  }
+
+  const databaseUrl = process.env.DEXIE_CLOUD_URL || 'https://zgbud0irs.dexie.cloud'
+  const clientId = process.env.DEXIE_CLIENT_ID
+  const clientSecret = process.env.DEXIE_CLIENT_SECRET
+
+  if (!clientId || !clientSecret) {
+    console.error('DEXIE_CLIENT_ID and DEXIE_CLIENT_SECRET environment variables must be set')
+    return json(500, { error: 'Public realm writes are not configured' })
+  }
+
+  const authHeader = req.headers.get('authorization') || ''
+  const userToken = authHeader.replace(/^Bearer\s+/i, '')
+  if (!userToken) {
+    return json(401, { error: 'Missing access token' })
+  }
+
+  let table, data, op, id
+  if (req.method === 'POST') {
+    let body
+    try {
+      body = await req.json()
+    } catch (error) {
+      return json(400, { error: 'Invalid JSON body' })
+    }
+
+    ({ table, data, op = 'create', id } = body || {})
+    if (!TABLE_ROLES[table]) {
+      return json(400, { error: `Table not allowed: ${table}` })
+    }
+    if (op !== 'create' && (table !== 'notes' || !NOTE_OP_ROLES[op])) {
+      return json(400, { error: `Operation not allowed: ${op}` })
+    }
+    if (op !== 'create' && typeof id !== 'string') {
+      return json(400, { error: 'Expected the card id in "id"' })
+    }
+    if (op === 'trash' || op === 'restore') data = {}
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return json(400, { error: 'Expected a single object in "data"' })
+    }
+  }
+
+  try {
+    const claims = await verifyUserToken(databaseUrl, userToken)
+    if (!claims) {
+      return json(401, { error: 'Invalid or expired session' })
+    }
+
+    const token = await getGlobalWriteToken(databaseUrl, clientId, clientSecret)
+
+    if (req.method === 'GET') {
+      return await describeCaller(databaseUrl, token, claims)
+    }
+
+    const members = await getPublicMembers(databaseUrl, token, claims)
+    const roles = getPublicRoles(members, claims)
+    const required = op === 'create' ? TABLE_ROLES[table] : NOTE_OP_ROLES[op]
+    if (!required.some(r => roles.has(r))) {
+      const action = op === 'create' ? `Writing ${table}` : `${op[0].toUpperCase()}${op.slice(1)} of cards`
+      return json(403, { error: `${action} requires one of: ${required.join(', ')}` })
+    }
+
+    let record
+    if (op === 'create') {
+      record = buildRecord(table, data, claims)
+    } else {
+      const note = await getPublicNote(databaseUrl, token, id)
+      if (!note) {
+        return json(404, { error: `No public card with id ${id}` })
+      }
+      record = applyNoteOp(op, note, data, claims)
+    }
+    if (!record) {
+      return json(400, { error: `Invalid ${table} record` })
+    }
+
+    const savedId = await writePublicRecord(databaseUrl, token, table, record)
+    return json(200, { id: savedId })
+  } catch (error) {
+    console.error('Public realm write failed:', error)
+    return json(502, { error: error.message })
+  }
+}
@@ -0,0 +1,131 @@
+// Minimal local stand-in for the Dexie Cloud REST endpoints used by
+// netlify/functions/public-write.js. Run it, then start `netlify dev` with
+// DEXIE_CLOUD_URL=http://localhost:4000 to exercise public realm writes
+// without touching the real database.
+//
+//   POST /token           -> issues a fake GLOBAL_WRITE token
+//   GET  /my/realms       -> accepts any user token signed "mock"
+//   POST /public/:table   -> stores objects in memory and returns their ids
+//   GET  /public/:table   -> lists stored objects
+//   GET  /all/:table      -> lists stored objects, filtered by query params
+//   GET  /all/:table/:id  -> one stored object
+
+import http from 'node:http'
+import crypto from 'node:crypto'
+
+const PORT = Number(process.env.MOCK_DEXIE_PORT) || 4000
+const CLIENT_ID = process.env.DEXIE_CLIENT_ID || 'mock-client'
+const CLIENT_SECRET = process.env.DEXIE_CLIENT_SECRET || 'mock-secret'
+const SERVER_TOKEN = 'mock-global-write-token'
+
+const tables = {}
+
+// Build an unsigned user token for a given email, e.g. for curl testing
+function mockUserToken(email) {
+  const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url')
+  return `${encode({ alg: 'none' })}.${encode({ sub: email, email })}.mock`
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = ''
+    req.on('data', (chunk) => { raw += chunk })
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null)
+      } catch (error) {
+        reject(error)
+      }
+    })
+  })
+}
+
+function bearer(req) {
+  return (req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`)
+  console.log(req.method, url.pathname)
+
+  try {
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const body = await readBody(req)
+      if (body?.client_id !== CLIENT_ID || body?.client_secret !== CLIENT_SECRET) {
+        return send(res, 401, { error: 'Invalid client credentials' })
+      }
+      return send(res, 200, { accessToken: SERVER_TOKEN, scopes: body.scopes })
+    }
+
+    if (req.method === 'GET' && url.pathname === '/my/realms') {
+      if (!bearer(req).endsWith('.mock')) {
+        return send(res, 401, { error: 'Invalid user token' })
+      }
+      return send(res, 200, [])
+    }
+
+    const oneMatch = url.pathname.match(/^\/all\/([^/]+)\/([^/]+)$/)
+    if (req.method === 'GET' && oneMatch) {
+      if (bearer(req) !== SERVER_TOKEN) {
+        return send(res, 403, { error: 'GLOBAL_READ token required' })
+      }
+      const id = decodeURIComponent(oneMatch[2])
+      const row = (tables[oneMatch[1]] || []).find(row => row.id === id)
+      return row ? send(res, 200, row) : send(res, 404, { error: 'Not found' })
+    }
+
+    const allMatch = url.pathname.match(/^\/all\/([^/]+)$/)
+    if (req.method === 'GET' && allMatch) {
+      if (bearer(req) !== SERVER_TOKEN) {
+        return send(res, 403, { error: 'GLOBAL_READ token required' })
+      }
+      const filters = Array.from(url.searchParams.entries())
+      const rows = (tables[allMatch[1]] || [])
+        .filter(row => filters.every(([key, value]) => String(row[key]) === value))
+      return send(res, 200, rows)
+    }
+
+    const match = url.pathname.match(/^\/public\/([^/]+)$/)
+    if (match) {
+      const table = match[1]
+      tables[table] = tables[table] || []
+
+      if (req.method === 'GET') {
+        return send(res, 200, tables[table])
+      }
+
+      if (req.method === 'POST') {
+        if (bearer(req) !== SERVER_TOKEN) {
+          return send(res, 403, { error: 'GLOBAL_WRITE token required' })
+        }
+        const objects = await readBody(req)
+        const stored = (objects || []).map(obj => ({
+          ...obj,
+          id: obj.id || `mock${crypto.randomUUID()}`,
+          realmId: 'rlm-public'
+        }))
+        // Upsert by id, like the real endpoint
+        for (const obj of stored) {
+          const index = tables[table].findIndex(row => row.id === obj.id)
+          if (index >= 0) tables[table][index] = obj
+          else tables[table].push(obj)
+        }
+        return send(res, 200, stored.map(obj => ({ id: obj.id })))
+      }
+    }
+
+    send(res, 404, { error: 'Not found' })
+  } catch (error) {
+    send(res, 400, { error: error.message })
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock Dexie Cloud listening on http://localhost:${PORT}`)
+  console.log(`Sample user token: ${mockUserToken('someone@example.com')}`)
+})
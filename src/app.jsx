@@ -1,42 +1,148 @@
-import React, { useMemo, useState, useEffect } from "react"
+import React, { useMemo, useState, useEffect, useCallback } from "react"
 import { useLiveQuery } from 'dexie-react-hooks'
-import { db, noteHelpers, syncHelpers } from './database.js'
+import { db, PUBLIC_REALM_ID, noteHelpers, syncHelpers, roleHelpers, realmHelpers, attachmentHelpers, templateHelpers, commentHelpers, reminderHelpers } from './database.js'
+import { validateFiles } from './lib/files.js'
+import { parseQuery, getHighlightTerms, getSnippet } from './lib/search.js'
+import { DEFAULT_VIEW, applyFilters, sortNotes, groupNotes } from './lib/views.js'
+import { BOARD_STATUSES, DEFAULT_STATUS } from './lib/board.js'
+import { normalizeTag } from './lib/tags.js'
+import { indexByTitle, linkKey, getBacklinks } from './lib/links.js'
+import { applyTemplate, expandNote } from './lib/templates.js'
+import { toDateTimeInput, fromDateTimeInput } from './lib/due.js'
+import { getNotificationPermission, requestNotificationPermission } from './lib/notifications.js'
 import { AuthPanel } from './components/AuthPanel.jsx'
+import { RolesPanel } from './components/RolesPanel.jsx'
+import { TeamsPanel } from './components/TeamsPanel.jsx'
+import { AttachmentList, UploadStatus } from './components/AttachmentList.jsx'
+import { MarkdownEditor, MarkdownView } from './components/MarkdownEditor.jsx'
+import { ConflictBanner } from './components/ConflictBanner.jsx'
+import { HistoryPanel } from './components/HistoryPanel.jsx'
+import { TrashPanel } from './components/TrashPanel.jsx'
+import { UndoToast } from './components/UndoToast.jsx'
+import { Highlight } from './components/Highlight.jsx'
+import { ViewBar } from './components/ViewBar.jsx'
+import { BoardView } from './components/BoardView.jsx'
+import { CalendarView } from './components/CalendarView.jsx'
+import { TimelineView } from './components/TimelineView.jsx'
+import { GraphView } from './components/GraphView.jsx'
+import { TagManager } from './components/TagManager.jsx'
+import { TagBadge } from './components/TagBadge.jsx'
+import { BulkActionBar } from './components/BulkActionBar.jsx'
+import { TransferPanel } from './components/TransferPanel.jsx'
+import { ChecklistEditor, ChecklistProgress } from './components/ChecklistEditor.jsx'
+import { TemplatesPanel } from './components/TemplatesPanel.jsx'
+import { CommentsPanel } from './components/CommentsPanel.jsx'
+import { ActivityFeed } from './components/ActivityFeed.jsx'
+import { NotificationCenter } from './components/NotificationCenter.jsx'
+import { MigrationPanel } from './components/MigrationPanel.jsx'
+import { DueBadge } from './components/DueBadge.jsx'
+import { useNoteDraft } from './hooks/useNoteDraft.js'
+import { useTagColors } from './hooks/useTagColors.js'
+import { useReminders } from './hooks/useReminders.js'
+import { usePendingNoteIds } from './hooks/useSyncStatus.js'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Input } from '@/components/ui/input'
 import { Textarea } from '@/components/ui/textarea'
 import { Badge } from '@/components/ui/badge'
+import { Accordion, AccordionItem, AccordionTrigger, AccordionContent } from '@/components/ui/accordion'
+
+// Blank "create new card" form. `templateId` is set while the form holds a
+// template, whose {{variables}} are filled in on save.
+const EMPTY_NOTE = {
+  title: "",
+  details: "",
+  tags: [],
+  priority: "medium",
+  checklist: [],
+  files: [],
+  realmId: "",
+  templateId: null
+}
 
 export default function App() {
   // Live queries for real-time updates
   const notesRaw = useLiveQuery(() => noteHelpers.getAllNotes()) || []
+  const realms = useLiveQuery(() => realmHelpers.getMyRealms()) || []
+  const writableRealms = useLiveQuery(() => realmHelpers.getWritableRealms()) || []
+  const templates = useLiveQuery(() => templateHelpers.getTemplates()) || []
+  const unreadComments = useLiveQuery(() => commentHelpers.getUnreadCounts()) || {}
+  const pendingIds = usePendingNoteIds()
+  const trashCount = useLiveQuery(() => db.notes.where('deletedAt').above(0).count()) || 0
+  const tagColors = useTagColors()
 
   // New note form state
-  const [newNote, setNewNote] = useState({
-    title: "",
-    details: "",
-    tags: [],
-    priority: "medium",
-    _files: {}
-  })
+  const [newNote, setNewNote] = useState(EMPTY_NOTE)
 
   // UI state (ephemeral)
   const [selectedId, setSelectedId] = useState("")
-  const [search, setSearch] = useState("")
+  const [view, setView] = useState(DEFAULT_VIEW)
+  const [activeViewId, setActiveViewId] = useState("")
   const [tagInput, setTagInput] = useState("")
   const [dragActive, setDragActive] = useState(false)
+  const [fileProgress, setFileProgress] = useState({})
+  const [rejectedFiles, setRejectedFiles] = useState([])
+  const [saveError, setSaveError] = useState("")
+  const [showTrash, setShowTrash] = useState(false)
+  const [showTags, setShowTags] = useState(false)
+  const [showActivity, setShowActivity] = useState(false)
+  const [showTransfer, setShowTransfer] = useState(false)
+  const [showTemplates, setShowTemplates] = useState(false)
+  const [templateName, setTemplateName] = useState(null)
+  const [templateError, setTemplateError] = useState("")
+  const [undo, setUndo] = useState(null)
+  const [undoError, setUndoError] = useState("")
+  const [checkedIds, setCheckedIds] = useState([])
+  const [lastCheckedId, setLastCheckedId] = useState(null)
+
+  // Clear out trash past its retention period once per session
+  useEffect(() => {
+    noteHelpers.purgeExpiredOnce()
+  }, [])
+
+  // Open the card from a reminder link (?note=id) once
+  useEffect(() => {
+    const noteId = new URLSearchParams(window.location.search).get("note")
+    if (noteId) setSelectedId(noteId)
+  }, [])
+
+  useReminders(notesRaw, setSelectedId)
+
+  const dismissUndo = useCallback(() => setUndo(null), [])
+  const dismissUndoError = useCallback(() => setUndoError(""), [])
+
+  function handleDeleted(note) {
+    setSelectedId("")
+    setUndoError("")
+    setUndo({
+      message: `🗑️ "${note.title || "Untitled Card"}" moved to trash`,
+      action: () => noteHelpers.restoreNote(note.id)
+    })
+  }
 
   // Derived data
+  const query = view.search.trim()
+  const searchResults = useLiveQuery(
+    () => query ? noteHelpers.searchNotes(query) : null,
+    [query]
+  )
+  const highlightTerms = useMemo(() => getHighlightTerms(parseQuery(query)), [query])
+
   const notes = useMemo(() => {
-    const term = search.trim().toLowerCase()
-    if (!term) return notesRaw
-    return notesRaw.filter(n =>
-      (n.title || "").toLowerCase().includes(term) ||
-      (n.details || "").toLowerCase().includes(term) ||
-      (Array.isArray(n.tags) ? n.tags.join(" ").toLowerCase() : "").includes(term)
-    )
-  }, [notesRaw, search])
+    const source = query ? (searchResults || []) : notesRaw
+    const filtered = applyFilters(source, view.filters, { isPersonalRealm: roleHelpers.isPersonalRealm })
+    return sortNotes(filtered, view.sort, view.direction)
+  }, [notesRaw, searchResults, query, view])
+
+  const groups = useMemo(() => groupNotes(notes, view.group), [notes, view.group])
+
+  // [[Card title]] links resolve against every card the user can see
+  const titleIndex = useMemo(() => indexByTitle(notesRaw), [notesRaw])
+  const resolveLink = useCallback((title) => titleIndex.get(linkKey(title))?.id, [titleIndex])
+
+  const owners = useMemo(() => {
+    return Array.from(new Set(notesRaw.map(n => n.owner).filter(Boolean))).sort()
+  }, [notesRaw])
 
   const allTags = useMemo(() => {
     const s = new Set()
@@ -66,9 +172,10 @@ export default function App() {
     setDragActive(false)
     const files = e.dataTransfer?.files
     if (!files || !files.length) return
-    const bucket = { ...(newNote._files || {}) }
-    for (const f of files) bucket[f.name] = f
-    updateNewNote({ _files: bucket })
+    const current = newNote.files || []
+    const plan = validateFiles(files, current)
+    updateNewNote({ files: [...current, ...plan.filter(p => !p.error).map(p => p.file)] })
+    setRejectedFiles(prev => [...prev, ...plan.filter(p => p.error)])
   }
 
   function preventDefaults(e) {
@@ -78,7 +185,7 @@ export default function App() {
 
   // Add a tag to the new note
   function addTag(tag) {
-    const t = (tag || tagInput).trim()
+    const t = normalizeTag(tag || tagInput)
     if (!t) return
     const next = Array.from(new Set([...(newNote.tags || []), t]))
     updateNewNote({ tags: next })
@@ -90,26 +197,175 @@ export default function App() {
     updateNewNote({ tags: (newNote.tags || []).filter(x => x !== t) })
   }
 
+  // Fill the form from a template, keeping the chosen realm and files
+  function pickTemplate(id) {
+    const template = templates.find(t => t.id === id)
+    if (!template) return
+    updateNewNote({ ...applyTemplate(template), templateId: template.id })
+  }
+
+  async function saveAsTemplate(e) {
+    e.preventDefault()
+    setTemplateError("")
+    try {
+      await templateHelpers.saveTemplate(templateName, newNote)
+      setTemplateName(null)
+    } catch (error) {
+      setTemplateError(error.message)
+    }
+  }
+
   // Save new note
   async function saveNewNote() {
     if (!newNote.title.trim()) return
+    const user = syncHelpers.isAuthenticated() ? db.cloud.currentUserId : "anonymous"
+    const note = newNote.templateId ? expandNote(newNote, { now: new Date(), user }) : newNote
+    setSaveError("")
     try {
-      await noteHelpers.addNote(newNote)
-      // Reset form
-      setNewNote({
-        title: "",
-        details: "",
-        tags: [],
-        priority: "medium",
-        _files: {}
+      await noteHelpers.addNote(note, {
+        onFileProgress: (index, update) => {
+          setFileProgress(prev => ({ ...prev, [index]: update }))
+        }
       })
+      // Reset form
+      setNewNote(EMPTY_NOTE)
       setTagInput("")
+      setFileProgress({})
+      setRejectedFiles([])
     } catch (error) {
       console.error('Error saving note:', error)
+      setSaveError(error.message)
     }
   }
 
 
+  // Only cards in the current view count as selected
+  const checkedNotes = useMemo(
+    () => notes.filter(n => checkedIds.includes(n.id)),
+    [notes, checkedIds]
+  )
+  const allChecked = notes.length > 0 && checkedNotes.length === notes.length
+
+  // Toggle a card's checkbox; with shift, select the range from the last one
+  function toggleChecked(id, shiftKey) {
+    const from = notes.findIndex(n => n.id === lastCheckedId)
+    const to = notes.findIndex(n => n.id === id)
+    if (shiftKey && from !== -1 && to !== -1) {
+      const range = notes.slice(Math.min(from, to), Math.max(from, to) + 1).map(n => n.id)
+      setCheckedIds(prev => Array.from(new Set([...prev, ...range])))
+    } else {
+      setCheckedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
+    }
+    setLastCheckedId(id)
+  }
+
+  function toggleAllChecked() {
+    setCheckedIds(allChecked ? [] : notes.map(n => n.id))
+  }
+
+  function handleBulkDone(message, action) {
+    setUndoError("")
+    setUndo({ message, action })
+  }
+
+  function renderCard(n, index) {
+    const priorityEmoji = {
+      low: "🟢",
+      medium: "🟡", 
+      high: "🔴"
+    }[n.priority] || "🟡"
+    
+    const rotationClass = [
+      "transform rotate-1 hover:rotate-0",
+      "transform -rotate-1 hover:rotate-0", 
+      "transform rotate-2 hover:rotate-0",
+      "transform -rotate-2 hover:rotate-0"
+    ][index % 4]
+    
+    const checked = checkedIds.includes(n.id)
+
+    return (
+      <Card
+        key={n.id}
+        className={`${rotationClass} transition-all duration-200 cursor-pointer hover:scale-105 hover:shadow-lg ${checked ? "ring-4 ring-primary" : ""}`}
+        onClick={(e) => e.shiftKey || e.metaKey || e.ctrlKey
+          ? toggleChecked(n.id, e.shiftKey)
+          : setSelectedId(n.id)}
+      >
+        <CardHeader className="pb-3">
+          <div className="flex items-center justify-between">
+            <input
+              type="checkbox"
+              checked={checked}
+              onClick={(e) => {
+                e.stopPropagation()
+                toggleChecked(n.id, e.shiftKey)
+              }}
+              onChange={() => {}}
+              className="h-5 w-5 accent-black cursor-pointer"
+              aria-label={`Select ${n.title || "Untitled Card"}`}
+            />
+            <div className="w-12 h-12 bg-primary text-primary-foreground rounded-base flex items-center justify-center font-black text-xl shadow-shadow">
+              {(n.title || "?")[0].toUpperCase()}
+            </div>
+            <Badge variant="secondary" className="font-black">
+              {priorityEmoji} {(n.priority || "medium").toUpperCase()}
+            </Badge>
+          </div>
+          <CardTitle className="text-lg font-black line-clamp-2">
+            {query ? <Highlight text={n.title || "Untitled Card"} terms={highlightTerms} /> : (n.title || "Untitled Card")}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="pt-0">
+          <div className="flex flex-wrap gap-1 mb-2">
+            <Badge variant="neutral" className="text-xs font-bold">
+              🏷️ {realmHelpers.getRealmName(n.realmId, realms)}
+            </Badge>
+            <DueBadge note={n} />
+            {unreadComments[n.id] > 0 && (
+              <Badge className="text-xs font-black bg-accent text-accent-foreground" title="Unread comments">
+                💬 {unreadComments[n.id]} NEW
+              </Badge>
+            )}
+            {pendingIds.has(n.id) && (
+              <Badge className="text-xs font-black bg-muted" title="Changes waiting to upload">
+                ⏫ PENDING UPLOAD
+              </Badge>
+            )}
+          </div>
+          {n.details && query ? (
+            <p className="text-sm mb-3 opacity-80 font-medium line-clamp-4">
+              <Highlight text={getSnippet(n.details, highlightTerms)} terms={highlightTerms} />
+            </p>
+          ) : n.details ? (
+            <MarkdownView
+              source={n.details}
+              resolveLink={resolveLink}
+              onOpenNote={setSelectedId}
+              className="markdown-compact text-sm max-h-24 overflow-hidden mb-3 opacity-80 font-medium"
+            />
+          ) : (
+            <p className="text-sm mb-3 opacity-80 font-medium">No details provided...</p>
+          )}
+          <ChecklistProgress checklist={n.checklist} className="mb-3" />
+          
+          {(n.tags || []).length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {(n.tags || []).slice(0, 3).map(t => (
+                <TagBadge key={t} tag={t} colors={tagColors} className="text-xs" />
+              ))}
+              {(n.tags || []).length > 3 && (
+                <Badge variant="secondary" className="text-xs font-bold">
+                  +{(n.tags || []).length - 3} more
+                </Badge>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-background text-foreground">
       {/* Neobrutalism geometric background elements */}
@@ -120,9 +376,12 @@ export default function App() {
 
       <header className="max-w-7xl mx-auto px-6 pt-8 pb-6">
         <div className="bg-primary text-primary-foreground rounded-base p-6 shadow-shadow border-4 border-border transform -rotate-1 hover:rotate-0 transition-transform duration-200">
-          <h1 className="text-4xl md:text-6xl font-black tracking-tight">
-            PLAYFUL DATA LAB
-          </h1>
+          <div className="flex items-start justify-between gap-4">
+            <h1 className="text-4xl md:text-6xl font-black tracking-tight">
+              PLAYFUL DATA LAB
+            </h1>
+            <NotificationCenter notes={notesRaw} onOpen={setSelectedId} />
+          </div>
           <p className="mt-4 text-lg font-bold opacity-90">
             🚀 Create • Share • Sync • Collaborate
           </p>
@@ -138,6 +397,15 @@ export default function App() {
         {/* Authentication and Sync Status */}
         <AuthPanel />
 
+        {/* Cards made before signing in */}
+        <MigrationPanel writableRealms={writableRealms} />
+
+        {/* Team realms and invitations */}
+        <TeamsPanel />
+
+        {/* Role management for realm admins */}
+        <RolesPanel />
+
         {/* Create note */}
         <Card className="transform rotate-1 hover:rotate-0 transition-transform duration-200">
           <CardHeader className="bg-secondary text-secondary-foreground">
@@ -146,6 +414,26 @@ export default function App() {
             </CardTitle>
           </CardHeader>
           <CardContent className="p-6 space-y-6">
+            <div className="flex flex-wrap gap-2">
+              <select
+                value={newNote.templateId || ""}
+                onChange={(e) => pickTemplate(e.target.value)}
+                className="flex-1 min-w-48 rounded-base border-4 border-border bg-card px-4 py-2 text-sm font-bold shadow-shadow focus:ring-4 focus:ring-ring"
+              >
+                <option value="" disabled>📝 START FROM A TEMPLATE...</option>
+                {templates.map(t => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+              <Button
+                onClick={() => setShowTemplates(!showTemplates)}
+                variant={showTemplates ? "default" : "outline"}
+                className="font-black h-auto py-2"
+              >
+                ⚙️ TEMPLATES
+              </Button>
+            </div>
+
             <div className="space-y-2">
               <label className="text-sm font-black uppercase tracking-wide">Title</label>
               <Input
@@ -161,7 +449,7 @@ export default function App() {
               <Textarea
                 value={newNote.details}
                 onChange={(e) => updateNewNote({ details: e.target.value })}
-                placeholder="Tell me more about it..."
+                placeholder="Tell me more about it... (Markdown supported)"
                 rows={4}
                 className="text-base"
               />
@@ -200,8 +488,7 @@ export default function App() {
               
               <div className="flex flex-wrap gap-2 mt-3">
                 {(newNote.tags || []).map(t => (
-                  <Badge key={t} variant="outline" className="font-bold">
-                    #{t}
+                  <TagBadge key={t} tag={t} colors={tagColors}>
                     <Button
                       onClick={() => removeTag(t)}
                       variant="ghost"
@@ -210,11 +497,19 @@ export default function App() {
                     >
                       ×
                     </Button>
-                  </Badge>
+                  </TagBadge>
                 ))}
               </div>
             </div>
 
+            <div className="space-y-2">
+              <label className="text-sm font-black uppercase tracking-wide">Checklist</label>
+              <ChecklistEditor
+                items={newNote.checklist}
+                onChange={(checklist) => updateNewNote({ checklist })}
+              />
+            </div>
+
             <div className="space-y-2">
               <label className="text-sm font-black uppercase tracking-wide">Priority</label>
               <select
@@ -228,6 +523,22 @@ export default function App() {
               </select>
             </div>
 
+            {writableRealms.length > 0 && (
+              <div className="space-y-2">
+                <label className="text-sm font-black uppercase tracking-wide">Realm</label>
+                <select
+                  value={newNote.realmId}
+                  onChange={(e) => updateNewNote({ realmId: e.target.value })}
+                  className="w-full rounded-base border-4 border-border bg-card px-4 py-3 text-base font-bold shadow-shadow focus:ring-4 focus:ring-ring"
+                >
+                  <option value="">🔒 PERSONAL</option>
+                  {writableRealms.map(r => (
+                    <option key={r.realmId} value={r.realmId}>🏷️ {(r.name || r.realmId).toUpperCase()}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
               <div className="space-y-2">
               <label className="text-sm font-black uppercase tracking-wide">File Attachments</label>
               <div
@@ -240,15 +551,31 @@ export default function App() {
                 onDrop={handleDropNew}
               >
                 <p className="font-bold text-lg">📎 DRAG FILES HERE</p>
-                <p className="text-sm font-semibold opacity-70">Images, docs, anything!</p>
+                <p className="text-sm font-semibold opacity-70">
+                  {newNote.realmId === PUBLIC_REALM_ID ? "Public cards can't have attachments" : "Images, docs, anything!"}
+                </p>
               </div>
               
-              {newNote._files && Object.keys(newNote._files).length > 0 && (
-                <div className="flex flex-wrap gap-2 mt-3">
-                  {Object.keys(newNote._files).map(name => (
-                    <Badge key={name} variant="secondary" className="font-bold">
-                      📎 {name}
-                    </Badge>
+              {((newNote.files || []).length > 0 || rejectedFiles.length > 0) && (
+                <div className="space-y-2 mt-3">
+                  {(newNote.files || []).map((file, i) => (
+                    <UploadStatus
+                      key={`${file.name}-${i}`}
+                      name={file.name}
+                      size={file.size}
+                      {...fileProgress[i]}
+                      onDismiss={fileProgress[i] ? undefined : () => updateNewNote({ files: newNote.files.filter((_, j) => j !== i) })}
+                    />
+                  ))}
+                  {rejectedFiles.map((entry, i) => (
+                    <UploadStatus
+                      key={`rejected-${entry.name}-${i}`}
+                      name={entry.name}
+                      size={entry.file?.size}
+                      status="error"
+                      error={entry.error}
+                      onDismiss={() => setRejectedFiles(prev => prev.filter((_, j) => j !== i))}
+                    />
                   ))}
                 </div>
               )}
@@ -264,14 +591,11 @@ export default function App() {
               </Button>
               <Button
                 onClick={() => {
-                  setNewNote({
-                    title: "",
-                    details: "",
-                    tags: [],
-                    priority: "medium",
-                    _files: {}
-                  })
+                  setNewNote(EMPTY_NOTE)
                   setTagInput("")
+                  setFileProgress({})
+                  setRejectedFiles([])
+                  setSaveError("")
                 }}
                 variant="outline"
                 size="lg"
@@ -279,10 +603,44 @@ export default function App() {
               >
                 🗑️ RESET
               </Button>
+              <Button
+                onClick={() => setTemplateName(templateName === null ? "" : null)}
+                variant="outline"
+                size="lg"
+                className="font-black transform hover:scale-105 transition-transform"
+              >
+                📝 SAVE AS TEMPLATE
+              </Button>
             </div>
+
+            {saveError && (
+              <div className="bg-destructive/20 border-4 border-destructive rounded-base p-3">
+                <p className="font-bold text-sm">⚠️ Could not save card: {saveError}</p>
+              </div>
+            )}
+
+            {templateName !== null && (
+              <form onSubmit={saveAsTemplate} className="flex flex-col sm:flex-row gap-2 bg-accent/20 border-4 border-accent rounded-base p-3">
+                <Input
+                  value={templateName}
+                  onChange={(e) => setTemplateName(e.target.value)}
+                  placeholder="Template name..."
+                  className="flex-1 font-semibold"
+                  autoFocus
+                />
+                <Button type="submit" disabled={!templateName.trim()} className="font-black">
+                  💾 SAVE TEMPLATE
+                </Button>
+              </form>
+            )}
+            {templateError && (
+              <p className="font-bold text-sm text-destructive">⚠️ {templateError}</p>
+            )}
           </CardContent>
         </Card>
 
+        {showTemplates && <TemplatesPanel realms={realms} writableRealms={writableRealms} />}
+
         {/* Search section */}
         <Card className="transform -rotate-1 hover:rotate-0 transition-transform duration-200">
           <CardHeader className="bg-accent text-accent-foreground">
@@ -290,95 +648,167 @@ export default function App() {
               🔍 YOUR CARDS COLLECTION
             </CardTitle>
           </CardHeader>
-          <CardContent className="p-6">
+          <CardContent className="p-6 space-y-4">
             <div className="flex flex-col sm:flex-row gap-4">
               <div className="flex-1">
                 <Input
-                  value={search}
-                  onChange={(e) => setSearch(e.target.value)}
-                  placeholder="🔎 Search titles, details, or #tags..."
+                  value={view.search}
+                  onChange={(e) => setView({ ...view, search: e.target.value })}
+                  placeholder='🔎 Search... try #tag priority:high after:2024-01-01 "exact phrase" -word'
+                  title='Words match by prefix. Filters: #tag, priority:low|medium|high, owner:name, before:/after:YYYY-MM-DD, "phrase", -negate'
                   className="text-lg font-semibold"
                 />
               </div>
+              <select
+                value={view.filters.realm}
+                onChange={(e) => setView({ ...view, filters: { ...view.filters, realm: e.target.value } })}
+                className="rounded-base border-4 border-border bg-card px-4 py-2 text-base font-bold shadow-shadow focus:ring-4 focus:ring-ring"
+              >
+                <option value="all">🌍 ALL REALMS</option>
+                <option value="personal">🔒 PERSONAL</option>
+                {realms.map(r => (
+                  <option key={r.realmId} value={r.realmId}>🏷️ {(r.name || r.realmId).toUpperCase()}</option>
+                ))}
+              </select>
               <div className="text-sm font-bold bg-muted rounded-base px-4 py-3 border-2 border-border">
                 📊 {notes.length} CARDS FOUND
               </div>
+              <Button
+                onClick={toggleAllChecked}
+                variant={allChecked ? "default" : "outline"}
+                className="font-black h-auto py-3"
+              >
+                {allChecked ? "☐ SELECT NONE" : "☑️ SELECT ALL"}
+              </Button>
+              <Button
+                onClick={() => setShowTrash(!showTrash)}
+                variant={showTrash ? "default" : "outline"}
+                className="font-black h-auto py-3"
+              >
+                🗑️ TRASH ({trashCount})
+              </Button>
+              <Button
+                onClick={() => setShowTags(!showTags)}
+                variant={showTags ? "default" : "outline"}
+                className="font-black h-auto py-3"
+              >
+                🏷️ TAGS ({allTags.length})
+              </Button>
+              <Button
+                onClick={() => setShowActivity(!showActivity)}
+                variant={showActivity ? "default" : "outline"}
+                className="font-black h-auto py-3"
+              >
+                📰 ACTIVITY
+              </Button>
+              <Button
+                onClick={() => setShowTransfer(!showTransfer)}
+                variant={showTransfer ? "default" : "outline"}
+                className="font-black h-auto py-3"
+              >
+                📦 IMPORT / EXPORT
+              </Button>
             </div>
+            <ViewBar
+              view={view}
+              onChange={setView}
+              activeViewId={activeViewId}
+              onActiveViewChange={setActiveViewId}
+              allTags={allTags}
+              tagColors={tagColors}
+              owners={owners}
+              currentUserId={db.cloud.currentUserId}
+            />
           </CardContent>
         </Card>
 
-        {/* Cards grid */}
-        <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {notes.map((n, index) => {
-            const priorityEmoji = {
-              low: "🟢",
-              medium: "🟡", 
-              high: "🔴"
-            }[n.priority] || "🟡"
-            
-            const rotationClass = [
-              "transform rotate-1 hover:rotate-0",
-              "transform -rotate-1 hover:rotate-0", 
-              "transform rotate-2 hover:rotate-0",
-              "transform -rotate-2 hover:rotate-0"
-            ][index % 4]
-            
-            return (
-              <Card
-                key={n.id}
-                className={`${rotationClass} transition-all duration-200 cursor-pointer hover:scale-105 hover:shadow-lg`}
-                onClick={() => setSelectedId(n.id)}
-              >
-                <CardHeader className="pb-3">
-                  <div className="flex items-center justify-between">
-                    <div className="w-12 h-12 bg-primary text-primary-foreground rounded-base flex items-center justify-center font-black text-xl shadow-shadow">
-                      {(n.title || "?")[0].toUpperCase()}
-                    </div>
-                    <Badge variant="secondary" className="font-black">
-                      {priorityEmoji} {(n.priority || "medium").toUpperCase()}
-                    </Badge>
+        {checkedNotes.length > 0 && (
+          <BulkActionBar
+            notes={checkedNotes}
+            writableRealms={writableRealms}
+            onClear={() => setCheckedIds([])}
+            onDone={handleBulkDone}
+          />
+        )}
+
+        {/* Board, calendar, timeline, graph, or cards grid optionally grouped into collapsible sections */}
+        {view.layout === "board" ? (
+          <BoardView notes={notes} field={view.boardBy} onOpen={setSelectedId} />
+        ) : view.layout === "calendar" ? (
+          <CalendarView notes={notes} onOpen={setSelectedId} />
+        ) : view.layout === "timeline" ? (
+          <TimelineView notes={notes} onOpen={setSelectedId} />
+        ) : view.layout === "graph" ? (
+          <GraphView notes={notes} onOpen={setSelectedId} />
+        ) : view.group === "none" ? (
+          <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+            {notes.map(renderCard)}
+          </div>
+        ) : (
+          <Accordion
+            key={view.group}
+            type="multiple"
+            defaultValue={groups.map(g => g.key)}
+            className="space-y-4"
+          >
+            {groups.map(group => (
+              <AccordionItem key={group.key} value={group.key} className="border-4 bg-card">
+                <AccordionTrigger className="text-lg font-black bg-secondary text-secondary-foreground hover:no-underline">
+                  <span className="flex items-center gap-2">
+                    {group.label}
+                    <Badge variant="neutral" className="font-black">{group.notes.length}</Badge>
+                  </span>
+                </AccordionTrigger>
+                <AccordionContent className="p-6">
+                  <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                    {group.notes.map(renderCard)}
                   </div>
-                  <CardTitle className="text-lg font-black line-clamp-2">
-                    {n.title || "Untitled Card"}
-                  </CardTitle>
-                </CardHeader>
-                <CardContent className="pt-0">
-                  <p className="text-sm line-clamp-3 mb-3 opacity-80 font-medium">
-                    {n.details || "No details provided..."}
-                  </p>
-                  
-                  {(n.tags || []).length > 0 && (
-                    <div className="flex flex-wrap gap-1">
-                      {(n.tags || []).slice(0, 3).map(t => (
-                        <Badge key={t} variant="outline" className="text-xs font-bold">
-                          #{t}
-                        </Badge>
-                      ))}
-                      {(n.tags || []).length > 3 && (
-                        <Badge variant="secondary" className="text-xs font-bold">
-                          +{(n.tags || []).length - 3} more
-                        </Badge>
-                      )}
-                    </div>
-                  )}
-                </CardContent>
-              </Card>
-            )
-          })}
-          
-          {notes.length === 0 && (
-            <div className="col-span-full">
-              <Card className="bg-muted transform rotate-1">
-                <CardContent className="p-12 text-center">
+                </AccordionContent>
+              </AccordionItem>
+            ))}
+          </Accordion>
+        )}
+
+        {notes.length === 0 && (
+          <Card className="bg-muted transform rotate-1">
+            <CardContent className="p-12 text-center">
+              {notesRaw.length === 0 ? (
+                <>
                   <p className="text-2xl font-black mb-4">🎯 NO CARDS YET!</p>
                   <p className="text-lg font-bold opacity-70">
                     Create your first card above to get started!
                   </p>
-                </CardContent>
-              </Card>
-            </div>
-          )}
-        </div>
+                </>
+              ) : (
+                <>
+                  <p className="text-2xl font-black mb-4">🕵️ NO MATCHING CARDS</p>
+                  <p className="text-lg font-bold opacity-70">
+                    Try a different search or loosen the filters.
+                  </p>
+                </>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Trash bin */}
+        {showTrash && <TrashPanel />}
+
+        {/* Tag manager */}
+        {showTags && <TagManager notes={notesRaw} colors={tagColors} />}
+
+        {/* Activity feed */}
+        {showActivity && <ActivityFeed notes={notesRaw} onOpen={setSelectedId} />}
+
+        {/* Import / export */}
+        {showTransfer && (
+          <TransferPanel
+            allNotes={notesRaw}
+            viewNotes={notes}
+            selectedNotes={checkedNotes}
+            writableRealms={writableRealms}
+          />
+        )}
 
         {/* Detail editor */}
         <Card className="transform rotate-1 hover:rotate-0 transition-transform duration-200">
@@ -389,7 +819,14 @@ export default function App() {
           </CardHeader>
           <CardContent className="p-6">
             {selectedId ? (
-              <DetailEditor noteId={selectedId} onClose={() => setSelectedId("")} />
+              <DetailEditor
+                noteId={selectedId}
+                allNotes={notesRaw}
+                resolveLink={resolveLink}
+                onOpenNote={setSelectedId}
+                onClose={() => setSelectedId("")}
+                onDeleted={handleDeleted}
+              />
             ) : (
               <div className="text-center py-12">
                 <p className="text-2xl font-black mb-4">👆 SELECT A CARD TO EDIT</p>
@@ -400,30 +837,85 @@ export default function App() {
         </Card>
 
       </main>
+
+      {undo && (
+        <UndoToast
+          message={undo.message}
+          onUndo={undo.action}
+          onError={(error) => setUndoError(`⚠️ Undo failed: ${error.message}`)}
+          onDismiss={dismissUndo}
+        />
+      )}
+      {undoError && <UndoToast message={undoError} onDismiss={dismissUndoError} />}
     </div>
   )
 }
 
 
-function DetailEditor({ noteId, onClose }) {
-  const [doc, setDoc] = useState(null)
-  const [loading, setLoading] = useState(true)
+const saveStateLabel = {
+  pending: '✏️ UNSAVED CHANGES',
+  saving: '💾 SAVING...',
+  saved: '✅ ALL CHANGES SAVED',
+  error: '⚠️ SAVE FAILED'
+}
+
+function DetailEditor({ noteId, allNotes, resolveLink, onOpenNote, onClose, onDeleted }) {
+  const {
+    doc,
+    loading,
+    updateDoc,
+    conflicts,
+    resolveConflict,
+    resolveAll,
+    saveState,
+    error: saveError,
+    flush,
+    discard
+  } = useNoteDraft(noteId)
   const [dropActive, setDropActive] = useState(false)
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission)
+  const [access, setAccess] = useState({ canEdit: true, canDelete: true })
+  const [uploads, setUploads] = useState([])
+  const [showHistory, setShowHistory] = useState(false)
+  const attachments = useLiveQuery(() => attachmentHelpers.getAttachments(noteId), [noteId])
+  const remindAt = doc?.remindAt
+  const reminderSentAt = useLiveQuery(
+    () => remindAt ? reminderHelpers.getSentAt({ id: noteId, remindAt }) : null,
+    [noteId, remindAt]
+  )
+  const [actionError, setActionError] = useState('')
+  const error = actionError || saveError
+  const realmId = doc?.realmId
+  const hasDoc = !!doc
+  const linkTargets = useMemo(() => allNotes.filter(n => n.id !== noteId), [allNotes, noteId])
+  // Realm members, offered for checklist assignees and @mentions
+  const members = useLiveQuery(() => realmId ? roleHelpers.getMembers(realmId) : [], [realmId]) || []
+  const people = useMemo(() => {
+    const emails = new Set(members.map(m => m.email).filter(Boolean))
+    if (syncHelpers.isAuthenticated()) emails.add(db.cloud.currentUserId)
+    return [...emails].sort()
+  }, [members])
+  // Backlinks follow the saved title, so they don't flicker while it is edited
+  const backlinks = useMemo(() => {
+    const stored = allNotes.find(n => n.id === noteId)
+    return stored ? getBacklinks(allNotes, stored) : []
+  }, [allNotes, noteId])
 
-  // Load the note
+  // Permissions follow the note's realm
   useEffect(() => {
-    async function loadNote() {
-      try {
-        const note = await noteHelpers.getNote(noteId)
-        setDoc(note)
-      } catch (error) {
-        console.error('Error loading note:', error)
-      } finally {
-        setLoading(false)
+    if (!hasDoc) return
+    let cancelled = false
+    async function loadAccess() {
+      const note = { realmId }
+      const next = {
+        canEdit: await roleHelpers.canEditNote(note),
+        canDelete: await roleHelpers.canDeleteNote(note)
       }
+      if (!cancelled) setAccess(next)
     }
-    loadNote()
-  }, [noteId])
+    loadAccess()
+    return () => { cancelled = true }
+  }, [noteId, realmId, hasDoc])
 
   function preventDefaults(e) {
     e.preventDefault()
@@ -435,21 +927,32 @@ function DetailEditor({ noteId, onClose }) {
     setDropActive(false)
     const files = e.dataTransfer?.files
     if (!files || !files.length) return
-    const bucket = { ...(doc._files || {}) }
-    for (const f of files) bucket[f.name] = f
-    const updatedDoc = { ...doc, _files: bucket }
-    setDoc(updatedDoc)
-    await noteHelpers.updateNote(noteId, { _files: bucket })
+    if (!access.canEdit) return
+    const dropped = Array.from(files)
+    setUploads(dropped.map(f => ({ name: f.name, size: f.size, status: 'queued', progress: 0 })))
+    try {
+      await attachmentHelpers.addFiles(noteId, dropped, (index, update) => {
+        setUploads(prev => prev.map((u, i) => i === index ? { ...u, ...update } : u))
+      })
+      // Keep failures visible, drop the ones that made it
+      setUploads(prev => prev.filter(u => u.status === 'error'))
+    } catch (error) {
+      setActionError(error.message)
+    }
   }
 
-  async function updateDoc(updates) {
-    const updatedDoc = { ...doc, ...updates }
-    setDoc(updatedDoc)
-    await noteHelpers.updateNote(noteId, updates)
+  async function deleteNote() {
+    try {
+      discard()
+      await noteHelpers.deleteNote(noteId)
+      onDeleted({ id: noteId, title: doc.title })
+    } catch (error) {
+      setActionError(error.message)
+    }
   }
 
-  async function deleteNote() {
-    await noteHelpers.deleteNote(noteId)
+  async function close() {
+    await flush()
     onClose()
   }
 
@@ -471,6 +974,42 @@ function DetailEditor({ noteId, onClose }) {
 
   return (
     <div className="grid lg:grid-cols-2 gap-6">
+      {(!access.canEdit || error) && (
+        <div className="lg:col-span-2 bg-destructive/20 border-4 border-destructive rounded-base p-4">
+          <p className="font-black">
+            {error ? `⚠️ ${error}` : "🔒 READ ONLY — you don't have a role that allows editing this card"}
+          </p>
+        </div>
+      )}
+
+      {doc.deletedAt && (
+        <div className="lg:col-span-2 flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-muted border-4 border-border rounded-base p-4">
+          <p className="font-black">🗑️ THIS CARD IS IN THE TRASH</p>
+          <Button
+            onClick={() => noteHelpers.restoreNote(noteId).catch(e => setActionError(e.message))}
+            variant="outline"
+            size="sm"
+            className="font-black"
+          >
+            ♻️ RESTORE
+          </Button>
+        </div>
+      )}
+
+      <div className="lg:col-span-2 space-y-3">
+        <ConflictBanner
+          conflicts={conflicts}
+          doc={doc}
+          onResolve={resolveConflict}
+          onResolveAll={resolveAll}
+        />
+        {access.canEdit && (
+          <p className="text-xs font-black uppercase tracking-wide opacity-70 text-right">
+            {saveStateLabel[saveState]}
+          </p>
+        )}
+      </div>
+
       <div className="space-y-4">
         <div className="space-y-2">
           <label className="text-sm font-black uppercase tracking-wide">Title</label>
@@ -478,24 +1017,99 @@ function DetailEditor({ noteId, onClose }) {
             value={doc.title || ""}
             onChange={(e) => updateDoc({ title: e.target.value })}
             placeholder="Enter title..."
+            disabled={!access.canEdit}
             className="text-lg font-bold"
           />
         </div>
         
         <div className="space-y-2">
           <label className="text-sm font-black uppercase tracking-wide">Details</label>
-          <Textarea
+          <MarkdownEditor
             value={doc.details || ""}
-            onChange={(e) => updateDoc({ details: e.target.value })}
-            placeholder="Add details..."
-            rows={6}
-            className="text-base"
+            onChange={(details) => updateDoc({ details })}
+            attachments={attachments}
+            linkTargets={linkTargets}
+            resolveLink={resolveLink}
+            onOpenNote={onOpenNote}
+            disabled={!access.canEdit}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className="text-sm font-black uppercase tracking-wide">Checklist</label>
+          <ChecklistEditor
+            items={doc.checklist || []}
+            onChange={(checklist) => updateDoc({ checklist })}
+            assignees={people}
+            disabled={!access.canEdit}
           />
         </div>
 
         <div className="space-y-2">
           <label className="text-sm font-black uppercase tracking-wide">Tags</label>
-          <TagEditor tags={doc.tags || []} onChange={(tags) => updateDoc({ tags })} />
+          <TagEditor tags={doc.tags || []} onChange={(tags) => updateDoc({ tags })} disabled={!access.canEdit} />
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <label className="text-sm font-black uppercase tracking-wide">Due Date</label>
+            <Input
+              type="date"
+              value={doc.dueDate || ""}
+              onChange={(e) => updateDoc({ dueDate: e.target.value || undefined })}
+              disabled={!access.canEdit}
+              className="font-semibold"
+            />
+          </div>
+          <div className="space-y-2">
+            <label className="text-sm font-black uppercase tracking-wide">Reminder</label>
+            <Input
+              type="datetime-local"
+              value={toDateTimeInput(doc.remindAt)}
+              onChange={(e) => updateDoc({ remindAt: fromDateTimeInput(e.target.value) })}
+              disabled={!access.canEdit}
+              className="font-semibold"
+            />
+          </div>
+        </div>
+        {doc.remindAt && notificationPermission !== "granted" && (
+          <div className="bg-accent/20 border-4 border-accent rounded-base p-3 flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+            <p className="font-bold text-sm">
+              {notificationPermission === "default"
+                ? "Allow notifications so this reminder can pop up."
+                : "Notifications are blocked or unsupported in this browser, so reminders cannot be shown."}
+            </p>
+            {notificationPermission === "default" && (
+              <Button
+                onClick={async () => setNotificationPermission(await requestNotificationPermission())}
+                size="sm"
+                className="font-black"
+              >
+                🔔 ENABLE REMINDERS
+              </Button>
+            )}
+          </div>
+        )}
+        {doc.remindAt && (
+          <p className="text-xs font-bold opacity-60">
+            {reminderSentAt
+              ? `🔔 Reminder shown on this device ${new Date(reminderSentAt).toLocaleString()}`
+              : "🔔 Reminders pop up on every device that has the app open when they come due"}
+          </p>
+        )}
+
+        <div className="space-y-2">
+          <label className="text-sm font-black uppercase tracking-wide">Status</label>
+          <select
+            value={doc.status || DEFAULT_STATUS}
+            onChange={(e) => updateDoc({ status: e.target.value })}
+            disabled={!access.canEdit}
+            className="w-full rounded-base border-4 border-border bg-card px-4 py-3 text-base font-bold shadow-shadow focus:ring-4 focus:ring-ring"
+          >
+            {BOARD_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
         </div>
 
         <div className="space-y-2">
@@ -503,6 +1117,7 @@ function DetailEditor({ noteId, onClose }) {
           <select
             value={doc.priority || "medium"}
             onChange={(e) => updateDoc({ priority: e.target.value })}
+            disabled={!access.canEdit}
             className="w-full rounded-base border-4 border-border bg-card px-4 py-3 text-base font-bold shadow-shadow focus:ring-4 focus:ring-ring"
           >
             <option value="low">🟢 LOW</option>
@@ -514,6 +1129,7 @@ function DetailEditor({ noteId, onClose }) {
         <div className="flex gap-3 pt-4">
           <Button
             onClick={deleteNote}
+            disabled={!access.canDelete}
             variant="destructive"
             size="lg"
             className="flex-1 font-black transform hover:scale-105 transition-transform"
@@ -521,7 +1137,7 @@ function DetailEditor({ noteId, onClose }) {
             🗑️ DELETE CARD
           </Button>
           <Button
-            onClick={onClose}
+            onClick={close}
             variant="outline"
             size="lg"
             className="flex-1 font-black transform hover:scale-105 transition-transform"
@@ -544,49 +1160,83 @@ function DetailEditor({ noteId, onClose }) {
             onDrop={handleDrop}
           >
             <p className="font-bold text-lg">📎 DRAG FILES HERE</p>
-            <p className="text-sm font-semibold opacity-70">Add attachments to this card!</p>
+            <p className="text-sm font-semibold opacity-70">
+              {realmId === PUBLIC_REALM_ID ? "Public cards can't have attachments" : "Add attachments to this card!"}
+            </p>
           </div>
         </div>
         
-        <div className="space-y-3">
-          {(doc._files && Object.keys(doc._files).length > 0) ? (
-            Object.keys(doc._files).map(name => (
-              <div key={name} className="flex items-center justify-between bg-card border-4 border-border rounded-base p-3 shadow-shadow">
-                <div className="flex items-center gap-2">
-                  <span className="font-bold text-sm">📎</span>
-                  <span className="font-semibold">{name}</span>
-                </div>
+        {uploads.length > 0 && (
+          <div className="space-y-2">
+            {uploads.map((u, i) => (
+              <UploadStatus
+                key={`${u.name}-${i}`}
+                {...u}
+                onDismiss={u.status === 'error' ? () => setUploads(prev => prev.filter((_, j) => j !== i)) : undefined}
+              />
+            ))}
+          </div>
+        )}
+
+        <AttachmentList noteId={noteId} canEdit={access.canEdit} />
+
+        <div className="space-y-2">
+          <label className="text-sm font-black uppercase tracking-wide">Linked From</label>
+          {backlinks.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {backlinks.map(n => (
                 <Button
-                  onClick={async () => {
-                    const next = { ...(doc._files || {}) }
-                    delete next[name]
-                    updateDoc({ _files: next })
-                  }}
-                  variant="destructive"
+                  key={n.id}
+                  onClick={() => onOpenNote(n.id)}
+                  variant="outline"
                   size="sm"
-                  className="font-black"
+                  className="font-bold"
                 >
-                  🗑️ REMOVE
+                  🔗 {n.title || "Untitled Card"}
                 </Button>
-              </div>
-            ))
-          ) : (
-            <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
-              <p className="font-bold opacity-70">📁 NO ATTACHMENTS YET</p>
-              <p className="text-sm font-semibold opacity-50">Drag files above to add them!</p>
+              ))}
             </div>
+          ) : (
+            <p className="text-sm font-semibold opacity-60">
+              No cards link here yet. Link one with [[{doc.title || "Card title"}]].
+            </p>
           )}
         </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="text-sm font-black uppercase tracking-wide">History</label>
+            <Button
+              onClick={() => setShowHistory(!showHistory)}
+              variant="outline"
+              size="sm"
+              className="font-black"
+            >
+              {showHistory ? '🙈 HIDE' : '🕰️ SHOW'}
+            </Button>
+          </div>
+          {showHistory && <HistoryPanel noteId={noteId} canEdit={access.canEdit} />}
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 border-t-4 border-border pt-6">
+        <CommentsPanel
+          noteId={noteId}
+          people={people}
+          currentUser={syncHelpers.isAuthenticated() ? db.cloud.currentUserId : undefined}
+        />
       </div>
     </div>
   )
 }
 
-function TagEditor({ tags, onChange }) {
+function TagEditor({ tags, onChange, disabled }) {
   const [val, setVal] = useState("")
+  const tagColors = useTagColors()
   
   function add() {
-    const t = val.trim()
+    if (disabled) return
+    const t = normalizeTag(val)
     if (!t) return
     const next = Array.from(new Set([...(tags || []), t]))
     onChange(next)
@@ -602,28 +1252,31 @@ function TagEditor({ tags, onChange }) {
           onKeyDown={(e) => e.key === "Enter" && add()}
           placeholder="Add tag..."
           className="flex-1"
+          disabled={disabled}
         />
         <Button
           onClick={add}
           variant="outline"
           className="font-black"
+          disabled={disabled}
         >
           ADD
         </Button>
       </div>
       <div className="flex flex-wrap gap-2">
         {(tags || []).map(t => (
-          <Badge key={t} variant="outline" className="font-bold">
-            #{t}
-            <Button
-              onClick={() => onChange(tags.filter(x => x !== t))}
-              variant="ghost"
-              size="sm"
-              className="ml-2 h-4 w-4 p-0 hover:bg-destructive hover:text-destructive-foreground"
-            >
-              ×
-            </Button>
-          </Badge>
+          <TagBadge key={t} tag={t} colors={tagColors}>
+            {!disabled && (
+              <Button
+                onClick={() => onChange(tags.filter(x => x !== t))}
+                variant="ghost"
+                size="sm"
+                className="ml-2 h-4 w-4 p-0 hover:bg-destructive hover:text-destructive-foreground"
+              >
+                ×
+              </Button>
+            )}
+          </TagBadge>
         ))}
       </div>
     </div>
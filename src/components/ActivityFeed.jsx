@@ -0,0 +1,79 @@
+import React, { useMemo, useState } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { activityHelpers } from '../database.js'
+import { ACTION_LABELS } from '../lib/activity.js'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { cn } from '@/lib/utils'
+
+const RANGE_DAYS = 7
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// One line of the activity log: who did what to which card, and when
+export function ActivityItem({ entry, title, onOpen, className, children }) {
+  return (
+    <div className={cn('space-y-1', className)}>
+      <p className="text-sm">
+        <span className="font-black">{entry.actorEmail || entry.actor}</span>{' '}
+        <span className="font-bold opacity-70">{(ACTION_LABELS[entry.action] || entry.action).toLowerCase()}</span>{' '}
+        <button type="button" onClick={() => onOpen(entry.noteId)} className="font-black underline break-all text-left">
+          {title}
+        </button>
+      </p>
+      {entry.summary && (
+        <p className="text-xs font-semibold opacity-70 break-words">
+          {entry.kind === 'comment' ? `“${entry.summary}”` : entry.summary}
+        </p>
+      )}
+      <p className="text-xs font-bold opacity-50">
+        {new Date(entry.createdAt).toLocaleString()}
+        {children}
+      </p>
+    </div>
+  )
+}
+
+// Everything that happened to cards recently: edits, deletes and comments
+export function ActivityFeed({ notes, onOpen }) {
+  const [days, setDays] = useState(RANGE_DAYS)
+  const since = useMemo(() => Date.now() - days * DAY_MS, [days])
+  const activity = useLiveQuery(() => activityHelpers.getActivity(since), [since]) || []
+  const titles = useMemo(() => new Map(notes.map(n => [n.id, n.title || 'Untitled Card'])), [notes])
+
+  return (
+    <Card className="transform rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-secondary text-secondary-foreground">
+        <CardTitle className="text-2xl font-black flex items-center gap-2">
+          📰 ACTIVITY
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-6 space-y-3">
+        <p className="text-sm font-bold opacity-70">
+          {activity.length} changes and comments in the last {days} days
+        </p>
+        {activity.length > 0 ? (
+          <ul className="space-y-2">
+            {activity.map(entry => (
+              <li key={entry.id} className="bg-card border-4 border-border rounded-base p-3 shadow-shadow">
+                <ActivityItem
+                  entry={entry}
+                  title={titles.get(entry.noteId) || entry.title || 'Deleted Card'}
+                  onOpen={onOpen}
+                />
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+            <p className="font-bold opacity-70">📰 NOTHING HAPPENED YET — create, edit or comment on a card</p>
+          </div>
+        )}
+        <div className="text-center">
+          <Button onClick={() => setDays(days + RANGE_DAYS)} variant="outline" className="font-black">
+            ⏬ LOAD {RANGE_DAYS} MORE DAYS
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
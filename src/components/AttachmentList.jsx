@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { attachmentHelpers } from '../database.js'
+import { formatFileSize, getPreviewKind } from '../lib/files.js'
+import { Button } from '@/components/ui/button'
+
+// Object URL for a blob that is revoked when the blob changes or on unmount
+function useObjectUrl(blob) {
+  const [url, setUrl] = useState(null)
+
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null)
+      return
+    }
+    const next = URL.createObjectURL(blob)
+    setUrl(next)
+    return () => URL.revokeObjectURL(next)
+  }, [blob])
+
+  return url
+}
+
+const statusLabel = {
+  queued: '⏳ QUEUED',
+  reading: '📖 READING',
+  saving: '💾 SAVING',
+  done: '✅ SAVED',
+  error: '❌ FAILED'
+}
+
+// One file on its way into a card: name, progress bar and error state
+export function UploadStatus({ name, size, status = 'queued', progress = 0, error, onDismiss }) {
+  const isError = status === 'error'
+
+  return (
+    <div className={`border-4 rounded-base p-3 space-y-2 ${
+      isError ? 'bg-destructive/20 border-destructive' : 'bg-card border-border'
+    }`}>
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold truncate">
+          📎 {name}{size !== undefined && <span className="opacity-60"> ({formatFileSize(size)})</span>}
+        </span>
+        <div className="flex items-center gap-2 shrink-0">
+          <span className="text-xs font-black">{statusLabel[status] || status}</span>
+          {onDismiss && (
+            <Button
+              onClick={onDismiss}
+              variant="ghost"
+              size="sm"
+              className="h-4 w-4 p-0 hover:bg-destructive hover:text-destructive-foreground"
+            >
+              ×
+            </Button>
+          )}
+        </div>
+      </div>
+      {isError ? (
+        <p className="text-sm font-bold">{error}</p>
+      ) : (
+        <div className="h-2 w-full bg-muted rounded-base border-2 border-border overflow-hidden">
+          <div
+            className="h-full bg-main transition-all"
+            style={{ width: `${Math.round(progress * 100)}%` }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export function AttachmentList({ noteId, canEdit = true }) {
+  const attachments = useLiveQuery(() => attachmentHelpers.getAttachments(noteId), [noteId]) || []
+
+  if (attachments.length === 0) {
+    return (
+      <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+        <p className="font-bold opacity-70">📁 NO ATTACHMENTS YET</p>
+        <p className="text-sm font-semibold opacity-50">Drag files above to add them!</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      {attachments.map(a => (
+        <AttachmentItem key={a.id} attachment={a} canEdit={canEdit} />
+      ))}
+    </div>
+  )
+}
+
+function AttachmentItem({ attachment, canEdit }) {
+  const [showPreview, setShowPreview] = useState(false)
+  const [text, setText] = useState('')
+  const url = useObjectUrl(attachment.blob)
+  const thumbnailUrl = useObjectUrl(attachment.thumbnail)
+  const previewKind = getPreviewKind(attachment.type)
+
+  // Text previews are read lazily, the first time they are opened
+  useEffect(() => {
+    if (showPreview && previewKind === 'text' && attachment.blob) {
+      attachment.blob.text().then(setText)
+    }
+  }, [showPreview, previewKind, attachment.blob])
+
+  return (
+    <div className="bg-card border-4 border-border rounded-base p-3 shadow-shadow space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-3 min-w-0">
+          {thumbnailUrl ? (
+            <img
+              src={thumbnailUrl}
+              alt={attachment.name}
+              className="w-12 h-12 object-cover rounded-base border-2 border-border"
+            />
+          ) : (
+            <span className="font-bold text-sm">📎</span>
+          )}
+          <div className="min-w-0">
+            <p className="font-semibold truncate">
+              {attachment.name}
+              {attachment.version > 1 && <span className="ml-2 text-xs font-black opacity-70">v{attachment.version}</span>}
+            </p>
+            <p className="text-xs font-bold opacity-60">
+              {attachment.type} • {formatFileSize(attachment.size)}
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2 shrink-0">
+          {previewKind && url && (
+            <Button
+              onClick={() => setShowPreview(!showPreview)}
+              variant="neutral"
+              size="sm"
+              className="font-black"
+            >
+              {showPreview ? '🙈 HIDE' : '👁️ VIEW'}
+            </Button>
+          )}
+          {url && (
+            <Button asChild variant="outline" size="sm" className="font-black">
+              <a href={url} download={attachment.name}>⬇️ DOWNLOAD</a>
+            </Button>
+          )}
+          {canEdit && (
+            <Button
+              onClick={() => attachmentHelpers.removeAttachment(attachment.id)}
+              variant="destructive"
+              size="sm"
+              className="font-black"
+            >
+              🗑️ REMOVE
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {showPreview && url && (
+        <div className="border-2 border-border rounded-base overflow-hidden bg-muted/30">
+          {previewKind === 'image' && (
+            <img src={url} alt={attachment.name} className="max-h-96 w-full object-contain" />
+          )}
+          {previewKind === 'pdf' && (
+            <iframe src={url} title={attachment.name} className="w-full h-96" />
+          )}
+          {previewKind === 'text' && (
+            <pre className="max-h-96 overflow-auto p-3 text-xs font-mono whitespace-pre-wrap">{text}</pre>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,5 +1,11 @@
-import React, { useState, useEffect } from 'react'
-import { db, syncHelpers } from '../database.js'
+import React, { useRef, useState } from 'react'
+import { useObservable } from 'dexie-react-hooks'
+import { db, sessionHelpers, syncHelpers } from '../database.js'
+import { useSyncStatus } from '../hooks/useSyncStatus.js'
+import { useSession } from '../hooks/useSession.js'
+import { describeSyncStatus, formatSyncTime } from '../lib/sync.js'
+import { describeLoginError, isSessionRevoked } from '../lib/auth.js'
+import { LoginDialog } from './LoginDialog.jsx'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Input } from '@/components/ui/input'
@@ -11,59 +17,71 @@ export function AuthPanel() {
   const [message, setMessage] = useState('')
   const [showAuthForm, setShowAuthForm] = useState(false)
 
-  // Simplified authentication state - avoid infinite loops
-  const [currentUser, setCurrentUser] = useState({ isLoggedIn: false })
-  const [syncStatus, setSyncStatus] = useState({ isOnline: false, isSyncing: false, phase: 'unknown' })
+  const [pendingEmail, setPendingEmail] = useState('')
+  const [codeSentAt, setCodeSentAt] = useState(null)
+  const [confirmEverywhere, setConfirmEverywhere] = useState(false)
+  const loginAttempt = useRef(0)
 
-  // Check auth state on mount and when needed
-  useEffect(() => {
-    try {
-      const user = syncHelpers.getCurrentUser()
-      const isReallyLoggedIn = user.isLoggedIn && user.id !== 'unauthorized'
-      setCurrentUser({
-        ...user,
-        isLoggedIn: isReallyLoggedIn
-      })
+  const { isLoggedIn, info, sessions, deviceId, revokeError } = useSession()
+  const currentUser = { ...syncHelpers.getCurrentUser(), email: info.email, isLoggedIn }
+  const interaction = useObservable(db.cloud.userInteraction)
+  const syncStatus = useSyncStatus()
+
+  // Resending cancels the pending login, so only the latest attempt reports
+  const startLogin = async (address) => {
+    const attempt = ++loginAttempt.current
+    setIsLoading(true)
+    setMessage('')
+    setPendingEmail(address)
+    setCodeSentAt(Date.now())
 
-      const cloudState = db.cloud.syncState || db.cloud.persistedSyncState || {}
-      const phase = cloudState.phase || 'unknown'
-      setSyncStatus({
-        isOnline: phase === 'online' || (isReallyLoggedIn && phase === 'unknown'),
-        isSyncing: phase === 'syncing',
-        lastSync: cloudState.lastSync,
-        phase: phase,
-        isLoggedIn: isReallyLoggedIn
-      })
+    try {
+      await syncHelpers.signIn(address)
+      if (attempt !== loginAttempt.current) return
+      setMessage(`Signed in as ${address}`)
+      setEmail('')
+      setShowAuthForm(false)
     } catch (error) {
-      console.log('Auth check error:', error)
-      setCurrentUser({ isLoggedIn: false })
-      setSyncStatus({ isOnline: false, isSyncing: false, phase: 'error' })
+      if (attempt !== loginAttempt.current) return
+      setMessage(describeLoginError(error) || 'Sign in cancelled')
+    } finally {
+      if (attempt === loginAttempt.current) {
+        setIsLoading(false)
+        setPendingEmail('')
+      }
     }
-  }, [message]) // Re-check when messages change (after auth attempts)
+  }
 
-  const handleSignIn = async (e) => {
+  const handleSignIn = (e) => {
     e.preventDefault()
     if (!email.trim()) return
+    startLogin(email.trim())
+  }
 
-    setIsLoading(true)
-    setMessage('')
+  const handleResend = (otpPrompt) => {
+    const address = pendingEmail
+    otpPrompt.onCancel()
+    startLogin(address)
+  }
 
+  const handleSignOut = async () => {
+    setIsLoading(true)
     try {
-      await syncHelpers.signIn(email)
-      setMessage('Check your email for the login link!')
-      setEmail('')
+      await syncHelpers.signOut()
+      setMessage('Signed out successfully')
     } catch (error) {
-      setMessage(`Sign in failed: ${error.message}`)
+      setMessage(`Sign out failed: ${error.message}`)
     } finally {
       setIsLoading(false)
     }
   }
 
-  const handleSignOut = async () => {
+  const handleSignOutEverywhere = async () => {
     setIsLoading(true)
+    setConfirmEverywhere(false)
     try {
-      await syncHelpers.signOut()
-      setMessage('Signed out successfully')
+      await sessionHelpers.signOutEverywhere()
+      setMessage('Signed out here. Your other devices sign out the next time they sync.')
     } catch (error) {
       setMessage(`Sign out failed: ${error.message}`)
     } finally {
@@ -74,8 +92,7 @@ export function AuthPanel() {
   const handleForceSync = async () => {
     setIsLoading(true)
     try {
-      // Try to trigger a manual sync
-      await db.cloud.sync()
+      await syncHelpers.syncNow()
       setMessage('Sync triggered')
     } catch (error) {
       setMessage(`Sync failed: ${error.message}`)
@@ -84,177 +101,319 @@ export function AuthPanel() {
     }
   }
 
+  const described = describeSyncStatus(syncStatus, syncStatus.now)
+  const dialog = (
+    <LoginDialog
+      interaction={interaction}
+      email={pendingEmail}
+      codeSentAt={codeSentAt}
+      onResend={pendingEmail ? handleResend : undefined}
+    />
+  )
+
   if (!currentUser?.isLoggedIn) {
     return (
-      <Card className="transform -rotate-2 hover:rotate-0 transition-transform duration-200">
-        <CardHeader className="bg-muted text-muted-foreground">
+      <>
+        {dialog}
+        <Card className="transform -rotate-2 hover:rotate-0 transition-transform duration-200">
+          <CardHeader className="bg-muted text-muted-foreground">
+            <div className="flex items-center justify-between">
+              <CardTitle className="text-2xl font-black flex items-center gap-2">
+                ☁️ CLOUD SYNC
+              </CardTitle>
+              <Button
+                onClick={() => setShowAuthForm(!showAuthForm)}
+                variant={showAuthForm ? "destructive" : "secondary"}
+                className="font-black"
+              >
+                {showAuthForm ? '❌ HIDE' : '🔑 SIGN IN'}
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="p-6 space-y-4">
+            <div className="bg-destructive/20 border-4 border-destructive rounded-base p-4">
+              <p className="font-black text-lg">⚠️ OFFLINE MODE</p>
+              <p className="font-bold opacity-80">Your data is stored locally only!</p>
+            </div>
+
+            {showAuthForm && (
+              <form onSubmit={handleSignIn} className="space-y-4">
+                <div className="space-y-2">
+                  <label className="text-sm font-black uppercase tracking-wide">Email Address</label>
+                  <Input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="your@email.com"
+                    disabled={isLoading}
+                    className="text-lg font-bold"
+                    required
+                  />
+                </div>
+                <Button
+                  type="submit"
+                  disabled={isLoading || !email.trim()}
+                  size="lg"
+                  className="w-full text-lg font-black transform hover:scale-105 transition-transform"
+                >
+                  {isLoading ? '🔐 WAITING FOR CODE...' : '🚀 EMAIL ME A CODE'}
+                </Button>
+                <p className="text-sm font-bold opacity-70">
+                  We'll email you a one-time code to enter here. No password needed.
+                </p>
+              </form>
+            )}
+
+            {message && (
+              <div className="bg-accent/20 border-4 border-accent rounded-base p-4">
+                <p className="font-bold">{message}</p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </>
+    )
+  }
+
+  return (
+    <>
+      {dialog}
+      <Card className="transform rotate-2 hover:rotate-0 transition-transform duration-200">
+        <CardHeader className="bg-secondary text-secondary-foreground">
           <div className="flex items-center justify-between">
             <CardTitle className="text-2xl font-black flex items-center gap-2">
-              ☁️ CLOUD SYNC
+              ✅ CONNECTED TO CLOUD
             </CardTitle>
-            <Button
-              onClick={() => setShowAuthForm(!showAuthForm)}
-              variant={showAuthForm ? "destructive" : "secondary"}
-              className="font-black"
-            >
-              {showAuthForm ? '❌ HIDE' : '🔑 SIGN IN'}
-            </Button>
+            <div className="flex items-center gap-2">
+              <SyncStatusIndicator status={described} />
+              <Button
+                onClick={handleForceSync}
+                disabled={isLoading}
+                variant="outline"
+                size="sm"
+                className="font-black"
+              >
+                🔄 SYNC
+              </Button>
+              <Button
+                onClick={handleSignOut}
+                disabled={isLoading}
+                variant="destructive"
+                size="sm"
+                className="font-black"
+              >
+                🚪 SIGN OUT
+              </Button>
+            </div>
           </div>
         </CardHeader>
         <CardContent className="p-6 space-y-4">
-          <div className="bg-destructive/20 border-4 border-destructive rounded-base p-4">
-            <p className="font-black text-lg">⚠️ OFFLINE MODE</p>
-            <p className="font-bold opacity-80">Your data is stored locally only!</p>
+          <div className="grid sm:grid-cols-2 gap-4">
+            <div className="bg-primary/10 rounded-base border-4 border-primary p-4">
+              <p className="font-black text-lg">👤 USER</p>
+              <p className="font-bold opacity-80 break-all">{currentUser?.email || 'Anonymous'}</p>
+              <SessionDetails info={info} />
+            </div>
+            
+            <div className={`rounded-base border-4 p-4 ${toneClass[described.tone]}`}>
+              <p className="font-black text-lg">🌐 STATUS</p>
+              <p className="font-bold opacity-80">{described.text}</p>
+              <p className="text-sm font-bold opacity-60">
+                Last synced {formatSyncTime(syncStatus.lastSyncAt, syncStatus.now)}
+              </p>
+              {syncStatus.phase === 'error' && (
+                <Button onClick={handleForceSync} disabled={isLoading} variant="outline" size="sm" className="mt-2 font-black">
+                  🔁 RETRY NOW
+                </Button>
+              )}
+            </div>
           </div>
 
-          {showAuthForm && (
-            <form onSubmit={handleSignIn} className="space-y-4">
-              <div className="space-y-2">
-                <label className="text-sm font-black uppercase tracking-wide">Email Address</label>
-                <Input
-                  type="email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  placeholder="your@email.com"
-                  disabled={isLoading}
-                  className="text-lg font-bold"
-                  required
-                />
-              </div>
-              <Button
-                type="submit"
-                disabled={isLoading || !email.trim()}
-                size="lg"
-                className="w-full text-lg font-black transform hover:scale-105 transition-transform"
-              >
-                {isLoading ? '📧 SENDING...' : '🚀 SEND LOGIN LINK'}
-              </Button>
-            </form>
-          )}
+          <OutboxList outbox={syncStatus.outbox} />
 
-          {message && (
-            <div className="bg-accent/20 border-4 border-accent rounded-base p-4">
-              <p className="font-bold">{message}</p>
+          <DeviceList sessions={sessions} deviceId={deviceId} />
+
+          {revokeError && (
+            <div className="bg-destructive/20 border-4 border-destructive rounded-base p-4">
+              <p className="font-bold">
+                ⚠️ This device was signed out from another one, but signing out here failed: {revokeError}
+              </p>
             </div>
           )}
-        </CardContent>
-      </Card>
-    )
-  }
 
-  return (
-    <Card className="transform rotate-2 hover:rotate-0 transition-transform duration-200">
-      <CardHeader className="bg-secondary text-secondary-foreground">
-        <div className="flex items-center justify-between">
-          <CardTitle className="text-2xl font-black flex items-center gap-2">
-            ✅ CONNECTED TO CLOUD
-          </CardTitle>
-          <div className="flex items-center gap-2">
-            <SyncStatusIndicator status={syncStatus} />
-            <Button
-              onClick={handleForceSync}
-              disabled={isLoading}
-              variant="outline"
-              size="sm"
-              className="font-black"
-            >
-              🔄 SYNC
-            </Button>
-            <Button
-              onClick={handleSignOut}
-              disabled={isLoading}
-              variant="destructive"
-              size="sm"
-              className="font-black"
-            >
-              🚪 SIGN OUT
-            </Button>
-          </div>
-        </div>
-      </CardHeader>
-      <CardContent className="p-6 space-y-4">
-        <div className="grid sm:grid-cols-2 gap-4">
-          <div className="bg-primary/10 rounded-base border-4 border-primary p-4">
-            <p className="font-black text-lg">👤 USER</p>
-            <p className="font-bold opacity-80 break-all">{currentUser?.email || 'Anonymous'}</p>
-          </div>
-          
-          <div className={`rounded-base border-4 p-4 ${
-            syncStatus?.isOnline 
-              ? 'bg-secondary/30 border-secondary' 
-              : 'bg-destructive/20 border-destructive'
-          }`}>
-            <p className="font-black text-lg">🌐 STATUS</p>
-            <p className="font-bold opacity-80">{getSyncStatusText(syncStatus)}</p>
+          <div className="flex flex-wrap items-center gap-2">
+            {confirmEverywhere ? (
+              <>
+                <p className="font-bold text-sm w-full">
+                  ⚠️ This signs you out here now. Your other devices sign themselves out the next time they
+                  sync; one that stays offline keeps its session until then.
+                </p>
+                <Button onClick={handleSignOutEverywhere} disabled={isLoading} variant="destructive" size="sm" className="font-black">
+                  YES, SIGN OUT
+                </Button>
+                <Button onClick={() => setConfirmEverywhere(false)} variant="outline" size="sm" className="font-black">
+                  CANCEL
+                </Button>
+              </>
+            ) : (
+              <Button onClick={() => setConfirmEverywhere(true)} disabled={isLoading} variant="outline" size="sm" className="font-black">
+                🔒 SIGN OUT HERE AND ON SYNCED DEVICES
+              </Button>
+            )}
           </div>
-        </div>
 
-        <div className="bg-accent/10 border-4 border-accent rounded-base p-4">
-          <p className="font-black text-lg mb-2">🚀 YOUR DATA IS SYNCING!</p>
-          <p className="font-bold opacity-80">
-            Your cards are stored in the public realm and sync across all devices automatically.
-          </p>
-        </div>
+          <div className="bg-accent/10 border-4 border-accent rounded-base p-4">
+            <p className="font-black text-lg mb-2">🚀 YOUR DATA IS SYNCING!</p>
+            <p className="font-bold opacity-80">
+              New cards are private to you unless you create them in a team or the public realm, and sync across all your devices automatically.
+            </p>
+          </div>
 
-        <details className="bg-muted rounded-base border-2 border-border p-3">
-          <summary className="font-black cursor-pointer hover:opacity-70">🔧 DEBUG INFO</summary>
-          <pre className="mt-2 text-xs font-mono bg-card p-2 rounded border overflow-auto">
+          <details className="bg-muted rounded-base border-2 border-border p-3">
+            <summary className="font-black cursor-pointer hover:opacity-70">🔧 DEBUG INFO</summary>
+            <pre className="mt-2 text-xs font-mono bg-card p-2 rounded border overflow-auto">
 {JSON.stringify({ 
-  phase: syncStatus?.phase,
-  isLoggedIn: syncStatus?.isLoggedIn,
+  phase: syncStatus.phase,
+  status: syncStatus.status,
+  isLoggedIn: currentUser.isLoggedIn,
   userId: db.cloud.currentUserId,
-  syncState: db.cloud.syncState?.phase,
+  error: syncStatus.error,
+  attempt: syncStatus.attempt,
+  pending: syncStatus.pending,
   dbUrl: db.cloud.options?.databaseUrl,
   requireAuth: db.cloud.options?.requireAuth
 }, null, 2)}
-          </pre>
-        </details>
+            </pre>
+          </details>
 
-        {message && (
-          <div className="bg-accent/20 border-4 border-accent rounded-base p-4">
-            <p className="font-bold">{message}</p>
-          </div>
-        )}
-      </CardContent>
-    </Card>
+          {message && (
+            <div className="bg-accent/20 border-4 border-accent rounded-base p-4">
+              <p className="font-bold">{message}</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </>
   )
 }
 
-function SyncStatusIndicator({ status }) {
-  if (!status) {
-    return (
-      <Badge variant="secondary" className="font-black">
-        ❓ UNKNOWN
-      </Badge>
-    )
-  }
+const toneClass = {
+  ok: 'bg-secondary/30 border-secondary',
+  busy: 'bg-accent/20 border-accent',
+  warn: 'bg-accent/20 border-accent',
+  error: 'bg-destructive/20 border-destructive'
+}
 
-  if (status.isSyncing) {
-    return (
-      <Badge variant="outline" className="font-black animate-pulse border-yellow-500 text-yellow-600">
-        🔄 SYNCING
-      </Badge>
-    )
-  }
-  
-  if (status.isOnline) {
-    return (
-      <Badge variant="secondary" className="font-black bg-green-100 text-green-800 border-green-500">
-        🟢 ONLINE
-      </Badge>
-    )
-  }
-  
+const badgeClass = {
+  ok: 'bg-green-100 text-green-800 border-green-500',
+  busy: 'animate-pulse border-yellow-500 text-yellow-600',
+  warn: 'border-yellow-500 text-yellow-600',
+  error: 'bg-destructive text-destructive-foreground'
+}
+
+const mutationLabel = {
+  insert: '✨ NEW',
+  upsert: '💾 SAVED',
+  update: '✏️ EDITED',
+  modify: '✏️ EDITED',
+  delete: '🗑️ DELETED'
+}
+
+function SyncStatusIndicator({ status }) {
   return (
-    <Badge variant="destructive" className="font-black">
-      🔴 OFFLINE
+    <Badge className={`font-black ${badgeClass[status.tone]}`}>
+      {status.label}
     </Badge>
   )
 }
 
-function getSyncStatusText(status) {
-  if (!status) return '❓ UNKNOWN'
-  if (status.isSyncing) return '🔄 SYNCING DATA...'
-  if (status.isOnline) return '🟢 ONLINE & READY'
-  return `🔴 OFFLINE (${status.phase || 'no-phase'})`
-}
\ No newline at end of file
+// Local changes that haven't reached the server yet
+function OutboxList({ outbox }) {
+  if (outbox.length === 0) return null
+  return (
+    <details className="bg-accent/10 border-4 border-accent rounded-base p-4">
+      <summary className="font-black cursor-pointer hover:opacity-70">
+        ⏫ {outbox.length} UNSYNCED {outbox.length === 1 ? 'CHANGE' : 'CHANGES'}
+      </summary>
+      <ul className="mt-3 space-y-1 max-h-64 overflow-y-auto">
+        {outbox.map(entry => (
+          <li key={entry.id} className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-xs font-bold opacity-60">
+              {entry.createdAt ? new Date(entry.createdAt).toLocaleTimeString() : '—'}
+            </span>
+            <span className="font-black">{mutationLabel[entry.type] || entry.type}</span>
+            <span className="font-bold">{entry.table}</span>
+            {entry.titles.length > 0 && (
+              <span className="font-semibold truncate max-w-xs">“{entry.titles.join('”, “')}”</span>
+            )}
+            {entry.keys.length > 1 && <span className="text-xs font-bold opacity-60">× {entry.keys.length}</span>}
+            {entry.fields.length > 0 && (
+              <span className="text-xs font-semibold opacity-60">{entry.fields.join(', ')}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+const licenseLabel = {
+  ok: '✅ ACTIVE',
+  expired: '⛔ EXPIRED',
+  deactivated: '⛔ DEACTIVATED'
+}
+
+function formatDate(time) {
+  return new Date(time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// License and session expiry of the signed-in user
+function SessionDetails({ info }) {
+  return (
+    <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-sm font-bold">
+      <dt className="opacity-60">License</dt>
+      <dd>
+        {licenseLabel[info.licenseStatus] || info.licenseStatus}
+        {info.licenseType && ` (${info.licenseType})`}
+        {info.evalDaysLeft != null && ` • ${info.evalDaysLeft} eval days left`}
+      </dd>
+      {info.licenseValidUntil && (
+        <>
+          <dt className="opacity-60">Valid until</dt>
+          <dd>{formatDate(info.licenseValidUntil)}</dd>
+        </>
+      )}
+      <dt className="opacity-60">Session</dt>
+      <dd>{info.sessionExpiresAt ? `expires ${formatDate(info.sessionExpiresAt)}` : 'no expiry'}</dd>
+      {info.lastLogin > 0 && (
+        <>
+          <dt className="opacity-60">Signed in</dt>
+          <dd>{formatDate(info.lastLogin)}</dd>
+        </>
+      )}
+    </dl>
+  )
+}
+
+// Devices the user is signed in on
+function DeviceList({ sessions, deviceId }) {
+  if (sessions.length === 0) return null
+  return (
+    <div className="bg-muted/50 border-4 border-border rounded-base p-4 space-y-2">
+      <p className="font-black text-lg">🖥️ DEVICES</p>
+      <ul className="space-y-1">
+        {sessions.map(session => (
+          <li key={session.id} className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="font-black">{session.label}</span>
+            {session.deviceId === deviceId && <Badge className="text-xs font-black">THIS DEVICE</Badge>}
+            {isSessionRevoked(session, session.signedInAt) ? (
+              <span className="font-bold text-destructive">signs out on next sync</span>
+            ) : (
+              <span className="font-semibold opacity-60">last seen {formatSyncTime(session.lastSeenAt)}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
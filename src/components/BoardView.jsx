@@ -0,0 +1,164 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { noteHelpers } from '../database.js'
+import { getColumns, positionBefore } from '../lib/board.js'
+import { useTagColors } from '../hooks/useTagColors.js'
+import { usePendingNoteIds } from '../hooks/useSyncStatus.js'
+import { TagBadge } from './TagBadge.jsx'
+import { DueBadge } from './DueBadge.jsx'
+import { ChecklistProgress } from './ChecklistEditor.jsx'
+import { Badge } from '@/components/ui/badge'
+
+const priorityEmoji = { low: '🟢', medium: '🟡', high: '🔴' }
+
+// Kanban board. Cards drag between and within columns; with a card focused,
+// Alt+←/→ moves it to the neighbouring column and Alt+↑/↓ reorders it.
+export function BoardView({ notes, field = 'status', onOpen }) {
+  const columns = getColumns(notes, field)
+  const [dragId, setDragId] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+  const [focusId, setFocusId] = useState(null)
+  const [announcement, setAnnouncement] = useState('')
+  const [message, setMessage] = useState('')
+  const boardRef = useRef(null)
+  const tagColors = useTagColors()
+  const pendingIds = usePendingNoteIds()
+
+  // Keep focus on a card moved with the keyboard once it re-renders
+  useEffect(() => {
+    if (!focusId || !boardRef.current) return
+    const card = boardRef.current.querySelector(`[data-board-card="${focusId}"]`)
+    if (card && document.activeElement !== card) card.focus()
+  }, [focusId, notes])
+
+  async function move(note, columnIndex, beforeId) {
+    const column = columns[columnIndex]
+    if (!column) return
+    setMessage('')
+    try {
+      await noteHelpers.moveNote(note.id, field, column.value, positionBefore(column.notes, beforeId, note.id))
+      setAnnouncement(`Moved "${note.title || 'Untitled Card'}" to ${column.value}`)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  function handleKeyDown(e, note, columnIndex, index) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault()
+      onOpen(note.id)
+      return
+    }
+    if (!e.altKey) return
+    const columnNotes = columns[columnIndex].notes
+    let target = null
+    if (e.key === 'ArrowUp' && index > 0) {
+      target = [columnIndex, columnNotes[index - 1].id]
+    } else if (e.key === 'ArrowDown' && index < columnNotes.length - 1) {
+      target = [columnIndex, columnNotes[index + 2]?.id || null]
+    } else if (e.key === 'ArrowLeft' && columnIndex > 0) {
+      target = [columnIndex - 1, columns[columnIndex - 1].notes[index]?.id || null]
+    } else if (e.key === 'ArrowRight' && columnIndex < columns.length - 1) {
+      target = [columnIndex + 1, columns[columnIndex + 1].notes[index]?.id || null]
+    }
+    if (!target) return
+    e.preventDefault()
+    setFocusId(note.id)
+    move(note, ...target)
+  }
+
+  function handleDrop(e, columnIndex) {
+    e.preventDefault()
+    const note = notes.find(n => n.id === dragId)
+    const beforeId = dropTarget?.column === columnIndex ? dropTarget.beforeId : null
+    setDragId(null)
+    setDropTarget(null)
+    if (note && beforeId !== note.id) move(note, columnIndex, beforeId)
+  }
+
+  return (
+    <div ref={boardRef} className="space-y-3">
+      <p className="text-sm font-bold opacity-70">
+        Drag cards between columns, or focus a card and use Alt + arrow keys to move it.
+      </p>
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+
+      {message && (
+        <div className="bg-destructive/20 border-4 border-destructive rounded-base p-4">
+          <p className="font-bold">{message}</p>
+        </div>
+      )}
+
+      <div className="grid gap-6 overflow-x-auto pb-2" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(220px, 1fr))` }}>
+        {columns.map((column, columnIndex) => (
+          <section
+            key={column.value}
+            aria-label={column.value}
+            onDragOver={(e) => {
+              e.preventDefault()
+              if (dropTarget?.column !== columnIndex) setDropTarget({ column: columnIndex, beforeId: null })
+            }}
+            onDrop={(e) => handleDrop(e, columnIndex)}
+            className={`bg-muted/50 border-4 border-border rounded-base p-3 shadow-shadow min-h-48 space-y-3 transition-colors ${
+              dropTarget?.column === columnIndex ? 'bg-accent/20' : ''
+            }`}
+          >
+            <div className="flex items-center justify-between">
+              <h3 className="font-black text-lg">{column.label}</h3>
+              <Badge variant="neutral" className="font-black">{column.notes.length}</Badge>
+            </div>
+
+            {column.notes.map((note, index) => (
+              <div
+                key={note.id}
+                data-board-card={note.id}
+                role="button"
+                tabIndex={0}
+                draggable
+                onDragStart={(e) => {
+                  setDragId(note.id)
+                  e.dataTransfer.effectAllowed = 'move'
+                }}
+                onDragEnd={() => {
+                  setDragId(null)
+                  setDropTarget(null)
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault()
+                  e.stopPropagation()
+                  setDropTarget({ column: columnIndex, beforeId: note.id })
+                }}
+                onClick={() => onOpen(note.id)}
+                onKeyDown={(e) => handleKeyDown(e, note, columnIndex, index)}
+                onBlur={() => setFocusId(null)}
+                className={`bg-card border-4 border-border rounded-base p-3 shadow-shadow cursor-grab focus:outline-none focus:ring-4 focus:ring-ring ${
+                  dragId === note.id ? 'opacity-40' : ''
+                } ${dropTarget?.beforeId === note.id && dragId !== note.id ? 'border-t-8 border-t-primary' : ''}`}
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <p className="font-black line-clamp-2">{note.title || 'Untitled Card'}</p>
+                  <span className="flex gap-1 shrink-0">
+                    {pendingIds.has(note.id) && <span title="Waiting to upload">⏫</span>}
+                    <span title={note.priority || 'medium'}>{priorityEmoji[note.priority] || priorityEmoji.medium}</span>
+                  </span>
+                </div>
+                <DueBadge note={note} className="mt-2" />
+                <ChecklistProgress checklist={note.checklist} className="mt-2" />
+                {(note.tags || []).length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {note.tags.slice(0, 3).map(t => (
+                      <TagBadge key={t} tag={t} colors={tagColors} className="text-xs" />
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+
+            {column.notes.length === 0 && (
+              <p className="text-sm font-bold opacity-50 text-center py-6">Drop cards here</p>
+            )}
+          </section>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,156 @@
+import React, { useMemo, useState } from 'react'
+import { bulkHelpers, transferHelpers, syncHelpers, PUBLIC_REALM_ID } from '../database.js'
+import { EXPORT_FORMATS, downloadBlob } from '../lib/transfer.js'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+
+const selectClass = 'rounded-base border-4 border-border bg-card px-3 py-2 text-sm font-bold shadow-shadow focus:ring-4 focus:ring-ring'
+
+// Batch actions for the selected cards. Every action is one transaction;
+// `onDone(message, undo)` hands the result to the undo toast.
+export function BulkActionBar({ notes, writableRealms, onClear, onDone }) {
+  const [tag, setTag] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const ids = notes.map(n => n.id)
+  const selectedTags = useMemo(() => {
+    const tags = new Set()
+    notes.forEach(n => (n.tags || []).forEach(t => tags.add(t)))
+    return Array.from(tags).sort()
+  }, [notes])
+  const teamRealms = writableRealms.filter(r => r.realmId !== PUBLIC_REALM_ID)
+
+  // Resolves to whether the action succeeded
+  const run = async (action, describe) => {
+    setIsLoading(true)
+    setMessage('')
+    try {
+      const result = await action()
+      const skipped = result.skipped ? ` (${result.skipped} skipped, no permission)` : ''
+      onDone(`${describe(result.updated)}${skipped}`, result.undo)
+      return true
+    } catch (error) {
+      setMessage(error.message)
+      return false
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const addTag = async (e) => {
+    e.preventDefault()
+    if (!tag.trim()) return
+    await run(() => bulkHelpers.addTags(ids, [tag]), n => `🏷️ Tagged ${n} cards #${tag.trim()}`)
+    setTag('')
+  }
+
+  const exportSelected = async (format) => {
+    setMessage('')
+    try {
+      const { blob, filename } = await transferHelpers.exportNotes(notes, format)
+      downloadBlob(blob, filename)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  const deleteSelected = async () => {
+    // Keep the selection after a failure so it can be retried
+    if (await run(() => bulkHelpers.deleteNotes(ids), n => `🗑️ Moved ${n} cards to trash`)) onClear()
+  }
+
+  return (
+    <div className="sticky top-4 z-40 bg-card border-4 border-border rounded-base p-4 shadow-shadow space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-black text-lg mr-2">☑️ {notes.length} SELECTED</span>
+
+        <form onSubmit={addTag} className="flex gap-1">
+          <Input
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            placeholder="Add tag..."
+            className="w-32 font-semibold"
+          />
+          <Button type="submit" disabled={isLoading || !tag.trim()} size="sm" className="font-black h-auto py-2">
+            ➕ TAG
+          </Button>
+        </form>
+
+        {selectedTags.length > 0 && (
+          <select
+            value=""
+            disabled={isLoading}
+            onChange={(e) => {
+              const removed = e.target.value
+              run(() => bulkHelpers.removeTags(ids, [removed]), n => `🏷️ Removed #${removed} from ${n} cards`)
+            }}
+            className={selectClass}
+          >
+            <option value="">➖ REMOVE TAG</option>
+            {selectedTags.map(t => (
+              <option key={t} value={t}>#{t}</option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value=""
+          disabled={isLoading}
+          onChange={(e) => {
+            const priority = e.target.value
+            run(() => bulkHelpers.setPriority(ids, priority), n => `⚡ Set ${n} cards to ${priority} priority`)
+          }}
+          className={selectClass}
+        >
+          <option value="">⚡ SET PRIORITY</option>
+          <option value="high">🔴 HIGH</option>
+          <option value="medium">🟡 MEDIUM</option>
+          <option value="low">🟢 LOW</option>
+        </select>
+
+        {syncHelpers.isAuthenticated() && (
+          <select
+            value=""
+            disabled={isLoading}
+            onChange={(e) => {
+              const realmId = e.target.value === 'personal' ? null : e.target.value
+              const name = realmId ? teamRealms.find(r => r.realmId === realmId)?.name : 'Personal'
+              run(() => bulkHelpers.moveToRealm(ids, realmId), n => `📦 Moved ${n} cards to ${name}`)
+            }}
+            className={selectClass}
+          >
+            <option value="">📦 MOVE TO REALM</option>
+            <option value="personal">🔒 PERSONAL</option>
+            {teamRealms.map(r => (
+              <option key={r.realmId} value={r.realmId}>🏷️ {(r.name || r.realmId).toUpperCase()}</option>
+            ))}
+          </select>
+        )}
+
+        <select
+          value=""
+          onChange={(e) => exportSelected(e.target.value)}
+          className={selectClass}
+        >
+          <option value="">💾 EXPORT</option>
+          {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <Button onClick={deleteSelected} disabled={isLoading} variant="destructive" size="sm" className="font-black h-auto py-2">
+          🗑️ DELETE
+        </Button>
+        <Button onClick={onClear} variant="ghost" size="sm" className="font-black h-auto py-2 ml-auto">
+          ✖️ CLEAR
+        </Button>
+      </div>
+
+      {message && (
+        <div className="bg-destructive/20 border-4 border-destructive rounded-base p-3">
+          <p className="font-bold text-sm">{message}</p>
+        </div>
+      )}
+    </div>
+  )
+}
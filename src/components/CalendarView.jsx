@@ -0,0 +1,185 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { noteHelpers } from '../database.js'
+import { addDays, addMonths, getMonthWeeks, getWeekDays, groupByDay, shiftDateKey } from '../lib/calendar.js'
+import { toDateKey, fromDateKey, getDueStatus } from '../lib/due.js'
+import { DONE_STATUS } from '../lib/board.js'
+import { Button } from '@/components/ui/button'
+
+const WEEKDAYS = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']
+const MONTH_LIMIT = 3
+
+const chipStyle = {
+  overdue: 'bg-destructive text-destructive-foreground',
+  today: 'bg-accent text-accent-foreground',
+  upcoming: 'bg-secondary text-secondary-foreground'
+}
+
+// Month or week calendar with cards on their due date, or on the day they
+// were created when they have none (shown dashed). Dropping a card on a day,
+// or Alt+arrow keys on a focused card, sets its due date.
+export function CalendarView({ notes, onOpen }) {
+  const [mode, setMode] = useState('month')
+  const [anchor, setAnchor] = useState(() => new Date())
+  const [dragId, setDragId] = useState(null)
+  const [dropDay, setDropDay] = useState(null)
+  const [focusId, setFocusId] = useState(null)
+  const [message, setMessage] = useState('')
+  const calendarRef = useRef(null)
+
+  const byDay = groupByDay(notes)
+  const today = toDateKey()
+  const weeks = mode === 'month' ? getMonthWeeks(anchor) : [getWeekDays(anchor)]
+  const title = mode === 'month'
+    ? anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `${weeks[0][0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${weeks[0][6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+
+  useEffect(() => {
+    if (!focusId || !calendarRef.current) return
+    const chip = calendarRef.current.querySelector(`[data-calendar-card="${focusId}"]`)
+    if (chip && document.activeElement !== chip) chip.focus()
+  }, [focusId, notes])
+
+  const step = (direction) => {
+    setAnchor(mode === 'month' ? addMonths(anchor, direction) : addDays(anchor, direction * 7))
+  }
+
+  async function reschedule(note, dueDate) {
+    setMessage('')
+    if (note.dueDate === dueDate) return
+    try {
+      await noteHelpers.updateNote(note.id, { dueDate })
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  function handleKeyDown(e, note, day) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault()
+      onOpen(note.id)
+      return
+    }
+    if (!e.altKey) return
+    const shift = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key]
+    if (!shift) return
+    e.preventDefault()
+    const next = shiftDateKey(day, shift)
+    setFocusId(note.id)
+    if (next < toDateKey(weeks[0][0]) || next > toDateKey(weeks[weeks.length - 1][6])) {
+      setAnchor(fromDateKey(next))
+    }
+    reschedule(note, next)
+  }
+
+  function handleDrop(e, day) {
+    e.preventDefault()
+    const note = notes.find(n => n.id === dragId)
+    setDragId(null)
+    setDropDay(null)
+    if (note) reschedule(note, day)
+  }
+
+  const renderChip = (note, day) => {
+    const due = getDueStatus(note, { doneStatus: DONE_STATUS })
+    return (
+      <div
+        key={note.id}
+        data-calendar-card={note.id}
+        role="button"
+        tabIndex={0}
+        draggable
+        onDragStart={(e) => {
+          setDragId(note.id)
+          e.dataTransfer.effectAllowed = 'move'
+        }}
+        onDragEnd={() => {
+          setDragId(null)
+          setDropDay(null)
+        }}
+        onClick={() => onOpen(note.id)}
+        onKeyDown={(e) => handleKeyDown(e, note, day)}
+        onBlur={() => setFocusId(null)}
+        title={note.dueDate ? `Due ${note.dueDate}` : 'No due date; shown on the day it was created'}
+        className={`text-xs font-bold truncate rounded-base border-2 border-border px-1.5 py-0.5 cursor-grab focus:outline-none focus:ring-2 focus:ring-ring ${
+          note.dueDate ? (chipStyle[due?.status] || 'bg-card') : 'bg-card border-dashed opacity-70'
+        } ${dragId === note.id ? 'opacity-40' : ''}`}
+      >
+        {note.title || 'Untitled Card'}
+      </div>
+    )
+  }
+
+  return (
+    <div ref={calendarRef} className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <Button onClick={() => step(-1)} variant="outline" size="sm" className="font-black" aria-label="Previous">◀</Button>
+          <Button onClick={() => setAnchor(new Date())} variant="outline" size="sm" className="font-black">TODAY</Button>
+          <Button onClick={() => step(1)} variant="outline" size="sm" className="font-black" aria-label="Next">▶</Button>
+          <h3 className="font-black text-xl ml-2">{title.toUpperCase()}</h3>
+        </div>
+        <div className="flex gap-1">
+          <Button onClick={() => setMode('month')} variant={mode === 'month' ? 'default' : 'outline'} size="sm" className="font-black">
+            MONTH
+          </Button>
+          <Button onClick={() => setMode('week')} variant={mode === 'week' ? 'default' : 'outline'} size="sm" className="font-black">
+            WEEK
+          </Button>
+        </div>
+      </div>
+      <p className="text-sm font-bold opacity-70">
+        Drag a card to another day, or focus it and use Alt + arrow keys, to change its due date.
+      </p>
+
+      {message && (
+        <div className="bg-destructive/20 border-4 border-destructive rounded-base p-4">
+          <p className="font-bold">{message}</p>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <div className="grid grid-cols-7 gap-1 min-w-[640px]">
+          {WEEKDAYS.map(day => (
+            <div key={day} className="text-xs font-black text-center py-1">{day}</div>
+          ))}
+          {weeks.flat().map(date => {
+            const day = toDateKey(date)
+            const cards = byDay[day] || []
+            const outside = mode === 'month' && date.getMonth() !== anchor.getMonth()
+            const limit = mode === 'month' ? MONTH_LIMIT : cards.length
+            return (
+              <div
+                key={day}
+                onDragOver={(e) => {
+                  e.preventDefault()
+                  if (dropDay !== day) setDropDay(day)
+                }}
+                onDrop={(e) => handleDrop(e, day)}
+                className={`border-2 border-border rounded-base p-1 space-y-1 ${mode === 'month' ? 'min-h-24' : 'min-h-64'} ${
+                  outside ? 'bg-muted/40 opacity-60' : 'bg-card'
+                } ${dropDay === day ? 'ring-4 ring-primary' : ''}`}
+              >
+                <div className={`text-xs font-black ${day === today ? 'bg-primary text-primary-foreground rounded-base px-1 w-fit' : ''}`}>
+                  {date.getDate()}
+                </div>
+                {cards.slice(0, limit).map(note => renderChip(note, day))}
+                {cards.length > limit && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setAnchor(date)
+                      setMode('week')
+                    }}
+                    className="text-xs font-black underline"
+                  >
+                    +{cards.length - limit} more
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
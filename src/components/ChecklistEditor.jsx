@@ -0,0 +1,159 @@
+import React, { useState } from 'react'
+import { createItem, getProgress, updateItem, removeItem, moveItem } from '../lib/checklist.js'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+
+// Progress bar for a card's checklist
+export function ChecklistProgress({ checklist = [], className = '' }) {
+  const { done, total, percent } = getProgress(checklist)
+  if (total === 0) return null
+  return (
+    <div className={`flex items-center gap-2 ${className}`} title={`${done} of ${total} items done`}>
+      <div
+        role="progressbar"
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-label="Checklist progress"
+        className="flex-1 h-3 bg-muted border-2 border-border rounded-base overflow-hidden"
+      >
+        <div
+          className={`h-full ${percent === 100 ? 'bg-secondary' : 'bg-primary'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <span className="text-xs font-black">{done}/{total}</span>
+    </div>
+  )
+}
+
+// Ordered checklist items with done state and an optional assignee.
+// Alt+Up/Down on an item moves it.
+export function ChecklistEditor({ items = [], onChange, assignees = [], disabled = false }) {
+  const [text, setText] = useState('')
+  const [assignee, setAssignee] = useState('')
+
+  function add(e) {
+    e.preventDefault()
+    if (!text.trim()) return
+    onChange([...items, createItem(text, assignee)])
+    setText('')
+    setAssignee('')
+  }
+
+  function move(id, to, e) {
+    onChange(moveItem(items, id, to))
+    // Keep focus on the item's text field after it moves
+    const row = e?.currentTarget.closest('[data-checklist-item]')
+    requestAnimationFrame(() => row?.parentElement?.children[to]?.querySelector('input[type="text"]')?.focus())
+  }
+
+  return (
+    <div className="space-y-3">
+      <ChecklistProgress checklist={items} />
+
+      {items.length > 0 && (
+        <ul className="space-y-2">
+          {items.map((item, index) => (
+            <li
+              key={item.id}
+              data-checklist-item
+              className={`flex flex-wrap items-center gap-2 bg-card border-2 border-border rounded-base p-2 ${item.done ? 'opacity-60' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={item.done}
+                disabled={disabled}
+                onChange={() => onChange(updateItem(items, item.id, { done: !item.done }))}
+                className="h-5 w-5 accent-black"
+                aria-label={`Done: ${item.text}`}
+              />
+              <Input
+                type="text"
+                value={item.text}
+                disabled={disabled}
+                onChange={(e) => onChange(updateItem(items, item.id, { text: e.target.value }))}
+                onKeyDown={(e) => {
+                  if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return
+                  e.preventDefault()
+                  move(item.id, index + (e.key === 'ArrowUp' ? -1 : 1), e)
+                }}
+                className={`flex-1 min-w-40 font-semibold ${item.done ? 'line-through' : ''}`}
+              />
+              <Input
+                value={item.assignee || ''}
+                disabled={disabled}
+                onChange={(e) => onChange(updateItem(items, item.id, { assignee: e.target.value.trim().toLowerCase() || undefined }))}
+                list="checklist-assignees"
+                placeholder="👤 Assignee"
+                className="w-44 text-sm font-semibold"
+              />
+              <div className="flex gap-1">
+                <Button
+                  type="button"
+                  onClick={(e) => move(item.id, index - 1, e)}
+                  disabled={disabled || index === 0}
+                  variant="outline"
+                  size="sm"
+                  className="font-black px-2"
+                  aria-label="Move up"
+                >
+                  ▲
+                </Button>
+                <Button
+                  type="button"
+                  onClick={(e) => move(item.id, index + 1, e)}
+                  disabled={disabled || index === items.length - 1}
+                  variant="outline"
+                  size="sm"
+                  className="font-black px-2"
+                  aria-label="Move down"
+                >
+                  ▼
+                </Button>
+                <Button
+                  type="button"
+                  onClick={() => onChange(removeItem(items, item.id))}
+                  disabled={disabled}
+                  variant="destructive"
+                  size="sm"
+                  className="font-black px-2"
+                  aria-label={`Remove ${item.text}`}
+                >
+                  ×
+                </Button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!disabled && (
+        <form onSubmit={add} className="flex flex-wrap gap-2">
+          <Input
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Add an item..."
+            className="flex-1 min-w-40 font-semibold"
+          />
+          <Input
+            value={assignee}
+            onChange={(e) => setAssignee(e.target.value)}
+            list="checklist-assignees"
+            placeholder="👤 Assignee"
+            className="w-44 text-sm font-semibold"
+          />
+          <Button type="submit" disabled={!text.trim()} variant="outline" className="font-black">
+            ADD
+          </Button>
+        </form>
+      )}
+
+      <datalist id="checklist-assignees">
+        {assignees.map(email => (
+          <option key={email} value={email} />
+        ))}
+      </datalist>
+    </div>
+  )
+}
@@ -0,0 +1,275 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { commentHelpers } from '../database.js'
+import { buildThreads, mentionSegments, getMentionQuery, completeMention } from '../lib/comments.js'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
+import { cn } from '@/lib/utils'
+
+const MAX_DEPTH = 3
+const SUGGESTION_LIMIT = 6
+
+// Comment textarea with @email autocomplete from `people`
+function CommentBox({ initial = '', people, placeholder, submitLabel, onSubmit, onCancel, autoFocus = false }) {
+  const [body, setBody] = useState(initial)
+  const [mention, setMention] = useState(null)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState('')
+  // Textarea doesn't forward refs, so reach it through a wrapper
+  const inputRef = useRef(null)
+
+  const suggestions = useMemo(() => {
+    if (!mention) return []
+    return people.filter(email => email.toLowerCase().includes(mention.query)).slice(0, SUGGESTION_LIMIT)
+  }, [mention, people])
+
+  function updateMention(el) {
+    const next = el.selectionStart === el.selectionEnd ? getMentionQuery(el.value, el.selectionStart) : null
+    if (next?.start !== mention?.start || next?.query !== mention?.query) {
+      setMention(next)
+      setActiveIndex(0)
+    }
+  }
+
+  function pick(email) {
+    const el = inputRef.current?.querySelector('textarea')
+    const caret = el ? el.selectionStart : body.length
+    const next = completeMention(body, mention.start, caret, email)
+    setBody(next.text)
+    setMention(null)
+    requestAnimationFrame(() => {
+      if (!el) return
+      el.focus()
+      el.setSelectionRange(next.caret, next.caret)
+    })
+  }
+
+  async function submit(e) {
+    e?.preventDefault()
+    if (!body.trim()) return
+    setIsSaving(true)
+    setError('')
+    try {
+      await onSubmit(body)
+      setBody('')
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  function handleKeyDown(e) {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length)
+        return
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        pick(suggestions[activeIndex])
+        return
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        setMention(null)
+        return
+      }
+    }
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) submit(e)
+    if (e.key === 'Escape' && onCancel) onCancel()
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-2">
+      <div ref={inputRef} className="relative">
+        <Textarea
+          value={body}
+          onChange={(e) => {
+            setBody(e.target.value)
+            updateMention(e.target)
+          }}
+          onSelect={(e) => updateMention(e.target)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setMention(null)}
+          placeholder={placeholder}
+          rows={2}
+          autoFocus={autoFocus}
+          aria-autocomplete="list"
+          aria-expanded={suggestions.length > 0}
+          className="text-sm font-semibold"
+        />
+        {suggestions.length > 0 && (
+          <ul
+            role="listbox"
+            className="absolute left-2 right-2 top-full -mt-1 z-50 bg-card border-4 border-border rounded-base shadow-shadow overflow-hidden"
+          >
+            {suggestions.map((email, i) => (
+              <li
+                key={email}
+                role="option"
+                aria-selected={i === activeIndex}
+                // Keep focus in the textarea so the caret survives the click
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  pick(email)
+                }}
+                className={cn('px-3 py-2 text-sm font-bold cursor-pointer truncate', i === activeIndex && 'bg-accent')}
+              >
+                👤 {email}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {error && <p className="text-sm font-bold text-destructive">⚠️ {error}</p>}
+      <div className="flex gap-2">
+        <Button type="submit" disabled={isSaving || !body.trim()} size="sm" className="font-black">
+          {submitLabel}
+        </Button>
+        {onCancel && (
+          <Button type="button" onClick={onCancel} variant="outline" size="sm" className="font-black">
+            CANCEL
+          </Button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+function CommentItem({ comment, depth, people, currentUser }) {
+  const [mode, setMode] = useState(null)
+  const [error, setError] = useState('')
+  const isOwn = commentHelpers.isOwnComment(comment)
+
+  async function remove() {
+    setError('')
+    try {
+      await commentHelpers.deleteComment(comment.id)
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  return (
+    <li className="space-y-2">
+      <div className="bg-card border-2 border-border rounded-base p-3 space-y-1">
+        <div className="flex flex-wrap items-center gap-2 text-xs font-bold opacity-70">
+          <span className="font-black">👤 {comment.authorEmail || comment.author}</span>
+          <span>{new Date(comment.createdAt).toLocaleString()}</span>
+          {comment.editedAt && <span>(edited)</span>}
+        </div>
+
+        {mode === 'edit' ? (
+          <CommentBox
+            initial={comment.body}
+            people={people}
+            submitLabel="💾 SAVE"
+            autoFocus
+            onSubmit={async (body) => {
+              await commentHelpers.updateComment(comment.id, body)
+              setMode(null)
+            }}
+            onCancel={() => setMode(null)}
+          />
+        ) : comment.deletedAt ? (
+          <p className="text-sm font-semibold italic opacity-60">Comment deleted</p>
+        ) : (
+          <p className="text-sm font-semibold whitespace-pre-wrap break-words">
+            {mentionSegments(comment.body).map((segment, i) => segment.mention ? (
+              <span
+                key={i}
+                className={cn('font-black rounded px-0.5', segment.mention === currentUser ? 'bg-accent' : 'bg-muted')}
+              >
+                {segment.text}
+              </span>
+            ) : (
+              <React.Fragment key={i}>{segment.text}</React.Fragment>
+            ))}
+          </p>
+        )}
+
+        {mode !== 'edit' && !comment.deletedAt && (
+          <div className="flex gap-1 pt-1">
+            {depth < MAX_DEPTH && (
+              <Button onClick={() => setMode(mode === 'reply' ? null : 'reply')} variant="ghost" size="sm" className="h-7 px-2 text-xs font-black">
+                ↩️ REPLY
+              </Button>
+            )}
+            {isOwn && (
+              <>
+                <Button onClick={() => setMode('edit')} variant="ghost" size="sm" className="h-7 px-2 text-xs font-black">
+                  ✏️ EDIT
+                </Button>
+                <Button onClick={remove} variant="ghost" size="sm" className="h-7 px-2 text-xs font-black hover:bg-destructive hover:text-destructive-foreground">
+                  🗑️ DELETE
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+        {error && <p className="text-sm font-bold text-destructive">⚠️ {error}</p>}
+      </div>
+
+      {mode === 'reply' && (
+        <div className="ml-6">
+          <CommentBox
+            people={people}
+            placeholder={`Reply to ${comment.authorEmail || comment.author}...`}
+            submitLabel="↩️ REPLY"
+            autoFocus
+            onSubmit={async (body) => {
+              await commentHelpers.addComment(comment.noteId, body, comment.id)
+              setMode(null)
+            }}
+            onCancel={() => setMode(null)}
+          />
+        </div>
+      )}
+
+      {comment.replies.length > 0 && (
+        <ul className="ml-6 space-y-2 border-l-4 border-border pl-3">
+          {comment.replies.map(reply => (
+            <CommentItem key={reply.id} comment={reply} depth={depth + 1} people={people} currentUser={currentUser} />
+          ))}
+        </ul>
+      )}
+    </li>
+  )
+}
+
+// Threaded comments for a card. Opening the card marks its comments read.
+export function CommentsPanel({ noteId, people = [], currentUser }) {
+  const comments = useLiveQuery(() => commentHelpers.getComments(noteId), [noteId])
+  const threads = useMemo(() => buildThreads(comments || []), [comments])
+  const count = (comments || []).filter(c => !c.deletedAt).length
+
+  // Also covers comments that arrive while the card is open
+  useEffect(() => {
+    if (comments) commentHelpers.markRead(noteId)
+  }, [noteId, comments])
+
+  return (
+    <div className="space-y-3">
+      <label className="text-sm font-black uppercase tracking-wide">💬 Comments ({count})</label>
+      {threads.length > 0 ? (
+        <ul className="space-y-2">
+          {threads.map(comment => (
+            <CommentItem key={comment.id} comment={comment} depth={0} people={people} currentUser={currentUser} />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm font-semibold opacity-60">No comments yet. Start the conversation!</p>
+      )}
+      <CommentBox
+        people={people}
+        placeholder="Write a comment... Type @ to mention someone. Ctrl+Enter to send."
+        submitLabel="💬 COMMENT"
+        onSubmit={(body) => commentHelpers.addComment(noteId, body)}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+import React from 'react'
+import { formatFieldValue } from '../lib/diff.js'
+import { Button } from '@/components/ui/button'
+
+// "This card was changed elsewhere" banner with a keep-mine / take-theirs
+// choice for every conflicting field
+export function ConflictBanner({ conflicts, doc, onResolve, onResolveAll }) {
+  const fields = Object.keys(conflicts || {})
+  if (fields.length === 0) return null
+
+  return (
+    <div className="bg-accent/30 border-4 border-accent rounded-base p-4 space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <div>
+          <p className="font-black text-lg">⚡ THIS CARD WAS CHANGED ELSEWHERE</p>
+          <p className="font-bold opacity-80">
+            Someone saved changes to fields you are editing. Pick which version to keep.
+          </p>
+        </div>
+        {fields.length > 1 && (
+          <div className="flex gap-2 shrink-0">
+            <Button onClick={() => onResolveAll('mine')} size="sm" className="font-black">
+              KEEP ALL MINE
+            </Button>
+            <Button onClick={() => onResolveAll('theirs')} variant="neutral" size="sm" className="font-black">
+              TAKE ALL THEIRS
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {fields.map(field => (
+        <div key={field} className="bg-card border-4 border-border rounded-base p-3 space-y-2">
+          <p className="text-sm font-black uppercase tracking-wide">{field}</p>
+          <div className="grid sm:grid-cols-2 gap-2">
+            <div className="bg-primary/10 border-2 border-border rounded-base p-2">
+              <p className="text-xs font-black opacity-70">MINE</p>
+              <p className="text-sm font-semibold whitespace-pre-wrap break-words line-clamp-6">{formatFieldValue(doc?.[field])}</p>
+            </div>
+            <div className="bg-secondary/30 border-2 border-border rounded-base p-2">
+              <p className="text-xs font-black opacity-70">THEIRS</p>
+              <p className="text-sm font-semibold whitespace-pre-wrap break-words line-clamp-6">{formatFieldValue(conflicts[field])}</p>
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Button onClick={() => onResolve(field, 'mine')} size="sm" className="font-black">
+              ✋ KEEP MINE
+            </Button>
+            <Button onClick={() => onResolve(field, 'theirs')} variant="neutral" size="sm" className="font-black">
+              📥 TAKE THEIRS
+            </Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,22 @@
+import React from 'react'
+import { getDueStatus } from '../lib/due.js'
+import { DONE_STATUS } from '../lib/board.js'
+import { Badge } from '@/components/ui/badge'
+
+const statusStyle = {
+  overdue: 'bg-destructive text-destructive-foreground',
+  today: 'bg-accent text-accent-foreground',
+  upcoming: 'bg-secondary text-secondary-foreground',
+  later: ''
+}
+
+// Overdue / due today / upcoming indicator for a card
+export function DueBadge({ note, className = '' }) {
+  const due = getDueStatus(note, { doneStatus: DONE_STATUS })
+  if (!due) return null
+  return (
+    <Badge variant="neutral" className={`text-xs font-black ${statusStyle[due.status]} ${className}`}>
+      {due.label}
+    </Badge>
+  )
+}
@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from 'react'
+import { buildLinkGraph } from '../lib/links.js'
+import { layoutGraph } from '../lib/graph.js'
+import { getTagColor } from '../lib/tags.js'
+import { useTagColors } from '../hooks/useTagColors.js'
+import { Button } from '@/components/ui/button'
+
+const WIDTH = 800
+const HEIGHT = 600
+
+function shorten(title = '', length = 22) {
+  const text = title || 'Untitled Card'
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text
+}
+
+// Network of [[links]] between the cards in the current view. Use the view's
+// tag filter to narrow it down; hover or focus a card to see its neighbours.
+export function GraphView({ notes, onOpen }) {
+  const [linkedOnly, setLinkedOnly] = useState(true)
+  const [activeId, setActiveId] = useState(null)
+  const tagColors = useTagColors()
+
+  const graph = useMemo(() => buildLinkGraph(notes), [notes])
+  const linkedIds = useMemo(() => {
+    const ids = new Set()
+    graph.edges.forEach(e => {
+      ids.add(e.from)
+      ids.add(e.to)
+    })
+    return ids
+  }, [graph])
+  const nodes = linkedOnly ? graph.nodes.filter(n => linkedIds.has(n.id)) : graph.nodes
+
+  // Only lay out again when the cards or links change, not on every edit
+  const shape = JSON.stringify([nodes.map(n => n.id), graph.edges])
+  const positions = useMemo(
+    () => layoutGraph(nodes, graph.edges, { width: WIDTH, height: HEIGHT }),
+    [shape]
+  )
+
+  const degree = {}
+  graph.edges.forEach(e => {
+    degree[e.from] = (degree[e.from] || 0) + 1
+    degree[e.to] = (degree[e.to] || 0) + 1
+  })
+  const neighbours = new Set(activeId ? [activeId] : [])
+  graph.edges.forEach(e => {
+    if (e.from === activeId) neighbours.add(e.to)
+    if (e.to === activeId) neighbours.add(e.from)
+  })
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm font-bold opacity-70">
+          {nodes.length} cards • {graph.edges.length} links. Filter by tag above; link cards with [[Card title]].
+        </p>
+        <Button onClick={() => setLinkedOnly(!linkedOnly)} variant={linkedOnly ? 'default' : 'outline'} size="sm" className="font-black">
+          🔗 ONLY LINKED CARDS
+        </Button>
+      </div>
+
+      {nodes.length === 0 ? (
+        <div className="bg-muted/50 border-4 border-border rounded-base p-8 text-center">
+          <p className="font-black text-lg">🕸️ NO LINKED CARDS HERE</p>
+          <p className="font-bold opacity-70">Type [[ in a card's details to link it to another card.</p>
+        </div>
+      ) : (
+        <div className="bg-card border-4 border-border rounded-base shadow-shadow overflow-hidden">
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="group" aria-label="Card link graph">
+            <defs>
+              <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" className="fill-foreground" />
+              </marker>
+            </defs>
+            {graph.edges.map(edge => {
+              const from = positions[edge.from]
+              const to = positions[edge.to]
+              if (!from || !to) return null
+              // Stop the arrow at the target's edge
+              const r = 8 + Math.min(degree[edge.to] || 0, 6) * 2
+              const dist = Math.max(Math.hypot(to.x - from.x, to.y - from.y), 1)
+              const highlighted = activeId && (edge.from === activeId || edge.to === activeId)
+              return (
+                <line
+                  key={`${edge.from}>${edge.to}`}
+                  x1={from.x}
+                  y1={from.y}
+                  x2={to.x - ((to.x - from.x) / dist) * r}
+                  y2={to.y - ((to.y - from.y) / dist) * r}
+                  markerEnd="url(#graph-arrow)"
+                  className="stroke-foreground"
+                  strokeWidth={highlighted ? 3 : 1.5}
+                  opacity={activeId && !highlighted ? 0.15 : 0.6}
+                />
+              )
+            })}
+            {nodes.map(note => {
+              const pos = positions[note.id]
+              if (!pos) return null
+              const color = (note.tags || []).map(t => getTagColor(t, tagColors)).find(Boolean)
+              const r = 8 + Math.min(degree[note.id] || 0, 6) * 2
+              const dimmed = activeId && !neighbours.has(note.id)
+              return (
+                <g
+                  key={note.id}
+                  role="button"
+                  tabIndex={0}
+                  aria-label={`${note.title || 'Untitled Card'}, ${degree[note.id] || 0} links`}
+                  transform={`translate(${pos.x} ${pos.y})`}
+                  onClick={() => onOpen(note.id)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault()
+                      onOpen(note.id)
+                    }
+                  }}
+                  onMouseEnter={() => setActiveId(note.id)}
+                  onMouseLeave={() => setActiveId(null)}
+                  onFocus={() => setActiveId(note.id)}
+                  onBlur={() => setActiveId(null)}
+                  className="cursor-pointer focus:outline-none"
+                  opacity={dimmed ? 0.25 : 1}
+                >
+                  <circle
+                    r={r}
+                    strokeWidth={activeId === note.id ? 4 : 2.5}
+                    className={`stroke-border ${color ? '' : 'fill-primary'}`}
+                    style={color ? { fill: color } : undefined}
+                  />
+                  <text y={r + 14} textAnchor="middle" className="fill-foreground text-xs font-bold pointer-events-none">
+                    {shorten(note.title)}
+                  </text>
+                  <title>{note.title || 'Untitled Card'}</title>
+                </g>
+              )
+            })}
+          </svg>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,13 @@
+import React from 'react'
+import { highlightSegments } from '../lib/search.js'
+
+// Text with the search terms marked
+export function Highlight({ text, terms }) {
+  return highlightSegments(text || '', terms).map((segment, i) =>
+    segment.match ? (
+      <mark key={i} className="bg-accent text-accent-foreground rounded px-0.5">{segment.text}</mark>
+    ) : (
+      <React.Fragment key={i}>{segment.text}</React.Fragment>
+    )
+  )
+}
@@ -0,0 +1,117 @@
+import React, { useState } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { revisionHelpers } from '../database.js'
+import { diffLines, formatFieldValue } from '../lib/diff.js'
+import { ACTION_LABELS } from '../lib/activity.js'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+
+const lineStyle = {
+  same: 'opacity-60',
+  added: 'bg-secondary/50',
+  removed: 'bg-destructive/30 line-through'
+}
+
+const linePrefix = { same: '  ', added: '+ ', removed: '- ' }
+
+function FieldDiff({ field, change }) {
+  const isText = typeof change.from === 'string' || typeof change.to === 'string'
+
+  return (
+    <div className="space-y-1">
+      <p className="text-xs font-black uppercase tracking-wide">{field}</p>
+      {isText ? (
+        <pre className="text-xs font-mono bg-card border-2 border-border rounded-base p-2 overflow-auto max-h-64 whitespace-pre-wrap">
+          {diffLines(change.from, change.to).map((line, i) => (
+            <div key={i} className={lineStyle[line.type]}>
+              {linePrefix[line.type]}{line.text}
+            </div>
+          ))}
+        </pre>
+      ) : (
+        <p className="text-sm font-semibold">
+          <span className="bg-destructive/30 px-1 rounded line-through">{formatFieldValue(change.from)}</span>
+          {' → '}
+          <span className="bg-secondary/50 px-1 rounded">{formatFieldValue(change.to)}</span>
+        </p>
+      )}
+    </div>
+  )
+}
+
+// Revision list for a card with a per-revision diff and restore
+export function HistoryPanel({ noteId, canEdit = true }) {
+  const revisions = useLiveQuery(() => revisionHelpers.getRevisions(noteId), [noteId]) || []
+  const [openId, setOpenId] = useState(null)
+  const [message, setMessage] = useState('')
+
+  async function restore(revision) {
+    setMessage('')
+    try {
+      await revisionHelpers.restore(revision.id)
+      setMessage(`Restored the card to ${new Date(revision.createdAt).toLocaleString()}`)
+    } catch (error) {
+      setMessage(`Could not restore: ${error.message}`)
+    }
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+        <p className="font-bold opacity-70">🕰️ NO HISTORY YET</p>
+        <p className="text-sm font-semibold opacity-50">Edits to this card will show up here.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      {message && (
+        <div className="bg-accent/20 border-4 border-accent rounded-base p-3">
+          <p className="font-bold text-sm">{message}</p>
+        </div>
+      )}
+
+      {revisions.map((revision, index) => {
+        const isOpen = openId === revision.id
+        const fields = Object.keys(revision.changes || {})
+
+        return (
+          <div key={revision.id} className="bg-card border-4 border-border rounded-base p-3 shadow-shadow space-y-2">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+              <button
+                type="button"
+                onClick={() => setOpenId(isOpen ? null : revision.id)}
+                className="text-left"
+              >
+                <p className="font-black text-sm">
+                  {ACTION_LABELS[revision.action] || revision.action}
+                  <span className="font-semibold opacity-70"> by {revision.authorEmail || revision.author}</span>
+                </p>
+                <p className="text-xs font-bold opacity-60">{new Date(revision.createdAt).toLocaleString()}</p>
+              </button>
+              <div className="flex flex-wrap items-center gap-1">
+                {fields.slice(0, 4).map(field => (
+                  <Badge key={field} variant="neutral" className="text-xs font-bold">{field}</Badge>
+                ))}
+                {canEdit && index > 0 && (
+                  <Button onClick={() => restore(revision)} variant="outline" size="sm" className="font-black ml-2">
+                    ⏪ RESTORE
+                  </Button>
+                )}
+              </div>
+            </div>
+
+            {isOpen && (
+              <div className="space-y-3 pt-2 border-t-2 border-border">
+                {fields.map(field => (
+                  <FieldDiff key={field} field={field} change={revision.changes[field]} />
+                ))}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react'
+import { alertText, RESEND_COOLDOWN_MS } from '../lib/auth.js'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+
+const alertStyle = {
+  error: 'bg-destructive/20 border-destructive',
+  warning: 'bg-accent/20 border-accent',
+  info: 'bg-secondary/30 border-secondary'
+}
+
+const alertEmoji = { error: '⚠️', warning: '✋', info: '📨' }
+
+const titleEmoji = {
+  email: '📧',
+  otp: '🔐',
+  'message-alert': '📣',
+  'logout-confirmation': '🚪'
+}
+
+// Modal for the prompts Dexie Cloud sends through db.cloud.userInteraction:
+// email, one-time code, alerts and logout confirmation. For the code
+// prompt, `onResend` requests a new email once the cooldown has passed.
+export function LoginDialog({ interaction, email, codeSentAt, onResend }) {
+  const [values, setValues] = useState({})
+  const [now, setNow] = useState(Date.now())
+
+  const isOtp = interaction?.type === 'otp'
+  const resendAt = (codeSentAt || 0) + RESEND_COOLDOWN_MS
+  const cooldown = Math.max(0, Math.ceil((resendAt - now) / 1000))
+
+  // A new prompt starts with empty fields
+  useEffect(() => {
+    setValues({})
+    setNow(Date.now())
+  }, [interaction])
+
+  useEffect(() => {
+    if (!isOtp || cooldown === 0) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [isOtp, cooldown])
+
+  useEffect(() => {
+    if (!interaction?.cancelLabel) return
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') interaction.onCancel()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [interaction])
+
+  if (!interaction) return null
+
+  const fields = Object.entries(interaction.fields || {})
+  const canSubmit = fields.every(([name]) => (values[name] || '').trim())
+
+  function submit(e) {
+    e.preventDefault()
+    if (!canSubmit) return
+    const trimmed = Object.fromEntries(fields.map(([name]) => [name, values[name].trim()]))
+    interaction.onSubmit(trimmed)
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="login-dialog-title"
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+    >
+      <Card className="w-full max-w-md transform -rotate-1">
+        <CardHeader className="bg-primary text-primary-foreground">
+          <CardTitle id="login-dialog-title" className="text-2xl font-black flex items-center gap-2">
+            {titleEmoji[interaction.type] || '☁️'} {interaction.title.toUpperCase()}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="p-6">
+          <form onSubmit={submit} className="space-y-4">
+            {interaction.alerts.map((alert, i) => (
+              <div key={i} className={`border-4 rounded-base p-3 ${alertStyle[alert.type] || alertStyle.info}`}>
+                <p className="font-bold text-sm whitespace-pre-line">
+                  {alertEmoji[alert.type]} {alertText(alert)}
+                </p>
+              </div>
+            ))}
+
+            {fields.map(([name, field], i) => (
+              <div key={name} className="space-y-2">
+                {field.label && (
+                  <label htmlFor={`login-field-${name}`} className="text-sm font-black uppercase tracking-wide">
+                    {isOtp ? 'One-Time Code' : field.label}
+                  </label>
+                )}
+                <Input
+                  id={`login-field-${name}`}
+                  type={field.type === 'password' ? 'password' : field.type === 'email' ? 'email' : 'text'}
+                  value={values[name] || ''}
+                  onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                  placeholder={field.placeholder}
+                  autoFocus={i === 0}
+                  inputMode={field.type === 'otp' ? 'numeric' : undefined}
+                  autoComplete={field.type === 'otp' ? 'one-time-code' : field.type === 'email' ? 'email' : undefined}
+                  className={field.type === 'otp' ? 'text-2xl font-black font-mono tracking-widest text-center' : 'text-lg font-bold'}
+                />
+              </div>
+            ))}
+
+            {isOtp && onResend && (
+              <p className="text-sm font-bold opacity-80">
+                Didn't get it? Check your spam folder or{' '}
+                {cooldown > 0 ? (
+                  <span className="opacity-60">resend in {cooldown}s</span>
+                ) : (
+                  <button type="button" onClick={() => onResend(interaction)} className="font-black underline">
+                    📨 send a new code{email ? ` to ${email}` : ''}
+                  </button>
+                )}
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              <Button type="submit" disabled={fields.length > 0 && !canSubmit} className="flex-1 font-black">
+                {isOtp ? '🔓 VERIFY CODE' : interaction.submitLabel.toUpperCase()}
+              </Button>
+              {interaction.cancelLabel && (
+                <Button type="button" onClick={() => interaction.onCancel()} variant="outline" className="font-black">
+                  {interaction.cancelLabel.toUpperCase()}
+                </Button>
+              )}
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import { renderMarkdown, attachmentImageMarkdown, toggleTask } from '../lib/markdown.js'
+import { linkKey, getLinkQuery, completeLink } from '../lib/links.js'
+import { getPreviewKind } from '../lib/files.js'
+import { Button } from '@/components/ui/button'
+import { Textarea } from '@/components/ui/textarea'
+import { cn } from '@/lib/utils'
+
+const NO_ATTACHMENTS = []
+const NO_NOTES = []
+const SUGGESTION_LIMIT = 6
+
+// Object URLs for image attachments, keyed by name, revoked when they change
+function useAttachmentUrls(attachments = NO_ATTACHMENTS) {
+  const [urls, setUrls] = useState({})
+
+  useEffect(() => {
+    const next = {}
+    attachments
+      .filter(a => a.blob && getPreviewKind(a.type) === 'image')
+      .forEach(a => { next[a.name] = URL.createObjectURL(a.blob) })
+    setUrls(next)
+    return () => Object.values(next).forEach(url => URL.revokeObjectURL(url))
+  }, [attachments])
+
+  return urls
+}
+
+// Sanitized, rendered Markdown. With onToggleTask, checklist items are clickable;
+// with onOpenNote, [[links]] resolved through resolveLink open the linked card.
+export function MarkdownView({ source, attachments, onToggleTask, resolveLink, onOpenNote, className }) {
+  const attachmentUrls = useAttachmentUrls(attachments)
+  const html = useMemo(
+    () => renderMarkdown(source || '', { attachmentUrls, resolveLink, interactive: !!onToggleTask }),
+    [source, attachmentUrls, resolveLink, onToggleTask]
+  )
+
+  function handleClick(e) {
+    const link = e.target.closest?.('a[data-note-link]')
+    if (link && onOpenNote) {
+      e.preventDefault()
+      e.stopPropagation()
+      onOpenNote(link.dataset.noteLink)
+      return
+    }
+    if (!onToggleTask || e.target.type !== 'checkbox') return
+    const boxes = Array.from(e.currentTarget.querySelectorAll('input[type="checkbox"]'))
+    onToggleTask(boxes.indexOf(e.target))
+  }
+
+  return (
+    <div
+      className={cn('markdown', className)}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  )
+}
+
+const toolbar = [
+  { label: 'B', title: 'Bold', before: '**', after: '**', placeholder: 'bold' },
+  { label: 'I', title: 'Italic', before: '_', after: '_', placeholder: 'italic' },
+  { label: 'H', title: 'Heading', before: '## ', after: '', placeholder: 'Heading', block: true },
+  { label: '•', title: 'List', before: '- ', after: '', placeholder: 'item', block: true },
+  { label: '☑', title: 'Checklist', before: '- [ ] ', after: '', placeholder: 'task', block: true },
+  { label: '</>', title: 'Code block', before: '```\n', after: '\n```', placeholder: 'code', block: true },
+  { label: '🔗', title: 'Link', before: '[', after: '](https://)', placeholder: 'link text' },
+  { label: '[[ ]]', title: 'Card link', before: '[[', after: ']]', placeholder: 'Card title' }
+]
+
+const modes = [
+  { id: 'edit', label: '✏️ EDIT' },
+  { id: 'split', label: '🪟 SPLIT' },
+  { id: 'preview', label: '👁️ PREVIEW' }
+]
+
+// `linkTargets` are the cards offered when typing "[[".
+export function MarkdownEditor({
+  value,
+  onChange,
+  attachments = NO_ATTACHMENTS,
+  linkTargets = NO_NOTES,
+  resolveLink,
+  onOpenNote,
+  disabled = false,
+  rows = 10
+}) {
+  const [mode, setMode] = useState('split')
+  const [linkQuery, setLinkQuery] = useState(null)
+  const [activeIndex, setActiveIndex] = useState(0)
+  // Textarea doesn't forward refs, so reach it through a wrapper
+  const inputRef = useRef(null)
+  const images = attachments.filter(a => getPreviewKind(a.type) === 'image')
+
+  const suggestions = useMemo(() => {
+    if (!linkQuery) return []
+    const query = linkKey(linkQuery.query)
+    return linkTargets
+      .filter(n => linkKey(n.title) && linkKey(n.title).includes(query))
+      .sort((a, b) => Number(!linkKey(a.title).startsWith(query)) - Number(!linkKey(b.title).startsWith(query)))
+      .slice(0, SUGGESTION_LIMIT)
+  }, [linkQuery, linkTargets])
+
+  // Follow the caret to show or hide card suggestions
+  function updateLinkQuery(el) {
+    const next = el.selectionStart === el.selectionEnd ? getLinkQuery(el.value, el.selectionStart) : null
+    if (next?.start !== linkQuery?.start || next?.query !== linkQuery?.query) {
+      setLinkQuery(next)
+      setActiveIndex(0)
+    }
+  }
+
+  function pickLink(note) {
+    const el = inputRef.current?.querySelector('textarea')
+    const caret = el ? el.selectionStart : (value || '').length
+    const next = completeLink(value || '', linkQuery.start, caret, note.title.trim())
+    onChange(next.text)
+    setLinkQuery(null)
+    requestAnimationFrame(() => {
+      if (!el) return
+      el.focus()
+      el.setSelectionRange(next.caret, next.caret)
+    })
+  }
+
+  function handleKeyDown(e) {
+    if (suggestions.length === 0) return
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setActiveIndex((activeIndex + step + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      pickLink(suggestions[activeIndex])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      setLinkQuery(null)
+    }
+  }
+
+  // Wrap the selection (or a placeholder) with the given markers
+  function insert({ before, after = '', placeholder = '', block = false }) {
+    const el = inputRef.current?.querySelector('textarea')
+    const text = value || ''
+    const start = el ? el.selectionStart : text.length
+    const end = el ? el.selectionEnd : text.length
+    const selected = text.slice(start, end) || placeholder
+    const needsNewline = block && start > 0 && text[start - 1] !== '\n'
+    const insertion = `${needsNewline ? '\n' : ''}${before}${selected}${after}`
+    onChange(text.slice(0, start) + insertion + text.slice(end))
+
+    // Restore focus with the inserted text selected
+    requestAnimationFrame(() => {
+      if (!el) return
+      const selStart = start + insertion.length - after.length - selected.length
+      el.focus()
+      el.setSelectionRange(selStart, selStart + selected.length)
+    })
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {mode !== 'preview' && toolbar.map(tool => (
+          <Button
+            key={tool.title}
+            type="button"
+            title={tool.title}
+            onClick={() => insert(tool)}
+            disabled={disabled}
+            variant="neutral"
+            size="sm"
+            className="font-black min-w-9"
+          >
+            {tool.label}
+          </Button>
+        ))}
+        {mode !== 'preview' && images.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && insert({ before: attachmentImageMarkdown(e.target.value), block: true })}
+            disabled={disabled}
+            className="rounded-base border-2 border-border bg-card px-2 py-2 text-sm font-bold"
+          >
+            <option value="">🖼️ EMBED IMAGE</option>
+            {images.map(a => (
+              <option key={a.id} value={a.name}>{a.name}</option>
+            ))}
+          </select>
+        )}
+        <div className="ml-auto flex gap-1">
+          {modes.map(m => (
+            <Button
+              key={m.id}
+              type="button"
+              onClick={() => setMode(m.id)}
+              variant={mode === m.id ? 'default' : 'neutral'}
+              size="sm"
+              className="font-black text-xs"
+            >
+              {m.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div className={cn('grid gap-3', mode === 'split' && 'md:grid-cols-2')}>
+        {mode !== 'preview' && (
+          <div ref={inputRef} className="relative">
+            <Textarea
+              value={value || ''}
+              onChange={(e) => {
+                onChange(e.target.value)
+                updateLinkQuery(e.target)
+              }}
+              onSelect={(e) => updateLinkQuery(e.target)}
+              onKeyDown={handleKeyDown}
+              onBlur={() => setLinkQuery(null)}
+              placeholder="Add details... Markdown supported: **bold**, - [ ] tasks, ```code```, [links](https://), [[Card title]]"
+              rows={rows}
+              disabled={disabled}
+              aria-autocomplete="list"
+              aria-expanded={suggestions.length > 0}
+              aria-activedescendant={suggestions.length > 0 ? `link-suggestion-${activeIndex}` : undefined}
+              className="text-base font-mono h-full"
+            />
+            {suggestions.length > 0 && (
+              <ul
+                role="listbox"
+                className="absolute left-2 right-2 top-full -mt-2 z-50 bg-card border-4 border-border rounded-base shadow-shadow overflow-hidden"
+              >
+                {suggestions.map((note, i) => (
+                  <li
+                    key={note.id}
+                    id={`link-suggestion-${i}`}
+                    role="option"
+                    aria-selected={i === activeIndex}
+                    // Keep focus in the textarea so the caret survives the click
+                    onMouseDown={(e) => {
+                      e.preventDefault()
+                      pickLink(note)
+                    }}
+                    className={cn('px-3 py-2 text-sm font-bold cursor-pointer truncate', i === activeIndex && 'bg-accent')}
+                  >
+                    🔗 {note.title}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        {mode !== 'edit' && (
+          <div className="rounded-base border-2 border-border bg-card p-3 overflow-auto">
+            {value ? (
+              <MarkdownView
+                source={value}
+                attachments={attachments}
+                resolveLink={resolveLink}
+                onOpenNote={onOpenNote}
+                onToggleTask={disabled ? undefined : (index) => onChange(toggleTask(value, index))}
+              />
+            ) : (
+              <p className="font-bold opacity-50">Nothing to preview yet...</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react'
+import { useLiveQuery, useObservable } from 'dexie-react-hooks'
+import { db, migrationHelpers, PUBLIC_REALM_ID } from '../database.js'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+
+const selectClass = 'rounded-base border-4 border-border bg-card px-3 py-2 text-sm font-bold shadow-shadow focus:ring-4 focus:ring-ring'
+
+// Offered after sign-in when this device has cards made while signed out:
+// pick which to move into the personal or a team realm. Duplicates of cards
+// already in the account start unselected and can be discarded instead.
+export function MigrationPanel({ writableRealms }) {
+  const user = useObservable(db.cloud.currentUser)
+  const preview = useLiveQuery(() => migrationHelpers.getPreview(), [user?.userId, user?.isLoggedIn]) || []
+  const [included, setIncluded] = useState(null)
+  const [discardDuplicates, setDiscardDuplicates] = useState(true)
+  const [realmId, setRealmId] = useState('')
+  const [isMoving, setIsMoving] = useState(false)
+  const [report, setReport] = useState(null)
+  const [dismissed, setDismissed] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const teamRealms = writableRealms.filter(r => r.realmId !== PUBLIC_REALM_ID)
+
+  // Select everything but duplicates once the preview is first loaded
+  useEffect(() => {
+    if (included === null && preview.length > 0) {
+      setIncluded(preview.filter(item => !item.duplicate).map(item => item.note.id))
+    }
+  }, [preview, included])
+
+  if (dismissed || (preview.length === 0 && !report)) return null
+
+  const selected = (included || []).filter(id => preview.some(item => item.note.id === id))
+  const discardIds = discardDuplicates
+    ? preview.filter(item => item.duplicate && !selected.includes(item.note.id)).map(item => item.note.id)
+    : []
+  const duplicateCount = preview.filter(item => item.duplicate).length
+
+  const toggle = (id) => {
+    setIncluded(prev => prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id])
+  }
+
+  const handleMove = async () => {
+    setIsMoving(true)
+    setMessage('')
+    try {
+      const result = await migrationHelpers.migrate(selected, { realmId, discardIds })
+      const left = preview.length - result.moved - result.discarded - result.errors.length
+      setReport({ ...result, left })
+      setIncluded([])
+    } catch (error) {
+      setMessage(error.message)
+    } finally {
+      setIsMoving(false)
+    }
+  }
+
+  return (
+    <Card className="transform rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-accent text-accent-foreground">
+        <div className="flex items-center justify-between gap-2">
+          <CardTitle className="text-2xl font-black flex items-center gap-2">
+            📲 CARDS FROM BEFORE YOU SIGNED IN
+          </CardTitle>
+          <Button onClick={() => setDismissed(true)} variant="outline" size="sm" className="font-black">
+            {report && preview.length === 0 ? '✔️ DONE' : '⏸️ NOT NOW'}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="p-6 space-y-4">
+        {preview.length > 0 && (
+          <>
+            <p className="font-bold">
+              {preview.length} cards on this device were made while signed out and only live here.
+              Move them into your account to sync them everywhere. Cards left here are deleted if you sign out.
+            </p>
+            <div className="max-h-80 overflow-auto space-y-2">
+              {preview.map(({ note, duplicate, attachmentCount }) => (
+                <label
+                  key={note.id}
+                  className={`flex items-start gap-3 border-2 border-border rounded-base p-2 ${duplicate ? 'bg-accent/20' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(note.id)}
+                    onChange={() => toggle(note.id)}
+                    className="mt-1 h-4 w-4 accent-black"
+                  />
+                  <span className="min-w-0">
+                    <span className="block font-black truncate">
+                      {duplicate ? '⚠️' : '📄'} {note.title || 'Untitled Card'}
+                    </span>
+                    <span className="block text-xs font-bold opacity-70">
+                      {duplicate || `Created ${new Date(note.createdAt).toLocaleString()}`}
+                      {attachmentCount > 0 && ` • ${attachmentCount} attachments`}
+                      {note.deletedAt && ' • in the trash'}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            {duplicateCount > 0 && (
+              <label className="flex items-center gap-2 text-sm font-bold">
+                <input
+                  type="checkbox"
+                  checked={discardDuplicates}
+                  onChange={(e) => setDiscardDuplicates(e.target.checked)}
+                  className="h-4 w-4 accent-black"
+                />
+                Delete unselected duplicates from this device
+              </label>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+              <select value={realmId} onChange={(e) => setRealmId(e.target.value)} className={selectClass}>
+                <option value="">🔒 INTO PERSONAL</option>
+                {teamRealms.map(r => (
+                  <option key={r.realmId} value={r.realmId}>🏷️ INTO {(r.name || r.realmId).toUpperCase()}</option>
+                ))}
+              </select>
+              <Button
+                onClick={handleMove}
+                disabled={isMoving || (selected.length === 0 && discardIds.length === 0)}
+                className="font-black"
+              >
+                {isMoving
+                  ? '⏳ MOVING...'
+                  : `📦 MOVE ${selected.length} CARDS${discardIds.length ? ` • DELETE ${discardIds.length}` : ''}`}
+              </Button>
+            </div>
+          </>
+        )}
+
+        {report && (
+          <div className="bg-secondary/30 border-4 border-secondary rounded-base p-4 space-y-2">
+            <p className="font-black">✅ Moved {report.moved} cards into your account</p>
+            {report.discarded > 0 && <p className="font-bold">🗑️ Deleted {report.discarded} duplicates from this device</p>}
+            {report.left > 0 && <p className="font-bold">📲 {report.left} cards are still only on this device</p>}
+            {report.errors.length > 0 && (
+              <ul className="text-sm font-semibold space-y-1">
+                {report.errors.map((e, i) => (
+                  <li key={i}>❌ {e.label}: {e.error}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-destructive/20 border-4 border-destructive rounded-base p-3">
+            <p className="font-bold text-sm">{message}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
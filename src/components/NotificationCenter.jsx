@@ -0,0 +1,109 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { useLiveQuery, useObservable } from 'dexie-react-hooks'
+import { db, activityHelpers } from '../database.js'
+import { ActivityItem } from './ActivityFeed.jsx'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { cn } from '@/lib/utils'
+
+const RANGE_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const reasonLabel = {
+  mention: '📣 MENTIONED YOU',
+  owner: '👑 YOUR CARD',
+  'mentioned card': '💬 YOU WERE MENTIONED HERE'
+}
+
+// Bell with a dropdown of other people's changes and comments on cards the
+// user owns or was mentioned in. Read state is stored per user and syncs.
+export function NotificationCenter({ notes, onOpen }) {
+  const [open, setOpen] = useState(false)
+  const since = useMemo(() => Date.now() - RANGE_DAYS * DAY_MS, [])
+  const user = useObservable(db.cloud.currentUser)
+  const userId = user?.isLoggedIn ? user.userId : null
+  const notifications = useLiveQuery(() => activityHelpers.getNotifications(since), [since, userId]) || []
+  const titles = useMemo(() => new Map(notes.map(n => [n.id, n.title || 'Untitled Card'])), [notes])
+  const unread = notifications.filter(n => n.unread).length
+  const panelRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    function close(e) {
+      if (e.type === 'keydown' ? e.key === 'Escape' : !panelRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', close)
+    document.addEventListener('keydown', close)
+    return () => {
+      document.removeEventListener('mousedown', close)
+      document.removeEventListener('keydown', close)
+    }
+  }, [open])
+
+  function openEntry(entry) {
+    activityHelpers.markRead(entry.id)
+    onOpen(entry.noteId)
+    setOpen(false)
+  }
+
+  return (
+    <div ref={panelRef} className="relative shrink-0">
+      <Button
+        onClick={() => setOpen(!open)}
+        variant={open ? 'default' : 'outline'}
+        aria-label={`Notifications, ${unread} unread`}
+        aria-expanded={open}
+        className="font-black relative"
+      >
+        🔔
+        {unread > 0 && (
+          <Badge className="absolute -top-3 -right-3 bg-destructive text-destructive-foreground text-xs font-black">
+            {unread > 99 ? '99+' : unread}
+          </Badge>
+        )}
+      </Button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-3 z-50 w-[22rem] max-w-[calc(100vw-3rem)] bg-card text-card-foreground border-4 border-border rounded-base shadow-shadow">
+          <div className="flex items-center justify-between gap-2 p-3 border-b-4 border-border">
+            <p className="font-black">🔔 NOTIFICATIONS</p>
+            {unread > 0 && (
+              <Button onClick={() => activityHelpers.markAllRead()} variant="outline" size="sm" className="font-black">
+                ✔️ MARK ALL READ
+              </Button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            {!userId ? (
+              <p className="p-4 text-sm font-bold opacity-70">Sign in to get notified about your cards and mentions.</p>
+            ) : notifications.length > 0 ? (
+              <ul>
+                {notifications.map(entry => (
+                  <li
+                    key={entry.id}
+                    className={cn('p-3 border-b-2 border-border last:border-b-0', entry.unread && 'bg-accent/30')}
+                  >
+                    <ActivityItem
+                      entry={entry}
+                      title={titles.get(entry.noteId) || entry.title || 'Deleted Card'}
+                      onOpen={() => openEntry(entry)}
+                    >
+                      {' • '}{reasonLabel[entry.reason]}
+                      {entry.unread && (
+                        <button type="button" onClick={() => activityHelpers.markRead(entry.id)} className="ml-2 underline">
+                          mark read
+                        </button>
+                      )}
+                    </ActivityItem>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="p-4 text-sm font-bold opacity-70">🎉 All caught up! Nothing new in the last {RANGE_DAYS} days.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react'
+import { useLiveQuery, useObservable } from 'dexie-react-hooks'
+import { db, roleHelpers, ROLE_NAMES, ROLE_DEFINITIONS } from '../database.js'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+
+const roleEmoji = {
+  admin: '👑',
+  publisher: '📣',
+  editor: '✏️',
+  viewer: '👀'
+}
+
+export function RolesPanel() {
+  const user = useObservable(db.cloud.currentUser)
+  const adminRealms = useLiveQuery(() => roleHelpers.getAdminRealms()) || []
+
+  const [realmId, setRealmId] = useState('')
+  const [email, setEmail] = useState('')
+  const [roleName, setRoleName] = useState('publisher')
+  const [isLoading, setIsLoading] = useState(false)
+  const [message, setMessage] = useState('')
+
+  // Bootstrap admins from PUBLIC_REALM_ADMINS only exist on the server until
+  // it has seeded their membership
+  useEffect(() => {
+    if (!user?.isLoggedIn) return
+    roleHelpers.loadPublicRoles().catch(error => console.error('Error loading public roles:', error))
+  }, [user?.userId, user?.isLoggedIn])
+
+  // Default to the first realm the user administers
+  useEffect(() => {
+    if (!realmId && adminRealms.length > 0) {
+      setRealmId(adminRealms[0].realmId)
+    }
+  }, [adminRealms, realmId])
+
+  const members = useLiveQuery(
+    () => realmId ? roleHelpers.getMembers(realmId) : [],
+    [realmId]
+  ) || []
+
+  // Only realm admins get to see this screen
+  if (adminRealms.length === 0) return null
+
+  const handleGrant = async (e) => {
+    e.preventDefault()
+    if (!email.trim() || !realmId) return
+
+    setIsLoading(true)
+    setMessage('')
+    try {
+      await roleHelpers.grantRole(realmId, email, roleName)
+      setMessage(`Granted ${roleName} to ${email.trim()}`)
+      setEmail('')
+    } catch (error) {
+      setMessage(`Could not grant role: ${error.message}`)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleRevoke = async (member, role) => {
+    setIsLoading(true)
+    setMessage('')
+    try {
+      await roleHelpers.revokeRole(member.id, role)
+      setMessage(`Removed ${role} from ${member.email}`)
+    } catch (error) {
+      setMessage(`Could not remove role: ${error.message}`)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <Card className="transform -rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-accent text-accent-foreground">
+        <CardTitle className="text-2xl font-black flex items-center gap-2">
+          👑 MANAGE ROLES
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-6 space-y-4">
+        <div className="space-y-2">
+          <label className="text-sm font-black uppercase tracking-wide">Realm</label>
+          <select
+            value={realmId}
+            onChange={(e) => setRealmId(e.target.value)}
+            className="w-full rounded-base border-4 border-border bg-card px-4 py-3 text-base font-bold shadow-shadow focus:ring-4 focus:ring-ring"
+          >
+            {adminRealms.map(r => (
+              <option key={r.realmId} value={r.realmId}>{r.name || r.realmId}</option>
+            ))}
+          </select>
+        </div>
+
+        <form onSubmit={handleGrant} className="flex flex-col sm:flex-row gap-2">
+          <Input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="teammate@email.com"
+            disabled={isLoading}
+            className="flex-1 font-bold"
+            required
+          />
+          <select
+            value={roleName}
+            onChange={(e) => setRoleName(e.target.value)}
+            className="rounded-base border-4 border-border bg-card px-4 py-2 text-sm font-bold shadow-shadow"
+          >
+            {ROLE_NAMES.map(name => (
+              <option key={name} value={name}>
+                {roleEmoji[name]} {ROLE_DEFINITIONS[name].displayName.toUpperCase()}
+              </option>
+            ))}
+          </select>
+          <Button type="submit" disabled={isLoading || !email.trim()} className="font-black">
+            ➕ GRANT
+          </Button>
+        </form>
+
+        <div className="space-y-3">
+          {members.length > 0 ? (
+            members.map(m => (
+              <div key={m.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-card border-4 border-border rounded-base p-3 shadow-shadow">
+                <span className="font-semibold break-all">{m.email || m.userId}</span>
+                <div className="flex flex-wrap gap-2">
+                  {(m.roles || []).length > 0 ? (
+                    m.roles.map(role => (
+                      <Badge key={role} variant="outline" className="font-bold">
+                        {roleEmoji[role] || '❔'} {role.toUpperCase()}
+                        <Button
+                          onClick={() => handleRevoke(m, role)}
+                          disabled={isLoading}
+                          variant="ghost"
+                          size="sm"
+                          className="ml-2 h-4 w-4 p-0 hover:bg-destructive hover:text-destructive-foreground"
+                        >
+                          ×
+                        </Button>
+                      </Badge>
+                    ))
+                  ) : (
+                    <span className="text-sm font-semibold opacity-50">NO ROLES</span>
+                  )}
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+              <p className="font-bold opacity-70">👥 NO MEMBERS YET</p>
+            </div>
+          )}
+        </div>
+
+        {message && (
+          <div className="bg-accent/20 border-4 border-accent rounded-base p-4">
+            <p className="font-bold">{message}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,18 @@
+import React from 'react'
+import { getTagColor } from '../lib/tags.js'
+import { Badge } from '@/components/ui/badge'
+
+// A #tag badge in the tag's color, or its nearest colored parent's
+export function TagBadge({ tag, colors, className = '', children }) {
+  const color = getTagColor(tag, colors)
+  return (
+    <Badge
+      variant={color ? 'default' : 'neutral'}
+      className={`font-bold ${className}`}
+      style={color ? { backgroundColor: color, color: '#000' } : undefined}
+    >
+      #{tag}
+      {children}
+    </Badge>
+  )
+}
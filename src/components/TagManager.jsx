@@ -0,0 +1,222 @@
+import React, { useMemo, useState } from 'react'
+import { tagHelpers } from '../database.js'
+import { TAG_COLORS, buildTagTree, findDuplicateTags } from '../lib/tags.js'
+import { TagBadge } from './TagBadge.jsx'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+
+function TagRow({ node, depth, colors, selected, onToggle, run }) {
+  const [renaming, setRenaming] = useState(false)
+  const [name, setName] = useState(node.path)
+  const [confirmDelete, setConfirmDelete] = useState(false)
+
+  const rename = async (e) => {
+    e.preventDefault()
+    if (name.trim() && name.trim() !== node.path) {
+      await run(() => tagHelpers.renameTag(node.path, name), `Renamed #${node.path}`)
+    }
+    setRenaming(false)
+  }
+
+  return (
+    <>
+      <div
+        className="flex flex-col lg:flex-row lg:items-center justify-between gap-2 bg-card border-4 border-border rounded-base p-3 shadow-shadow"
+        style={{ marginLeft: `${depth * 1.5}rem` }}
+      >
+        <div className="flex items-center gap-2 min-w-0">
+          <input
+            type="checkbox"
+            checked={selected.includes(node.path)}
+            onChange={() => onToggle(node.path)}
+            className="h-4 w-4 accent-black"
+            aria-label={`Select #${node.path}`}
+          />
+          {renaming ? (
+            <form onSubmit={rename} className="flex gap-2">
+              <Input value={name} onChange={(e) => setName(e.target.value)} className="font-semibold" autoFocus />
+              <Button type="submit" size="sm" className="font-black">SAVE</Button>
+              <Button type="button" onClick={() => setRenaming(false)} variant="outline" size="sm" className="font-black">
+                CANCEL
+              </Button>
+            </form>
+          ) : (
+            <>
+              <TagBadge tag={node.path} colors={colors} />
+              <span className="text-xs font-bold opacity-60">
+                {node.count} cards{node.total > node.count ? ` • ${node.total} with nested tags` : ''}
+              </span>
+            </>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-1">
+          {TAG_COLORS.map(color => (
+            <button
+              key={color}
+              type="button"
+              onClick={() => run(() => tagHelpers.setColor(node.path, color))}
+              className={`h-5 w-5 rounded-full border-2 border-border ${colors[node.path] === color ? 'ring-2 ring-offset-1 ring-black' : ''}`}
+              style={{ backgroundColor: color }}
+              aria-label={`Color #${node.path} ${color}`}
+            />
+          ))}
+          {colors[node.path] && (
+            <Button onClick={() => run(() => tagHelpers.setColor(node.path, null))} variant="ghost" size="sm" className="h-6 px-1 font-black">
+              ×
+            </Button>
+          )}
+          <Button
+            onClick={() => {
+              setName(node.path)
+              setRenaming(true)
+            }}
+            variant="outline"
+            size="sm"
+            className="font-black ml-2"
+          >
+            ✏️ RENAME
+          </Button>
+          {confirmDelete ? (
+            <Button
+              onClick={() => run(() => tagHelpers.deleteTag(node.path), `Removed #${node.path}`)}
+              onBlur={() => setConfirmDelete(false)}
+              variant="destructive"
+              size="sm"
+              className="font-black"
+            >
+              ⚠️ REMOVE FROM ALL CARDS?
+            </Button>
+          ) : (
+            <Button onClick={() => setConfirmDelete(true)} variant="destructive" size="sm" className="font-black">
+              🗑️ DELETE
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {node.children.map(child => (
+        <TagRow
+          key={child.path}
+          node={child}
+          depth={depth + 1}
+          colors={colors}
+          selected={selected}
+          onToggle={onToggle}
+          run={run}
+        />
+      ))}
+    </>
+  )
+}
+
+// Rename, merge, delete and color tags across every card. Nested tags
+// ("project/alpha") are shown under their parent and follow it on rename.
+export function TagManager({ notes, colors }) {
+  const [selected, setSelected] = useState([])
+  const [mergeInto, setMergeInto] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [message, setMessage] = useState('')
+
+  const tree = useMemo(() => buildTagTree(notes), [notes])
+  const duplicates = useMemo(() => {
+    const tags = new Set()
+    notes.forEach(n => (n.tags || []).forEach(t => tags.add(t)))
+    return findDuplicateTags([...tags])
+  }, [notes])
+
+  const run = async (action, successMessage) => {
+    setIsLoading(true)
+    setMessage('')
+    try {
+      const result = await action()
+      if (successMessage && result) {
+        setMessage(`${successMessage} on ${result.updated} cards${result.skipped ? `, skipped ${result.skipped} you cannot edit` : ''}`)
+      }
+    } catch (error) {
+      setMessage(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const toggle = (path) => {
+    setSelected(prev => prev.includes(path) ? prev.filter(p => p !== path) : [...prev, path])
+  }
+
+  const merge = async (e) => {
+    e.preventDefault()
+    const target = mergeInto.trim() || selected[0]
+    await run(() => tagHelpers.mergeTags(selected, target), `Merged ${selected.length} tags into #${target}`)
+    setSelected([])
+    setMergeInto('')
+  }
+
+  return (
+    <Card className="transform -rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-secondary text-secondary-foreground">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-2xl font-black flex items-center gap-2">
+            🏷️ TAG MANAGER
+          </CardTitle>
+          {duplicates.length > 0 && (
+            <Button
+              onClick={() => run(() => tagHelpers.normalizeAll(), 'Normalized tags')}
+              disabled={isLoading}
+              size="sm"
+              className="font-black"
+              title={duplicates.map(d => d.variants.join(' / ')).join(', ')}
+            >
+              🔤 FIX {duplicates.length} CASE DUPLICATES
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="p-6 space-y-3">
+        <p className="text-sm font-bold opacity-70">
+          Tags are stored lowercase. Use "/" to nest them, like project/alpha. Renaming or deleting a tag includes its nested tags.
+        </p>
+
+        {selected.length > 1 && (
+          <form onSubmit={merge} className="flex flex-col sm:flex-row gap-2 bg-accent/20 border-4 border-accent rounded-base p-3">
+            <span className="font-black self-center">🔀 MERGE {selected.length} TAGS INTO</span>
+            <Input
+              value={mergeInto}
+              onChange={(e) => setMergeInto(e.target.value)}
+              placeholder={selected[0]}
+              className="flex-1 font-semibold"
+            />
+            <Button type="submit" disabled={isLoading} className="font-black">
+              MERGE
+            </Button>
+          </form>
+        )}
+
+        {tree.length > 0 ? (
+          tree.map(node => (
+            <TagRow
+              key={node.path}
+              node={node}
+              depth={0}
+              colors={colors}
+              selected={selected}
+              onToggle={toggle}
+              run={run}
+            />
+          ))
+        ) : (
+          <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+            <p className="font-bold opacity-70">🏷️ NO TAGS YET</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-accent/20 border-4 border-accent rounded-base p-3">
+            <p className="font-bold text-sm">{message}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
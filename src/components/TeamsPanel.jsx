@@ -0,0 +1,188 @@
+import React, { useState } from 'react'
+import { useLiveQuery, useObservable } from 'dexie-react-hooks'
+import { db, realmHelpers, roleHelpers, syncHelpers, PUBLIC_REALM_ID, ROLE_NAMES } from '../database.js'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Badge } from '@/components/ui/badge'
+
+export function TeamsPanel() {
+  const realms = useLiveQuery(() => realmHelpers.getMyRealms()) || []
+  const invites = useObservable(db.cloud.invites, [])
+
+  const [realmName, setRealmName] = useState('')
+  const [isLoading, setIsLoading] = useState(false)
+  const [message, setMessage] = useState('')
+
+  // Teams need a cloud account to sync membership
+  if (!syncHelpers.isAuthenticated()) return null
+
+  const teams = realms.filter(r => r.realmId !== PUBLIC_REALM_ID)
+  const pendingInvites = invites.filter(i => !i.accepted && !i.rejected)
+
+  const run = async (action, successMessage) => {
+    setIsLoading(true)
+    setMessage('')
+    try {
+      await action()
+      if (successMessage) setMessage(successMessage)
+    } catch (error) {
+      setMessage(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const name = realmName.trim()
+    if (!name) return
+    await run(() => realmHelpers.createRealm(name), `Created team "${name}"`)
+    setRealmName('')
+  }
+
+  return (
+    <Card className="transform rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-primary text-primary-foreground">
+        <CardTitle className="text-2xl font-black flex items-center gap-2">
+          👥 TEAMS
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-6 space-y-4">
+        {pendingInvites.length > 0 && (
+          <div className="space-y-2">
+            <label className="text-sm font-black uppercase tracking-wide">Invitations</label>
+            {pendingInvites.map(invite => (
+              <div key={invite.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-accent/20 border-4 border-accent rounded-base p-3">
+                <span className="font-bold">
+                  📨 {invite.realm?.name || 'A team'}
+                  {invite.invitedBy?.email && (
+                    <span className="opacity-70"> from {invite.invitedBy.email}</span>
+                  )}
+                </span>
+                <div className="flex gap-2">
+                  <Button
+                    onClick={() => run(() => invite.accept(), `Joined ${invite.realm?.name || 'team'}`)}
+                    disabled={isLoading}
+                    size="sm"
+                    className="font-black"
+                  >
+                    ✅ ACCEPT
+                  </Button>
+                  <Button
+                    onClick={() => run(() => invite.reject())}
+                    disabled={isLoading}
+                    variant="destructive"
+                    size="sm"
+                    className="font-black"
+                  >
+                    ❌ DECLINE
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <Input
+            value={realmName}
+            onChange={(e) => setRealmName(e.target.value)}
+            placeholder='New team name, e.g. "Design"'
+            disabled={isLoading}
+            className="flex-1 font-bold"
+          />
+          <Button type="submit" disabled={isLoading || !realmName.trim()} className="font-black">
+            ➕ CREATE
+          </Button>
+        </form>
+
+        {teams.length > 0 ? (
+          <div className="space-y-3">
+            {teams.map(realm => (
+              <TeamCard key={realm.realmId} realm={realm} run={run} isLoading={isLoading} />
+            ))}
+          </div>
+        ) : (
+          <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+            <p className="font-bold opacity-70">👥 NO TEAMS YET</p>
+            <p className="text-sm font-semibold opacity-50">Create one to share cards with teammates!</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-accent/20 border-4 border-accent rounded-base p-4">
+            <p className="font-bold">{message}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function TeamCard({ realm, run, isLoading }) {
+  const members = useLiveQuery(() => roleHelpers.getMembers(realm.realmId), [realm.realmId]) || []
+  const isAdmin = useLiveQuery(() => roleHelpers.hasRole(realm.realmId, 'admin'), [realm.realmId])
+
+  const [email, setEmail] = useState('')
+  const [roleName, setRoleName] = useState('editor')
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    const address = email.trim()
+    if (!address) return
+    await run(() => realmHelpers.inviteMember(realm.realmId, address, [roleName]), `Invited ${address}`)
+    setEmail('')
+  }
+
+  return (
+    <div className="bg-card border-4 border-border rounded-base p-4 shadow-shadow space-y-3">
+      <p className="font-black text-lg">🏷️ {realm.name}</p>
+
+      <div className="flex flex-wrap gap-2">
+        {members.map(m => (
+          <Badge key={m.id} variant="outline" className="font-bold">
+            {m.invite && !m.accepted ? '📨' : '👤'} {m.email || m.name || m.userId}
+            {isAdmin && m.userId !== db.cloud.currentUserId && (
+              <Button
+                onClick={() => run(() => realmHelpers.removeMember(m.id))}
+                disabled={isLoading}
+                variant="ghost"
+                size="sm"
+                className="ml-2 h-4 w-4 p-0 hover:bg-destructive hover:text-destructive-foreground"
+              >
+                ×
+              </Button>
+            )}
+          </Badge>
+        ))}
+      </div>
+
+      {isAdmin && (
+        <form onSubmit={handleInvite} className="flex flex-col sm:flex-row gap-2">
+          <Input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="teammate@email.com"
+            disabled={isLoading}
+            className="flex-1"
+            required
+          />
+          <select
+            value={roleName}
+            onChange={(e) => setRoleName(e.target.value)}
+            className="rounded-base border-4 border-border bg-card px-4 py-2 text-sm font-bold shadow-shadow"
+          >
+            {ROLE_NAMES.map(name => (
+              <option key={name} value={name}>{name.toUpperCase()}</option>
+            ))}
+          </select>
+          <Button type="submit" disabled={isLoading || !email.trim()} variant="outline" className="font-black">
+            📨 INVITE
+          </Button>
+        </form>
+      )}
+    </div>
+  )
+}
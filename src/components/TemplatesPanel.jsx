@@ -0,0 +1,189 @@
+import React, { useState } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { templateHelpers, realmHelpers, PUBLIC_REALM_ID } from '../database.js'
+import { TEMPLATE_VARIABLES } from '../lib/templates.js'
+import { normalizeTags } from '../lib/tags.js'
+import { ChecklistEditor } from './ChecklistEditor.jsx'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+import { Textarea } from '@/components/ui/textarea'
+
+const selectClass = 'rounded-base border-4 border-border bg-card px-3 py-2 text-sm font-bold shadow-shadow focus:ring-4 focus:ring-ring'
+
+const EMPTY_FORM = {
+  id: null,
+  name: '',
+  title: '',
+  details: '',
+  tags: '',
+  priority: 'medium',
+  checklist: [],
+  realmId: ''
+}
+
+// Create, edit and delete card templates. Shared templates live in a team
+// realm so every member can start cards from them.
+export function TemplatesPanel({ realms, writableRealms }) {
+  const templates = useLiveQuery(() => templateHelpers.getTemplates()) || []
+  const [form, setForm] = useState(null)
+  const [message, setMessage] = useState('')
+
+  const teamRealms = writableRealms.filter(r => r.realmId !== PUBLIC_REALM_ID)
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }))
+
+  function edit(template) {
+    setMessage('')
+    setForm({
+      ...EMPTY_FORM,
+      ...template,
+      tags: (template.tags || []).join(', '),
+      checklist: template.checklist || []
+    })
+  }
+
+  async function save(e) {
+    e.preventDefault()
+    setMessage('')
+    try {
+      const fields = { ...form, tags: normalizeTags(form.tags.split(',')) }
+      await templateHelpers.saveTemplate(form.name, fields, { id: form.id, realmId: form.realmId })
+      setForm(null)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  async function remove(template) {
+    setMessage('')
+    try {
+      await templateHelpers.deleteTemplate(template.id)
+      if (form?.id === template.id) setForm(null)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  return (
+    <Card className="transform -rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-accent text-accent-foreground">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-2xl font-black flex items-center gap-2">
+            📝 CARD TEMPLATES
+          </CardTitle>
+          {!form && (
+            <Button onClick={() => edit(EMPTY_FORM)} size="sm" className="font-black">
+              ➕ NEW TEMPLATE
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="p-6 space-y-4">
+        <div className="text-sm font-bold opacity-70 space-y-1">
+          <p>Variables are filled in when a card is saved:</p>
+          <ul className="flex flex-wrap gap-x-4 gap-y-1">
+            {Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => (
+              <li key={name}>
+                <code className="font-mono bg-muted px-1 rounded">{`{{${name}}}`}</code> {description}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {form && (
+          <form onSubmit={save} className="space-y-3 bg-muted/30 border-4 border-border rounded-base p-4">
+            <div className="grid sm:grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <label className="text-sm font-black uppercase tracking-wide">Template Name</label>
+                <Input value={form.name} onChange={(e) => update({ name: e.target.value })} placeholder="Weekly review" className="font-semibold" autoFocus />
+              </div>
+              <div className="space-y-1">
+                <label className="text-sm font-black uppercase tracking-wide">Title Pattern</label>
+                <Input value={form.title} onChange={(e) => update({ title: e.target.value })} placeholder="Weekly review {{date}}" className="font-semibold" />
+              </div>
+            </div>
+            <div className="space-y-1">
+              <label className="text-sm font-black uppercase tracking-wide">Details</label>
+              <Textarea value={form.details} onChange={(e) => update({ details: e.target.value })} rows={4} className="font-mono text-sm" />
+            </div>
+            <div className="grid sm:grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <label className="text-sm font-black uppercase tracking-wide">Tags</label>
+                <Input value={form.tags} onChange={(e) => update({ tags: e.target.value })} placeholder="review, team/ops" className="font-semibold" />
+              </div>
+              <div className="space-y-1">
+                <label className="text-sm font-black uppercase tracking-wide">Priority</label>
+                <select value={form.priority} onChange={(e) => update({ priority: e.target.value })} className={`w-full ${selectClass}`}>
+                  <option value="low">🟢 LOW</option>
+                  <option value="medium">🟡 MEDIUM</option>
+                  <option value="high">🔴 HIGH</option>
+                </select>
+              </div>
+            </div>
+            <div className="space-y-1">
+              <label className="text-sm font-black uppercase tracking-wide">Checklist</label>
+              <ChecklistEditor items={form.checklist} onChange={(checklist) => update({ checklist })} />
+            </div>
+            {!form.id && teamRealms.length > 0 && (
+              <select value={form.realmId} onChange={(e) => update({ realmId: e.target.value })} className={selectClass}>
+                <option value="">🔒 JUST FOR ME</option>
+                {teamRealms.map(r => (
+                  <option key={r.realmId} value={r.realmId}>🏷️ SHARE WITH {(r.name || r.realmId).toUpperCase()}</option>
+                ))}
+              </select>
+            )}
+            <div className="flex gap-2">
+              <Button type="submit" disabled={!form.name.trim()} className="font-black">
+                💾 SAVE TEMPLATE
+              </Button>
+              <Button type="button" onClick={() => setForm(null)} variant="outline" className="font-black">
+                CANCEL
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {templates.length > 0 ? (
+          <div className="space-y-2">
+            {templates.map(template => (
+              <div
+                key={template.id}
+                className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-card border-4 border-border rounded-base p-3 shadow-shadow"
+              >
+                <div className="min-w-0">
+                  <p className="font-black truncate">{template.name}</p>
+                  <div className="flex flex-wrap items-center gap-1 text-xs font-bold opacity-70">
+                    <Badge variant="neutral" className="text-xs font-bold">
+                      🏷️ {realmHelpers.getRealmName(template.realmId, realms)}
+                    </Badge>
+                    {template.title && <span className="truncate">{template.title}</span>}
+                    {template.checklist?.length > 0 && <span>• {template.checklist.length} checklist items</span>}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <Button onClick={() => edit(template)} variant="outline" size="sm" className="font-black">
+                    ✏️ EDIT
+                  </Button>
+                  <Button onClick={() => remove(template)} variant="destructive" size="sm" className="font-black">
+                    🗑️ DELETE
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : !form && (
+          <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+            <p className="font-bold opacity-70">📝 NO TEMPLATES YET — create one here or save a new card's form as a template</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-destructive/20 border-4 border-destructive rounded-base p-3">
+            <p className="font-bold text-sm">{message}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,85 @@
+import React, { useMemo, useState } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { activityHelpers } from '../database.js'
+import { ACTION_LABELS } from '../lib/activity.js'
+import { addDays, dayRange, groupByDay } from '../lib/calendar.js'
+import { toDateKey, fromDateKey } from '../lib/due.js'
+import { Button } from '@/components/ui/button'
+
+const RANGE_DAYS = 30
+
+// Activity per day for the cards in the current view, built from the
+// activity log. Days without activity are collapsed into one line.
+export function TimelineView({ notes, onOpen }) {
+  const [days, setDays] = useState(RANGE_DAYS)
+  const since = useMemo(() => addDays(fromDateKey(toDateKey()), -(days - 1)).getTime(), [days])
+  const entries = useLiveQuery(() => activityHelpers.getActivity(since), [since]) || []
+
+  const titles = useMemo(() => new Map(notes.map(n => [n.id, n.title || 'Untitled Card'])), [notes])
+  const activity = entries.filter(e => titles.has(e.noteId))
+  const byDay = groupByDay(activity, e => toDateKey(e.createdAt))
+  const busiest = Math.max(1, ...Object.values(byDay).map(list => list.length))
+
+  const rows = []
+  for (const day of dayRange(Date.now(), since)) {
+    const entries = byDay[day]
+    const last = rows[rows.length - 1]
+    if (entries) rows.push({ day, entries })
+    else if (last && !last.entries) last.quiet++
+    else rows.push({ day, quiet: 1 })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="font-black text-xl">📈 LAST {days} DAYS</h3>
+        <span className="text-sm font-bold opacity-70">
+          {activity.length} changes on {new Set(activity.map(e => e.noteId)).size} cards
+        </span>
+      </div>
+
+      {rows.map(row => row.entries ? (
+        <div key={row.day} className="bg-card border-4 border-border rounded-base p-4 shadow-shadow space-y-2">
+          <div className="flex items-center gap-3">
+            <span className="font-black w-40 shrink-0">
+              {fromDateKey(row.day).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }).toUpperCase()}
+            </span>
+            <div className="flex-1 h-3 bg-muted border-2 border-border rounded-base overflow-hidden">
+              <div className="h-full bg-primary" style={{ width: `${(row.entries.length / busiest) * 100}%` }} />
+            </div>
+            <span className="text-sm font-black w-8 text-right">{row.entries.length}</span>
+          </div>
+          <ul className="space-y-1">
+            {row.entries.map(entry => (
+              <li key={entry.id} className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-xs font-bold opacity-60 w-12">
+                  {new Date(entry.createdAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+                </span>
+                <span className="font-black">{ACTION_LABELS[entry.action] || entry.action}</span>
+                <button type="button" onClick={() => onOpen(entry.noteId)} className="font-bold underline truncate">
+                  {titles.get(entry.noteId)}
+                </button>
+                {entry.summary && (
+                  <span className="text-xs font-semibold opacity-60 truncate max-w-xs">{entry.summary}</span>
+                )}
+                <span className="text-xs font-semibold opacity-60">
+                  by {entry.actorEmail || entry.actor}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <p key={row.day} className="text-xs font-bold opacity-50 pl-4">
+          {row.quiet === 1 ? 'No activity' : `No activity for ${row.quiet} days`}
+        </p>
+      ))}
+
+      <div className="text-center">
+        <Button onClick={() => setDays(days + RANGE_DAYS)} variant="outline" className="font-black">
+          ⏬ LOAD {RANGE_DAYS} MORE DAYS
+        </Button>
+      </div>
+    </div>
+  )
+}
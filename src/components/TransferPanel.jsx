@@ -0,0 +1,200 @@
+import React, { useState } from 'react'
+import { transferHelpers, PUBLIC_REALM_ID } from '../database.js'
+import { EXPORT_FORMATS, parseImportFile, downloadBlob } from '../lib/transfer.js'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Input } from '@/components/ui/input'
+
+const selectClass = 'rounded-base border-4 border-border bg-card px-3 py-2 text-sm font-bold shadow-shadow focus:ring-4 focus:ring-ring'
+
+function recordStatus(record) {
+  if (record.error) return { icon: '❌', text: record.error, className: 'bg-destructive/20' }
+  if (record.duplicate) return { icon: '⚠️', text: record.duplicate, className: 'bg-accent/20' }
+  return { icon: '✅', text: 'New card', className: '' }
+}
+
+// Export cards as JSON, Markdown or CSV and import them back, with a preview
+// that flags duplicates and records that cannot be read
+export function TransferPanel({ allNotes, viewNotes, selectedNotes, writableRealms }) {
+  const [scope, setScope] = useState('all')
+  const [format, setFormat] = useState('json')
+  const [preview, setPreview] = useState(null)
+  const [included, setIncluded] = useState([])
+  const [realmId, setRealmId] = useState('')
+  const [progress, setProgress] = useState(null)
+  const [report, setReport] = useState(null)
+  const [message, setMessage] = useState('')
+
+  const scopes = {
+    all: allNotes,
+    view: viewNotes,
+    selected: selectedNotes
+  }
+  const teamRealms = writableRealms.filter(r => r.realmId !== PUBLIC_REALM_ID)
+
+  const handleExport = async () => {
+    setMessage('')
+    try {
+      const { blob, filename } = await transferHelpers.exportNotes(scopes[scope], format)
+      downloadBlob(blob, filename)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setMessage('')
+    setReport(null)
+    try {
+      const parsed = await parseImportFile(file)
+      const records = await transferHelpers.markDuplicates(parsed.records)
+      setPreview({ ...parsed, fileName: file.name, records })
+      setIncluded(records.map((r, i) => !r.error && !r.duplicate ? i : null).filter(i => i !== null))
+    } catch (error) {
+      setPreview(null)
+      setMessage(`Could not read ${file.name}: ${error.message}`)
+    }
+  }
+
+  const toggleRecord = (index) => {
+    setIncluded(prev => prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index])
+  }
+
+  const handleImport = async () => {
+    const records = included.map(i => preview.records[i])
+    setProgress({ done: 0, total: records.length })
+    try {
+      const result = await transferHelpers.importRecords(records, {
+        realmId,
+        onProgress: (done, total) => setProgress({ done, total })
+      })
+      const failed = preview.records.filter(r => r.error).map(r => ({ label: r.label, error: r.error }))
+      setReport({ ...result, errors: [...failed, ...result.errors] })
+      setPreview(null)
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const counts = preview && {
+    fresh: preview.records.filter(r => !r.error && !r.duplicate).length,
+    duplicates: preview.records.filter(r => r.duplicate).length,
+    errors: preview.records.filter(r => r.error).length
+  }
+
+  return (
+    <Card className="transform rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-primary text-primary-foreground">
+        <CardTitle className="text-2xl font-black flex items-center gap-2">
+          📦 IMPORT / EXPORT
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="p-6 space-y-6">
+        <div className="space-y-2">
+          <label className="text-sm font-black uppercase tracking-wide">Export</label>
+          <div className="flex flex-wrap gap-2">
+            <select value={scope} onChange={(e) => setScope(e.target.value)} className={selectClass}>
+              <option value="all">🌍 ALL CARDS ({allNotes.length})</option>
+              <option value="view">🔍 CARDS IN VIEW ({viewNotes.length})</option>
+              <option value="selected" disabled={selectedNotes.length === 0}>☑️ SELECTED ({selectedNotes.length})</option>
+            </select>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={selectClass}>
+              {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <Button onClick={handleExport} disabled={scopes[scope].length === 0} className="font-black">
+              💾 EXPORT
+            </Button>
+          </div>
+          {format === 'csv' && (
+            <p className="text-xs font-bold opacity-60">CSV holds card fields only; attachments are left out.</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <label className="text-sm font-black uppercase tracking-wide">Import</label>
+          <Input
+            type="file"
+            accept=".json,.zip,.md,.markdown,.csv"
+            onChange={handleFile}
+            className="font-semibold cursor-pointer"
+          />
+          <p className="text-xs font-bold opacity-60">
+            JSON bundles, Markdown files or zips, CSV, and Dexie Cloud exports (clients.json).
+          </p>
+        </div>
+
+        {preview && (
+          <div className="space-y-3">
+            <p className="font-black">
+              {preview.fileName} • {preview.format}: {counts.fresh} new, {counts.duplicates} duplicates, {counts.errors} with errors
+            </p>
+            <div className="max-h-80 overflow-auto space-y-2">
+              {preview.records.map((record, index) => {
+                const status = recordStatus(record)
+                return (
+                  <label
+                    key={index}
+                    className={`flex items-start gap-3 border-2 border-border rounded-base p-2 ${status.className}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={included.includes(index)}
+                      disabled={!!record.error}
+                      onChange={() => toggleRecord(index)}
+                      className="mt-1 h-4 w-4 accent-black"
+                    />
+                    <span className="min-w-0">
+                      <span className="block font-black truncate">{status.icon} {record.label}</span>
+                      <span className="block text-xs font-bold opacity-70">
+                        {status.text}
+                        {record.attachments.length > 0 && ` • ${record.attachments.length} attachments`}
+                      </span>
+                    </span>
+                  </label>
+                )
+              })}
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <select value={realmId} onChange={(e) => setRealmId(e.target.value)} className={selectClass}>
+                <option value="">🔒 INTO PERSONAL</option>
+                {teamRealms.map(r => (
+                  <option key={r.realmId} value={r.realmId}>🏷️ INTO {(r.name || r.realmId).toUpperCase()}</option>
+                ))}
+              </select>
+              <Button onClick={handleImport} disabled={included.length === 0 || !!progress} className="font-black">
+                {progress ? `⏳ IMPORTING ${progress.done}/${progress.total}` : `📥 IMPORT ${included.length} CARDS`}
+              </Button>
+              <Button onClick={() => setPreview(null)} variant="outline" className="font-black">
+                CANCEL
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {report && (
+          <div className="bg-accent/20 border-4 border-accent rounded-base p-4 space-y-2">
+            <p className="font-black">✅ Imported {report.imported} cards</p>
+            {report.errors.length > 0 && (
+              <ul className="text-sm font-semibold space-y-1">
+                {report.errors.map((e, i) => (
+                  <li key={i}>❌ {e.label}: {e.error}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-destructive/20 border-4 border-destructive rounded-base p-3">
+            <p className="font-bold text-sm">{message}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,92 @@
+import React, { useState } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { noteHelpers, TRASH_RETENTION_DAYS } from '../database.js'
+import { Button } from '@/components/ui/button'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Deleted cards with restore and permanent delete
+export function TrashPanel() {
+  const trashed = useLiveQuery(() => noteHelpers.getTrashedNotes()) || []
+  const [message, setMessage] = useState('')
+
+  const run = async (action) => {
+    setMessage('')
+    try {
+      await action()
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  const emptyTrash = () => run(async () => {
+    for (const note of trashed) await noteHelpers.purgeNote(note.id)
+  })
+
+  return (
+    <Card className="transform rotate-1 hover:rotate-0 transition-transform duration-200">
+      <CardHeader className="bg-muted text-muted-foreground">
+        <div className="flex items-center justify-between">
+          <CardTitle className="text-2xl font-black flex items-center gap-2">
+            🗑️ TRASH
+          </CardTitle>
+          {trashed.length > 0 && (
+            <Button onClick={emptyTrash} variant="destructive" size="sm" className="font-black">
+              🔥 EMPTY TRASH
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="p-6 space-y-3">
+        <p className="text-sm font-bold opacity-70">
+          Cards are deleted for good {TRASH_RETENTION_DAYS} days after they are moved to the trash.
+        </p>
+
+        {trashed.length > 0 ? (
+          trashed.map(note => {
+            const daysLeft = Math.max(0, Math.ceil((note.deletedAt + TRASH_RETENTION_DAYS * DAY - Date.now()) / DAY))
+            return (
+              <div key={note.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-card border-4 border-border rounded-base p-3 shadow-shadow">
+                <div className="min-w-0">
+                  <p className="font-black truncate">{note.title || 'Untitled Card'}</p>
+                  <p className="text-xs font-bold opacity-60">
+                    Deleted {new Date(note.deletedAt).toLocaleString()} • {daysLeft} days left
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <Button
+                    onClick={() => run(() => noteHelpers.restoreNote(note.id))}
+                    variant="outline"
+                    size="sm"
+                    className="font-black"
+                  >
+                    ♻️ RESTORE
+                  </Button>
+                  <Button
+                    onClick={() => run(() => noteHelpers.purgeNote(note.id))}
+                    variant="destructive"
+                    size="sm"
+                    className="font-black"
+                  >
+                    ❌ DELETE FOREVER
+                  </Button>
+                </div>
+              </div>
+            )
+          })
+        ) : (
+          <div className="bg-muted/50 border-4 border-border rounded-base p-4 text-center">
+            <p className="font-bold opacity-70">✨ TRASH IS EMPTY</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-destructive/20 border-4 border-destructive rounded-base p-4">
+            <p className="font-bold">{message}</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react'
+import { Button } from '@/components/ui/button'
+
+// Bottom-of-screen notice with an UNDO action that dismisses itself. Without
+// `onUndo` it is a plain notice. A failed undo is passed to `onError`.
+export function UndoToast({ message, onUndo, onError, onDismiss, duration = 8000 }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration)
+    return () => clearTimeout(timer)
+  }, [message, onDismiss, duration])
+
+  async function handleUndo() {
+    try {
+      await onUndo()
+    } catch (error) {
+      console.error('Undo failed:', error)
+      onError?.(error)
+    } finally {
+      onDismiss()
+    }
+  }
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-card text-card-foreground border-4 border-border rounded-base px-5 py-3 shadow-shadow"
+    >
+      <p className="font-black">{message}</p>
+      {onUndo && (
+        <Button onClick={handleUndo} size="sm" className="font-black">
+          ↩️ UNDO
+        </Button>
+      )}
+      <Button
+        onClick={onDismiss}
+        variant="ghost"
+        size="sm"
+        className="h-6 w-6 p-0 font-black"
+      >
+        ×
+      </Button>
+    </div>
+  )
+}
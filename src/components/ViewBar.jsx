@@ -0,0 +1,229 @@
+import React, { useState } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { viewHelpers } from '../database.js'
+import { DEFAULT_VIEW, SORT_OPTIONS, GROUP_OPTIONS, LAYOUT_OPTIONS, normalizeView, countActiveFilters } from '../lib/views.js'
+import { BOARD_FIELDS } from '../lib/board.js'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { TagBadge } from './TagBadge.jsx'
+
+const selectClass = 'rounded-base border-4 border-border bg-card px-3 py-2 text-sm font-bold shadow-shadow focus:ring-4 focus:ring-ring'
+
+// Filter, sort, group and layout controls for the cards, plus named views that
+// sync across the user's devices
+export function ViewBar({ view, onChange, activeViewId, onActiveViewChange, allTags, tagColors, owners, currentUserId }) {
+  const views = useLiveQuery(() => viewHelpers.getViews()) || []
+  const [viewName, setViewName] = useState('')
+  const [message, setMessage] = useState('')
+
+  const { filters } = view
+  const activeFilters = countActiveFilters(filters)
+
+  const setFilter = (key, value) => {
+    onChange({ ...view, filters: { ...filters, [key]: value } })
+  }
+
+  const toggleTag = (tag) => {
+    const tags = filters.tags.includes(tag)
+      ? filters.tags.filter(t => t !== tag)
+      : [...filters.tags, tag]
+    setFilter('tags', tags)
+  }
+
+  const openView = (id) => {
+    setMessage('')
+    const saved = views.find(v => v.id === id)
+    onActiveViewChange(saved ? id : '')
+    onChange(saved ? normalizeView(saved.config) : DEFAULT_VIEW)
+    setViewName(saved ? saved.name : '')
+  }
+
+  const saveView = async (e) => {
+    e.preventDefault()
+    setMessage('')
+    try {
+      const id = await viewHelpers.saveView(viewName, view)
+      onActiveViewChange(id)
+      setMessage(`Saved view "${viewName.trim()}"`)
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  const deleteView = async () => {
+    setMessage('')
+    try {
+      await viewHelpers.deleteView(activeViewId)
+      onActiveViewChange('')
+      setViewName('')
+    } catch (error) {
+      setMessage(error.message)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={saveView} className="flex flex-col lg:flex-row gap-2">
+        <select
+          value={activeViewId}
+          onChange={(e) => openView(e.target.value)}
+          className={selectClass}
+        >
+          <option value="">📌 SAVED VIEWS ({views.length})</option>
+          {views.map(v => (
+            <option key={v.id} value={v.id}>{v.name}</option>
+          ))}
+        </select>
+        <Input
+          value={viewName}
+          onChange={(e) => setViewName(e.target.value)}
+          placeholder="Name this view..."
+          className="font-semibold lg:max-w-xs"
+        />
+        <div className="flex gap-2">
+          <Button type="submit" disabled={!viewName.trim()} size="sm" className="font-black h-auto py-2">
+            💾 SAVE VIEW
+          </Button>
+          {activeViewId && (
+            <Button type="button" onClick={deleteView} variant="destructive" size="sm" className="font-black h-auto py-2">
+              🗑️ DELETE VIEW
+            </Button>
+          )}
+          <Button type="button" onClick={() => openView('')} variant="outline" size="sm" className="font-black h-auto py-2">
+            ♻️ RESET {activeFilters > 0 && `(${activeFilters})`}
+          </Button>
+        </div>
+      </form>
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <select
+          value={filters.priority}
+          onChange={(e) => setFilter('priority', e.target.value)}
+          className={selectClass}
+        >
+          <option value="all">⚡ ANY PRIORITY</option>
+          <option value="high">🔴 HIGH</option>
+          <option value="medium">🟡 MEDIUM</option>
+          <option value="low">🟢 LOW</option>
+        </select>
+        <select
+          value={filters.checklist}
+          onChange={(e) => setFilter('checklist', e.target.value)}
+          className={selectClass}
+        >
+          <option value="all">☑️ ANY CHECKLIST</option>
+          <option value="open">⬜ HAS OPEN ITEMS</option>
+          <option value="done">✅ ALL ITEMS DONE</option>
+        </select>
+        <select
+          value={filters.owner}
+          onChange={(e) => setFilter('owner', e.target.value)}
+          className={selectClass}
+        >
+          <option value="all">👤 ANY OWNER</option>
+          {owners.map(owner => (
+            <option key={owner} value={owner}>
+              {owner}{owner === currentUserId ? ' (me)' : ''}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm font-black">
+          FROM
+          <Input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilter('from', e.target.value)}
+            className="w-auto font-semibold"
+          />
+        </label>
+        <label className="flex items-center gap-1 text-sm font-black">
+          TO
+          <Input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilter('to', e.target.value)}
+            className="w-auto font-semibold"
+          />
+        </label>
+        <div className="flex gap-1">
+          {Object.entries(LAYOUT_OPTIONS).map(([value, label]) => (
+            <Button
+              key={value}
+              type="button"
+              onClick={() => onChange({ ...view, layout: value })}
+              variant={view.layout === value ? 'default' : 'outline'}
+              size="sm"
+              className="font-black h-auto py-2"
+            >
+              {label}
+            </Button>
+          ))}
+        </div>
+        {view.layout === 'board' ? (
+          <select
+            value={view.boardBy}
+            onChange={(e) => onChange({ ...view, boardBy: e.target.value })}
+            className={selectClass}
+          >
+            {Object.entries(BOARD_FIELDS).map(([value, label]) => (
+              <option key={value} value={value}>COLUMNS: {label}</option>
+            ))}
+          </select>
+        ) : view.layout === 'grid' && (
+          <>
+            <select
+              value={view.sort}
+              onChange={(e) => onChange({ ...view, sort: e.target.value })}
+              className={selectClass}
+            >
+              {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>SORT: {label}</option>
+              ))}
+            </select>
+            {view.sort !== 'relevance' && (
+              <Button
+                type="button"
+                onClick={() => onChange({ ...view, direction: view.direction === 'asc' ? 'desc' : 'asc' })}
+                variant="outline"
+                size="sm"
+                className="font-black h-auto py-2"
+                title="Toggle sort direction"
+              >
+                {view.direction === 'asc' ? '⬆️ ASC' : '⬇️ DESC'}
+              </Button>
+            )}
+            <select
+              value={view.group}
+              onChange={(e) => onChange({ ...view, group: e.target.value })}
+              className={selectClass}
+            >
+              {Object.entries(GROUP_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
+
+      {allTags.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {allTags.map(tag => (
+            <button key={tag} type="button" onClick={() => toggleTag(tag)}>
+              <TagBadge
+                tag={tag}
+                colors={tagColors}
+                className={`text-xs cursor-pointer ${filters.tags.includes(tag) ? 'ring-2 ring-black ring-offset-1' : 'opacity-60'}`}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-accent/20 border-4 border-accent rounded-base p-3">
+          <p className="font-bold text-sm">{message}</p>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,5 +1,18 @@
 import Dexie from 'dexie'
 import dexieCloud from 'dexie-cloud-addon'
+import { computeChecksum, createThumbnail, readFileWithProgress, validateFiles } from './lib/files.js'
+import { getNoteWords, parseQuery, matchesQuery, scoreNote } from './lib/search.js'
+import { DEFAULT_STATUS } from './lib/board.js'
+import { normalizeTag, normalizeTags, renameInTags, removeFromTags, isTagOrChild } from './lib/tags.js'
+import { exportNotes, noteFingerprint, toFiles } from './lib/transfer.js'
+import { linkKey, renameLinks } from './lib/links.js'
+import { normalizeChecklist } from './lib/checklist.js'
+import { toTemplate } from './lib/templates.js'
+import { parseMentions } from './lib/comments.js'
+import { mergeActivity, getNotificationReason } from './lib/activity.js'
+import { retryDelay, toOutboxEntries } from './lib/sync.js'
+import { describeDevice } from './lib/auth.js'
+import { isAnonymousNote, markMigrationDuplicates, claimChild } from './lib/migration.js'
 
 // Configure Dexie Cloud addon
 Dexie.addons.push(dexieCloud)
@@ -16,12 +29,115 @@ export class PlayfulDataLabDB extends Dexie {
       notes: '@id, type, title, details, tags, priority, createdAt, _files, owner, realmId'
     })
 
+    // Dexie Cloud access control tables: realms, their members and role definitions
+    this.version(2).stores({
+      realms: '@realmId',
+      members: '@id, realmId, email, [realmId+email]',
+      roles: '[realmId+name]'
+    })
+
+    // File attachments move out of the notes' `_files` map into their own table
+    this.version(3).stores({
+      notes: '@id, type, title, details, tags, priority, createdAt, owner, realmId',
+      attachments: '@id, noteId, name, checksum, realmId'
+    }).upgrade(async tx => {
+      const notes = await tx.table('notes').toArray()
+      for (const note of notes) {
+        const files = Object.values(note._files || {}).filter(f => f instanceof Blob)
+        for (const file of files) {
+          await tx.table('attachments').add({
+            noteId: note.id,
+            name: file.name || 'attachment',
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            blob: file,
+            createdAt: Date.now(),
+            ...(note.realmId ? { realmId: note.realmId } : {})
+          })
+        }
+        await tx.table('notes').update(note.id, { _files: undefined })
+      }
+    })
+
+    // Per-card revision history
+    this.version(4).stores({
+      noteRevisions: '@id, noteId, createdAt, [noteId+createdAt], realmId'
+    })
+
+    // Soft delete: trashed notes carry a deletedAt timestamp
+    this.version(5).stores({
+      notes: '@id, type, title, details, tags, priority, createdAt, owner, realmId, deletedAt'
+    })
+
+    // Full-text index: the distinct words of title, details and tags
+    this.version(6).stores({
+      notes: '@id, type, title, details, tags, priority, createdAt, owner, realmId, deletedAt, *words'
+    }).upgrade(tx => tx.table('notes').toCollection().modify(note => {
+      note.words = getNoteWords(note)
+    }))
+
+    // Keep the word index in step with every write
+    this.notes.hook('creating', (primKey, note) => {
+      note.words = getNoteWords(note)
+    })
+    this.notes.hook('updating', (mods, primKey, note) => {
+      if (!('title' in mods || 'details' in mods || 'tags' in mods || 'checklist' in mods)) return
+      return { words: getNoteWords({ ...note, ...mods }) }
+    })
+
+    // Named card grid views, kept in each user's personal realm
+    this.version(7).stores({
+      views: '@id, owner, name'
+    })
+
+    // Per-user tag colors
+    this.version(8).stores({
+      tagColors: '@id, owner, tag'
+    })
+
+    // Card templates, personal or shared with a team realm
+    this.version(9).stores({
+      templates: '@id, owner, name, realmId'
+    })
+
+    // Threaded card comments and each user's last-read time per card
+    this.version(10).stores({
+      comments: '@id, noteId, parentId, createdAt, author, realmId, *mentions',
+      commentReads: '@id, owner, noteId'
+    })
+
+    // Each user's notification read state
+    this.version(11).stores({
+      notificationState: '@id, owner'
+    })
+
+    // Signed-in devices per user, for signing out everywhere
+    this.version(12).stores({
+      sessions: '@id, owner, deviceId'
+    })
+
+    // Reminders this device has shown, per user. Local only (see
+    // unsyncedTables below) so every device of every member gets its own.
+    this.version(13).stores({
+      sentReminders: '[owner+noteId]'
+    })
+
+    // Cards made while signed out, each with its attachments, revisions and
+    // comments. Local only: they are set aside here when signing in, because
+    // Dexie Cloud uploads every signed-out record on the first sync after
+    // login, and wait for the user to move or discard them.
+    this.version(14).stores({
+      localCards: 'id, createdAt'
+    })
+
     // Configure cloud sync with public access
     this.cloud.configure({
       databaseUrl: import.meta.env.VITE_DEXIE_CLOUD_URL || 'https://zgbud0irs.dexie.cloud',
       tryUseServiceWorker: true,
       requireAuth: false, // Allow both authenticated and anonymous access
+      customLoginGui: true, // Sign-in prompts are rendered by LoginDialog
       disableWebSocket: false, // Ensure real-time sync works
+      unsyncedTables: ['sentReminders', 'localCards'],
       periodicSync: {
         minInterval: 10000 // Sync every 10 seconds for better visibility
       }
@@ -32,18 +148,158 @@ export class PlayfulDataLabDB extends Dexie {
 // Create database instance
 export const db = new PlayfulDataLabDB()
 
-// Add sync event listeners for debugging (with safety checks)
+// Server-side endpoint for public realm writes (see netlify/functions/public-write.js)
+const PUBLIC_WRITE_URL = import.meta.env.VITE_PUBLIC_WRITE_URL || '/.netlify/functions/public-write'
+
+export const PUBLIC_REALM_ID = 'rlm-public'
+
+// Attachments would land in the uploader's own realm (see childRealmId), out
+// of sight of everyone else, so public cards don't take any
+const PUBLIC_ATTACHMENTS_ERROR = 'Public cards cannot have attachments. Add the files to a personal or team card instead.'
+
+// POST one request to the public write function and return its JSON reply
+async function postPublicWrite(body) {
+  const accessToken = db.cloud.currentUser?.value?.accessToken
+  if (!accessToken) {
+    throw new Error('Must be signed in to write to the public realm')
+  }
+
+  const response = await fetch(PUBLIC_WRITE_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  })
+
+  if (!response.ok) {
+    const error = await response.text()
+    throw new Error(`Public write error: ${response.status} - ${error}`)
+  }
+  return response.json()
+}
+
+// Role definitions written to the `roles` table of each realm. Dexie Cloud
+// enforces the permissions; the app reads role names to decide what to offer.
+export const ROLE_DEFINITIONS = {
+  admin: {
+    displayName: 'Admin',
+    description: 'Manage members and roles',
+    permissions: { manage: '*' }
+  },
+  publisher: {
+    displayName: 'Publisher',
+    description: 'Create, edit and delete cards',
+    permissions: { add: ['notes', 'templates', 'comments'], manage: ['notes', 'templates'] }
+  },
+  editor: {
+    displayName: 'Editor',
+    description: 'Edit existing cards',
+    permissions: { add: ['comments'], update: { notes: '*' } }
+  },
+  viewer: {
+    displayName: 'Viewer',
+    description: 'Read cards and comment on them',
+    permissions: { add: ['comments'] }
+  }
+}
+
+export const ROLE_NAMES = Object.keys(ROLE_DEFINITIONS)
+
+// Note fields that describe the record rather than its content
+export const NOTE_META_FIELDS = ['id', 'type', 'owner', 'realmId', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'words', 'position']
+
+// Days a trashed note is kept before it is purged for good
+export const TRASH_RETENTION_DAYS = Number(import.meta.env.VITE_TRASH_RETENTION_DAYS) || 30
+
+// The user-editable content of a note
+export function getNoteContent(note = {}) {
+  const content = {}
+  for (const [key, value] of Object.entries(note)) {
+    if (!NOTE_META_FIELDS.includes(key) && !key.startsWith('$')) content[key] = value
+  }
+  return content
+}
+
+// Realm for records that hang off a note (attachments, revisions, ...). The
+// public realm is only writable by the server, so those stay personal.
+function childRealmId(note) {
+  return note?.realmId && note.realmId !== PUBLIC_REALM_ID ? note.realmId : undefined
+}
+
+// Live sync status, kept up to date from db.cloud.syncState and the sync
+// events. Failed syncs are retried with exponential backoff.
+let syncStatus = {
+  phase: 'initial',
+  status: 'not-started',
+  progress: undefined,
+  license: undefined,
+  error: null,
+  attempt: 0,
+  nextRetryAt: null,
+  lastSyncAt: null
+}
+const syncStatusListeners = new Set()
+let retryTimer = null
+
+function setSyncStatus(changes) {
+  syncStatus = { ...syncStatus, ...changes }
+  syncStatusListeners.forEach(listener => listener())
+}
+
+function retrySync() {
+  clearTimeout(retryTimer)
+  retryTimer = null
+  setSyncStatus({ nextRetryAt: null })
+  return db.cloud.sync().catch(error => handleSyncError(error))
+}
+
+// Schedule the next retry unless one is already waiting
+function handleSyncError(error) {
+  console.error('Sync error:', error)
+  const message = error?.message || String(error || 'Sync failed')
+  const userId = db.cloud.currentUserId
+  const isLoggedIn = !!userId && userId !== 'unauthorized'
+  if (retryTimer || !isLoggedIn || syncStatus.status === 'offline') {
+    setSyncStatus({ error: message })
+    return
+  }
+  const attempt = syncStatus.attempt + 1
+  const delay = retryDelay(attempt)
+  retryTimer = setTimeout(retrySync, delay)
+  setSyncStatus({ error: message, attempt, nextRetryAt: Date.now() + delay })
+}
+
+function handleSyncComplete() {
+  clearTimeout(retryTimer)
+  retryTimer = null
+  setSyncStatus({ error: null, attempt: 0, nextRetryAt: null, lastSyncAt: Date.now() })
+}
+
 try {
-  if (db.cloud.events?.syncComplete) {
-    db.cloud.events.syncComplete.subscribe(() => {
-      console.log('Sync completed')
+  db.cloud.persistedSyncState?.subscribe?.(state => {
+    if (state?.timestamp && !syncStatus.lastSyncAt) {
+      setSyncStatus({ lastSyncAt: new Date(state.timestamp).getTime() })
+    }
+  })
+
+  db.cloud.syncState?.subscribe?.(state => {
+    const wasError = syncStatus.phase === 'error'
+    setSyncStatus({
+      phase: state.phase,
+      status: state.status,
+      progress: state.progress,
+      license: state.license
     })
-  }
+    if (state.phase === 'error' && !wasError) handleSyncError(state.error)
+    if (state.phase === 'in-sync' && syncStatus.error) handleSyncComplete()
+  })
+
+  db.cloud.events?.syncComplete?.subscribe(handleSyncComplete)
 
   if (db.cloud.events?.syncError) {
-    db.cloud.events.syncError.subscribe((error) => {
-      console.error('Sync error:', error)
-    })
+    db.cloud.events.syncError.subscribe(handleSyncError)
   }
 
   if (db.cloud.events?.ready) {
@@ -61,9 +317,12 @@ try {
   console.log('Could not set up sync event listeners:', error)
 }
 
+// The trash purge started by noteHelpers.purgeExpiredOnce
+let trashPurge = null
+
 // Enhanced helper functions for notes with sync support
 export const noteHelpers = {
-  // Get all notes (including public realm), sorted by creation date
+  // Get all notes from every synced realm (personal, team and public), sorted by creation date
   async getAllNotes() {
     try {
       // Force sync for anonymous users to see public data
@@ -78,6 +337,7 @@ export const noteHelpers = {
       const notes = await db.notes
         .where('type')
         .equals('note')
+        .filter(note => !note.deletedAt)
         .reverse()
         .sortBy('createdAt')
       
@@ -90,7 +350,7 @@ export const noteHelpers = {
   },
 
   // Add a new note to public realm using REST API
-  async addNote(noteData) {
+  async addNote(noteData, { onFileProgress } = {}) {
     try {
       const currentUserId = db.cloud.currentUserId
       console.log('Adding note with currentUserId:', currentUserId)
@@ -99,20 +359,45 @@ export const noteHelpers = {
         type: 'note',
         title: noteData.title || '',
         details: noteData.details || '',
-        tags: noteData.tags || [],
+        tags: normalizeTags(noteData.tags || []),
         priority: noteData.priority || 'medium',
-        _files: noteData._files || {},
-        createdAt: Date.now(),
+        status: noteData.status || DEFAULT_STATUS,
+        createdAt: noteData.createdAt || Date.now(),
         owner: currentUserId || 'anonymous'
       }
+      const checklist = normalizeChecklist(noteData.checklist)
+      if (checklist.length) noteRecord.checklist = checklist
+      if (noteData.dueDate) noteRecord.dueDate = noteData.dueDate
+      if (noteData.remindAt) noteRecord.remindAt = noteData.remindAt
       
-      // Try to add to public realm via REST API if authenticated as owner
-      if (currentUserId === 'marcus.e@gmail.com') {
-        console.log('Attempting to add to public realm via REST API')
+      // Explicitly chosen team realm
+      if (noteData.realmId && noteData.realmId !== PUBLIC_REALM_ID && !roleHelpers.isPersonalRealm(noteData.realmId)) {
+        if (!(await roleHelpers.hasRole(noteData.realmId, 'publisher', 'admin'))) {
+          throw new Error('You do not have permission to add cards to this realm')
+        }
+        const noteId = await db.notes.add({ ...noteRecord, realmId: noteData.realmId })
+        await revisionHelpers.record(null, { ...noteRecord, realmId: noteData.realmId, id: noteId })
+        await attachmentHelpers.addFiles(noteId, noteData.files, onFileProgress)
+        return noteId
+      }
+
+      // Try to add to public realm via server function if the user may publish,
+      // unless the personal realm was chosen explicitly. Without a choice, a
+      // card with files stays personal.
+      const hasFiles = (noteData.files || []).length > 0
+      if (noteData.realmId === PUBLIC_REALM_ID && hasFiles) {
+        throw new Error(PUBLIC_ATTACHMENTS_ERROR)
+      }
+      const wantsPublic = noteData.realmId === PUBLIC_REALM_ID || (noteData.realmId === undefined && !hasFiles)
+      if (wantsPublic && await roleHelpers.hasRole(PUBLIC_REALM_ID, 'publisher', 'admin')) {
+        console.log('Attempting to add to public realm via server function')
         try {
-          return await this.addToPublicRealm('notes', noteRecord)
+          const noteId = await this.addToPublicRealm('notes', noteRecord)
+          await revisionHelpers.record(null, { ...noteRecord, realmId: PUBLIC_REALM_ID, id: noteId })
+          await attachmentHelpers.addFiles(noteId, noteData.files, onFileProgress)
+          return noteId
         } catch (restError) {
-          console.warn('REST API failed, falling back to personal realm:', restError.message)
+          console.warn('Public write failed, falling back to personal realm:', restError.message)
         }
       }
       
@@ -120,6 +405,8 @@ export const noteHelpers = {
       console.log('Adding to personal realm, userId:', currentUserId)
       console.log('Note record to save:', noteRecord)
       const result = await db.notes.add(noteRecord)
+      await revisionHelpers.record(null, { ...noteRecord, id: result })
+      await attachmentHelpers.addFiles(result, noteData.files, onFileProgress)
       console.log('Note saved successfully with ID:', result)
       return result
     } catch (error) {
@@ -128,96 +415,176 @@ export const noteHelpers = {
     }
   },
 
-  // Add data to public realm via REST API
+  // Add data to public realm through the server-side function, which holds
+  // the client credentials and performs the write on the user's behalf
   async addToPublicRealm(table, data) {
-    const databaseUrl = db.cloud.options?.databaseUrl || 'https://zgbud0irs.dexie.cloud'
-    
-    // Get token for the client with GLOBAL_WRITE permissions
-    const token = await this.getGlobalWriteToken()
-    
-    const response = await fetch(`${databaseUrl}/public/${table}`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify([data])
-    })
-    
-    if (!response.ok) {
-      const error = await response.text()
-      throw new Error(`REST API error: ${response.status} - ${error}`)
-    }
-    
-    const result = await response.json()
-    console.log('Successfully added to public realm via REST API:', result)
-    return result[0]?.id || result.id
+    const result = await postPublicWrite({ table, data })
+    console.log('Successfully added to public realm:', result)
+    return result.id
   },
 
-  // Get token with GLOBAL_WRITE permissions
-  async getGlobalWriteToken() {
-    const databaseUrl = db.cloud.options?.databaseUrl || 'https://zgbud0irs.dexie.cloud'
-    
-    // Use client credentials from Netlify environment variables
-    const clientId = import.meta.env.VITE_DEXIE_CLIENT_ID
-    const clientSecret = import.meta.env.VITE_DEXIE_CLIENT_SECRET
-    
-    if (!clientId || !clientSecret) {
-      throw new Error('VITE_DEXIE_CLIENT_ID and VITE_DEXIE_CLIENT_SECRET environment variables must be set')
+  // Change a public card through the server function. A `deletedAt` change
+  // trashes or restores it, the rest is a content update (undefined clears a
+  // field). Call it outside transactions: awaiting fetch would end them.
+  async updatePublicNote(id, changes) {
+    const { deletedAt, deletedBy, updatedAt, ...content } = changes
+    if ('deletedAt' in changes) {
+      await postPublicWrite({ table: 'notes', op: deletedAt ? 'trash' : 'restore', id })
     }
-    
-    console.log('Requesting GLOBAL_WRITE token...')
-    console.log('Using client ID:', clientId)
-    console.log('Database URL:', databaseUrl)
-    
-    const tokenResponse = await fetch(`${databaseUrl}/token`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        grant_type: 'client_credentials',
-        client_id: clientId,
-        client_secret: clientSecret,
-        scopes: ['IMPERSONATE', 'MANAGE_DB', 'DELETE_DB', 'ACCESS_DB', 'GLOBAL_READ', 'GLOBAL_WRITE']
-      })
-    })
-    
-    console.log('Token response status:', tokenResponse.status)
-    
-    if (!tokenResponse.ok) {
-      const error = await tokenResponse.text()
-      console.error('Token request failed:', error)
-      throw new Error(`Token request failed: ${tokenResponse.status} - ${error}`)
+    if (Object.keys(content).length > 0) {
+      const data = Object.fromEntries(
+        Object.entries(content).map(([key, value]) => [key, value === undefined ? null : value])
+      )
+      await postPublicWrite({ table: 'notes', op: 'update', id, data })
     }
-    
-    const tokenData = await tokenResponse.json()
-    console.log('Successfully obtained GLOBAL_WRITE token:', tokenData)
-    console.log('Token to use:', tokenData.accessToken || tokenData.access_token)
-    
-    return tokenData.accessToken || tokenData.access_token
+    // Pull the server's copy down instead of waiting for the next sync
+    await db.cloud.sync()
   },
 
   // Update a note
-  async updateNote(id, updates) {
+  // `options.restoredFrom` marks the resulting revision as a restore
+  async updateNote(id, updates, options = {}) {
     try {
-      return await db.notes.update(id, updates)
+      const note = await db.notes.get(id)
+      if (note && !(await roleHelpers.canEditNote(note))) {
+        throw new Error('You do not have permission to edit this card')
+      }
+      if (!note) return 0
+
+      if (updates.tags) updates = { ...updates, tags: normalizeTags(updates.tags) }
+
+      let updated = 1
+      if (note.realmId === PUBLIC_REALM_ID) {
+        await this.updatePublicNote(id, updates)
+        await revisionHelpers.record(note, { ...note, ...updates }, options)
+      } else {
+        updated = await db.transaction('rw', db.notes, db.noteRevisions, async () => {
+          const count = await db.notes.update(id, { ...updates, updatedAt: Date.now() })
+          await revisionHelpers.record(note, { ...note, ...updates }, options)
+          return count
+        })
+      }
+      // Keep [[links]] pointing at a renamed card
+      if ('title' in updates && linkKey(updates.title) !== linkKey(note.title)) {
+        await linkHelpers.renameLinks(note, updates.title)
+      }
+      return updated
     } catch (error) {
       console.error('Error updating note:', error)
       throw error
     }
   },
 
-  // Delete a note
+  // Move a card on the board: set its column field and sort key
+  async moveNote(id, field, value, position) {
+    return this.updateNote(id, { [field]: value, position })
+  },
+
+  // Move a note to the trash. It stays restorable until it is purged.
   async deleteNote(id) {
     try {
-      return await db.notes.delete(id)
+      const note = await db.notes.get(id)
+      if (!note) return
+      if (!(await roleHelpers.canDeleteNote(note))) {
+        throw new Error('You do not have permission to delete this card')
+      }
+      const trashed = { deletedAt: Date.now(), deletedBy: db.cloud.currentUserId || 'anonymous' }
+      if (note.realmId === PUBLIC_REALM_ID) {
+        await this.updatePublicNote(id, trashed)
+        return await revisionHelpers.record(note, { ...note, ...trashed }, { action: 'delete' })
+      }
+      return await db.transaction('rw', db.notes, db.noteRevisions, async () => {
+        await db.notes.update(id, trashed)
+        await revisionHelpers.record(note, { ...note, ...trashed }, { action: 'delete' })
+      })
     } catch (error) {
       console.error('Error deleting note:', error)
       throw error
     }
   },
 
+  // Take a note back out of the trash
+  async restoreNote(id) {
+    try {
+      const note = await db.notes.get(id)
+      if (!note) return
+      if (!(await roleHelpers.canDeleteNote(note))) {
+        throw new Error('You do not have permission to restore this card')
+      }
+      const restored = { deletedAt: undefined, deletedBy: undefined }
+      if (note.realmId === PUBLIC_REALM_ID) {
+        await this.updatePublicNote(id, restored)
+        return await revisionHelpers.record(note, { ...note, ...restored }, { action: 'undelete' })
+      }
+      return await db.transaction('rw', db.notes, db.noteRevisions, async () => {
+        await db.notes.update(id, restored)
+        await revisionHelpers.record(note, { ...note, ...restored }, { action: 'undelete' })
+      })
+    } catch (error) {
+      console.error('Error restoring note:', error)
+      throw error
+    }
+  },
+
+  // Permanently delete a note with its attachments and history. Public cards
+  // can only be trashed: the server function has no way to delete them.
+  async purgeNote(id) {
+    try {
+      const note = await db.notes.get(id)
+      if (note && !(await roleHelpers.canDeleteNote(note))) {
+        throw new Error('You do not have permission to delete this card')
+      }
+      if (note?.realmId === PUBLIC_REALM_ID) {
+        throw new Error('Public cards cannot be deleted permanently')
+      }
+      return await db.transaction('rw', [db.notes, db.attachments, db.noteRevisions, db.comments], async () => {
+        await db.attachments.where('noteId').equals(id).delete()
+        await db.noteRevisions.where('noteId').equals(id).delete()
+        await db.comments.where('noteId').equals(id).delete()
+        await db.notes.delete(id)
+      })
+    } catch (error) {
+      console.error('Error purging note:', error)
+      throw error
+    }
+  },
+
+  // Trashed notes, most recently deleted first
+  async getTrashedNotes() {
+    try {
+      const notes = await db.notes.where('deletedAt').above(0).toArray()
+      return notes.sort((a, b) => b.deletedAt - a.deletedAt)
+    } catch (error) {
+      console.error('Error fetching trash:', error)
+      return []
+    }
+  },
+
+  // Purge trashed notes older than the retention period. Notes the user may
+  // not delete are left for someone who can; public ones stay in the trash.
+  async purgeExpired(retentionDays = TRASH_RETENTION_DAYS) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000
+    try {
+      const expired = await db.notes.where('deletedAt').between(1, cutoff).toArray()
+      let purged = 0
+      for (const note of expired) {
+        if (note.realmId === PUBLIC_REALM_ID || !(await roleHelpers.canDeleteNote(note))) continue
+        await this.purgeNote(note.id)
+        purged++
+      }
+      return purged
+    } catch (error) {
+      console.error('Error purging trash:', error)
+      return 0
+    }
+  },
+
+  // purgeExpired() once per page load, however often the app mounts
+  purgeExpiredOnce() {
+    if (!trashPurge) trashPurge = this.purgeExpired()
+    return trashPurge
+  },
+
   // Get a single note by ID
   async getNote(id) {
     try {
@@ -228,22 +595,34 @@ export const noteHelpers = {
     }
   },
 
-  // Search notes for current user
-  async searchNotes(searchTerm) {
+  // Search notes with the query syntax from lib/search.js, best matches first.
+  // Positive words narrow the candidates through the `words` index; the
+  // remaining clauses are checked on the candidates.
+  async searchNotes(query) {
     try {
-      if (!searchTerm) return await this.getAllNotes()
-      
-      const term = searchTerm.toLowerCase()
-      return await db.notes
-        .where('type')
-        .equals('note')
-        .filter(note => 
-          (note.title || '').toLowerCase().includes(term) ||
-          (note.details || '').toLowerCase().includes(term) ||
-          (Array.isArray(note.tags) ? note.tags.join(' ').toLowerCase() : '').includes(term)
-        )
-        .reverse()
-        .sortBy('createdAt')
+      const clauses = parseQuery(query)
+      if (clauses.length === 0) return await this.getAllNotes()
+
+      const words = clauses.filter(c => c.type === 'word' && !c.negate).map(c => c.value)
+      let candidates
+      if (words.length > 0) {
+        let ids = null
+        for (const word of words) {
+          const keys = await db.notes.where('words').startsWith(word).primaryKeys()
+          const matches = new Set(keys)
+          ids = ids ? new Set([...ids].filter(id => matches.has(id))) : matches
+          if (ids.size === 0) return []
+        }
+        candidates = (await db.notes.bulkGet([...ids])).filter(Boolean)
+      } else {
+        candidates = await db.notes.where('type').equals('note').toArray()
+      }
+
+      return candidates
+        .filter(note => note.type === 'note' && !note.deletedAt && matchesQuery(note, clauses))
+        .map(note => ({ note, score: scoreNote(note, clauses) }))
+        .sort((a, b) => b.score - a.score || (b.note.createdAt || 0) - (a.note.createdAt || 0))
+        .map(({ note }) => note)
     } catch (error) {
       console.error('Error searching notes:', error)
       return []
@@ -251,52 +630,1327 @@ export const noteHelpers = {
   }
 }
 
+// Reminders shown on this device. A reminder fires again when its card gets
+// a new reminder time.
+export const reminderHelpers = {
+  // noteId -> remindAt of the last reminder shown to the current user here
+  async getSent() {
+    const owner = db.cloud.currentUserId || 'anonymous'
+    try {
+      const rows = await db.sentReminders.where('owner').equals(owner).toArray()
+      return new Map(rows.map(row => [row.noteId, row.remindAt]))
+    } catch (error) {
+      console.error('Error fetching sent reminders:', error)
+      return new Map()
+    }
+  },
 
-// Cloud sync utilities
-export const syncHelpers = {
-  // Check if user is authenticated (exclude "unauthorized")
-  isAuthenticated() {
-    const userId = db.cloud.currentUserId
-    return !!userId && userId !== 'unauthorized'
+  // When the card's current reminder was shown here, or null
+  async getSentAt(note) {
+    const owner = db.cloud.currentUserId || 'anonymous'
+    const row = await db.sentReminders.get([owner, note.id])
+    return row && row.remindAt === note.remindAt ? row.sentAt : null
   },
 
-  // Get current user info
-  getCurrentUser() {
-    const userId = db.cloud.currentUserId
-    const isReallyLoggedIn = !!userId && userId !== 'unauthorized'
-    return {
-      id: userId,
-      email: db.cloud.currentUser?.email,
-      isLoggedIn: isReallyLoggedIn
+  markSent(note) {
+    return db.sentReminders.put({
+      owner: db.cloud.currentUserId || 'anonymous',
+      noteId: note.id,
+      remindAt: note.remindAt,
+      sentAt: Date.now()
+    })
+  }
+}
+
+// File attachments stored as blobs, linked to notes by noteId
+export const attachmentHelpers = {
+  // Attachments of a note, oldest first
+  async getAttachments(noteId) {
+    try {
+      return await db.attachments.where('noteId').equals(noteId).sortBy('createdAt')
+    } catch (error) {
+      console.error('Error fetching attachments:', error)
+      return []
     }
   },
 
-  // Sign in with email (triggers OTP)
-  async signIn(email) {
+  // Store files for a note after validating them against the attachment
+  // limits. Attachments follow the note's realm; notes in the public realm are
+  // written by the server, so their files stay in the uploader's personal realm.
+  // onProgress(index, { status, progress, error }) reports each file as it is
+  // read and saved. Returns the new ids and the per-file errors.
+  async addFiles(noteId, files = [], onProgress = () => {}) {
+    const result = { added: [], errors: [] }
+    if (!noteId || !files.length) return result
+
+    const note = await db.notes.get(noteId)
+    if (note?.realmId === PUBLIC_REALM_ID) throw new Error(PUBLIC_ATTACHMENTS_ERROR)
+    const realmId = childRealmId(note)
+    const existing = await this.getAttachments(noteId)
+    const plan = validateFiles(files, existing)
+
+    for (const [index, entry] of plan.entries()) {
+      const { file, name, version, error } = entry
+      if (error) {
+        result.errors.push({ name, error })
+        onProgress(index, { status: 'error', progress: 0, error })
+        continue
+      }
+
+      try {
+        onProgress(index, { status: 'reading', progress: 0 })
+        const buffer = await readFileWithProgress(file, progress => {
+          onProgress(index, { status: 'reading', progress })
+        })
+
+        onProgress(index, { status: 'saving', progress: 1 })
+        const id = await db.attachments.add({
+          noteId,
+          name,
+          version,
+          type: file.type || 'application/octet-stream',
+          size: file.size,
+          checksum: await computeChecksum(buffer),
+          blob: file,
+          thumbnail: await createThumbnail(file),
+          createdAt: Date.now(),
+          owner: db.cloud.currentUserId || 'anonymous',
+          ...(realmId ? { realmId } : {})
+        })
+        result.added.push(id)
+        onProgress(index, { status: 'done', progress: 1 })
+      } catch (error) {
+        console.error('Error adding attachment:', error)
+        result.errors.push({ name, error: error.message })
+        onProgress(index, { status: 'error', progress: 0, error: error.message })
+      }
+    }
+
+    return result
+  },
+
+  async removeAttachment(id) {
     try {
-      return await db.cloud.login(email)
+      return await db.attachments.delete(id)
     } catch (error) {
-      console.error('Error signing in:', error)
+      console.error('Error removing attachment:', error)
       throw error
     }
+  }
+}
+
+// Revision history: one record per committed change to a note
+export const revisionHelpers = {
+  // Record the change from `before` to `after` (before is null for a new note).
+  // Each revision keeps the changed fields and a full snapshot of the content
+  // so any revision can be restored on its own. `action` overrides the kind
+  // of revision, e.g. 'delete'.
+  async record(before, after, { restoredFrom, action } = {}) {
+    const previous = getNoteContent(before || {})
+    const next = getNoteContent(after)
+    const changes = {}
+    for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+        changes[key] = { from: previous[key], to: next[key] }
+      }
+    }
+    if (before && !action && Object.keys(changes).length === 0) return null
+
+    const user = db.cloud.currentUser?.value || {}
+    const realmId = childRealmId(after)
+    return db.noteRevisions.add({
+      noteId: after.id,
+      action: action || (before ? (restoredFrom ? 'restore' : 'update') : 'create'),
+      changes,
+      snapshot: next,
+      author: db.cloud.currentUserId || 'anonymous',
+      authorEmail: user.email,
+      createdAt: Date.now(),
+      ...(restoredFrom ? { restoredFrom } : {}),
+      ...(realmId ? { realmId } : {})
+    })
   },
 
-  // Sign out
-  async signOut() {
+  // Revisions of a note, newest first
+  async getRevisions(noteId) {
     try {
-      return await db.cloud.logout()
+      return await db.noteRevisions
+        .where('[noteId+createdAt]')
+        .between([noteId, Dexie.minKey], [noteId, Dexie.maxKey])
+        .reverse()
+        .toArray()
     } catch (error) {
-      console.error('Error signing out:', error)
+      console.error('Error fetching revisions:', error)
+      return []
+    }
+  },
+
+  // Put a note's content back to how it was after the given revision
+  async restore(revisionId) {
+    try {
+      const revision = await db.noteRevisions.get(revisionId)
+      if (!revision) throw new Error('Revision not found')
+      const note = await db.notes.get(revision.noteId)
+      if (!note) throw new Error('Card not found')
+
+      // Fields added after the revision are cleared
+      const updates = {}
+      Object.keys(getNoteContent(note)).forEach(key => { updates[key] = undefined })
+      Object.assign(updates, revision.snapshot)
+      return await noteHelpers.updateNote(revision.noteId, updates, { restoredFrom: revisionId })
+    } catch (error) {
+      console.error('Error restoring revision:', error)
       throw error
     }
+  }
+}
+
+// Realm roles: which members hold publisher/editor/viewer/admin per realm
+export const roleHelpers = {
+  // Personal notes live in a realm named after the user (or have no realm yet)
+  isPersonalRealm(realmId) {
+    return !realmId || realmId === db.cloud.currentUserId
   },
 
-  // Get sync status
-  getSyncStatus() {
-    return {
-      isOnline: db.cloud.persistedSyncState?.phase === 'online',
-      isSyncing: db.cloud.persistedSyncState?.phase === 'syncing',
-      lastSync: db.cloud.persistedSyncState?.lastSync
+  // Role names the current user holds in a realm
+  async getMyRoles(realmId) {
+    if (!syncHelpers.isAuthenticated()) return []
+    const user = db.cloud.currentUser?.value || {}
+    const email = (user.email || db.cloud.currentUserId || '').toLowerCase()
+    try {
+      const memberships = await db.members.where('realmId').equals(realmId).toArray()
+      const roles = new Set()
+      memberships
+        .filter(m => m.userId === db.cloud.currentUserId || (m.email || '').toLowerCase() === email)
+        .forEach(m => (m.roles || []).forEach(r => roles.add(r)))
+
+      // Realm owners implicitly administer their realm
+      const realm = await db.realms.get(realmId)
+      if (realm?.owner && realm.owner === db.cloud.currentUserId) roles.add('admin')
+
+      return Array.from(roles)
+    } catch (error) {
+      console.error('Error fetching roles:', error)
+      return []
+    }
+  },
+
+  // True if the current user holds any of the given roles in the realm
+  async hasRole(realmId, ...roleNames) {
+    const roles = await this.getMyRoles(realmId)
+    return roleNames.some(r => roles.includes(r))
+  },
+
+  async canEditNote(note) {
+    if (this.isPersonalRealm(note.realmId)) return true
+    return this.hasRole(note.realmId, 'admin', 'publisher', 'editor')
+  },
+
+  async canDeleteNote(note) {
+    if (this.isPersonalRealm(note.realmId)) return true
+    return this.hasRole(note.realmId, 'admin', 'publisher')
+  },
+
+  // Ask the server function for the current user's public realm roles.
+  // Admins only listed in PUBLIC_REALM_ADMINS get a members row seeded there,
+  // which the realm checks below pick up once it has synced down.
+  async loadPublicRoles() {
+    const accessToken = db.cloud.currentUser?.value?.accessToken
+    if (!accessToken) return []
+
+    const response = await fetch(PUBLIC_WRITE_URL, {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    })
+    if (!response.ok) {
+      const error = await response.text()
+      throw new Error(`Public roles error: ${response.status} - ${error}`)
+    }
+
+    const result = await response.json()
+    if (result.seeded) await db.cloud.sync()
+    return result.roles || []
+  },
+
+  // Realms the current user can administer (public realm included when admin)
+  async getAdminRealms() {
+    if (!syncHelpers.isAuthenticated()) return []
+    const realms = await db.realms.toArray()
+    const candidates = [{ realmId: PUBLIC_REALM_ID, name: 'Public' }, ...realms.filter(r => r.realmId !== PUBLIC_REALM_ID)]
+    const result = []
+    for (const realm of candidates) {
+      if (await this.hasRole(realm.realmId, 'admin')) result.push(realm)
+    }
+    return result
+  },
+
+  // Members of a realm, with their roles
+  async getMembers(realmId) {
+    try {
+      return await db.members.where('realmId').equals(realmId).toArray()
+    } catch (error) {
+      console.error('Error fetching members:', error)
+      return []
+    }
+  },
+
+  // Write the role definitions for a realm so Dexie Cloud can enforce them
+  async ensureRealmRoles(realmId) {
+    const roles = ROLE_NAMES.map(name => ({ realmId, name, ...ROLE_DEFINITIONS[name] }))
+    if (realmId === PUBLIC_REALM_ID) {
+      for (const role of roles) await noteHelpers.addToPublicRealm('roles', role)
+      return
+    }
+    await db.roles.bulkPut(roles)
+  },
+
+  // Save a membership, through the server function for the public realm
+  async saveMember(member) {
+    if (member.realmId === PUBLIC_REALM_ID) {
+      return noteHelpers.addToPublicRealm('members', member)
     }
+    if (member.id) {
+      await db.members.update(member.id, { roles: member.roles })
+      return member.id
+    }
+    return db.members.add(member)
+  },
+
+  // Grant a role to an email address in a realm
+  async grantRole(realmId, email, roleName) {
+    if (!ROLE_NAMES.includes(roleName)) throw new Error(`Unknown role: ${roleName}`)
+    const normalized = email.trim().toLowerCase()
+    try {
+      await this.ensureRealmRoles(realmId)
+      const existing = await db.members.where('[realmId+email]').equals([realmId, normalized]).first()
+      const roles = Array.from(new Set([...(existing?.roles || []), roleName]))
+      return await this.saveMember({ ...(existing || { realmId, email: normalized }), roles })
+    } catch (error) {
+      console.error('Error granting role:', error)
+      throw error
+    }
+  },
+
+  // Remove a role from a member
+  async revokeRole(memberId, roleName) {
+    try {
+      const member = await db.members.get(memberId)
+      if (!member) return
+      const roles = (member.roles || []).filter(r => r !== roleName)
+      return await this.saveMember({ ...member, roles })
+    } catch (error) {
+      console.error('Error revoking role:', error)
+      throw error
+    }
+  }
+}
+
+// Team realms and their member invitations
+export const realmHelpers = {
+  // Realms the user belongs to, plus the public realm, excluding the personal one
+  async getMyRealms() {
+    try {
+      const realms = await db.realms.toArray()
+      const teams = realms.filter(r => r.realmId !== PUBLIC_REALM_ID && !roleHelpers.isPersonalRealm(r.realmId))
+      return [{ realmId: PUBLIC_REALM_ID, name: 'Public' }, ...teams]
+    } catch (error) {
+      console.error('Error fetching realms:', error)
+      return []
+    }
+  },
+
+  // Realms the user may create cards in (their personal realm is always allowed)
+  async getWritableRealms() {
+    const realms = await this.getMyRealms()
+    const result = []
+    for (const realm of realms) {
+      if (await roleHelpers.hasRole(realm.realmId, 'publisher', 'admin')) result.push(realm)
+    }
+    return result
+  },
+
+  // Display name for a note's realm
+  getRealmName(realmId, realms = []) {
+    if (roleHelpers.isPersonalRealm(realmId)) return 'Personal'
+    if (realmId === PUBLIC_REALM_ID) return 'Public'
+    return realms.find(r => r.realmId === realmId)?.name || 'Shared'
+  },
+
+  // Create a named team realm with the current user as its admin
+  async createRealm(name) {
+    if (!syncHelpers.isAuthenticated()) throw new Error('Sign in to create a team realm')
+    const user = db.cloud.currentUser?.value || {}
+    try {
+      return await db.transaction('rw', db.realms, db.members, db.roles, async () => {
+        const realmId = await db.realms.add({ name: name.trim(), represents: 'a team' })
+        await roleHelpers.ensureRealmRoles(realmId)
+        await db.members.add({
+          realmId,
+          userId: db.cloud.currentUserId,
+          email: (user.email || '').toLowerCase(),
+          name: user.name,
+          roles: ['admin']
+        })
+        return realmId
+      })
+    } catch (error) {
+      console.error('Error creating realm:', error)
+      throw error
+    }
+  },
+
+  // Invite someone by email; Dexie Cloud sends the invitation
+  async inviteMember(realmId, email, roles = ['editor']) {
+    const normalized = email.trim().toLowerCase()
+    try {
+      const existing = await db.members.where('[realmId+email]').equals([realmId, normalized]).first()
+      if (existing) throw new Error(`${normalized} is already a member`)
+      return await db.members.add({
+        realmId,
+        email: normalized,
+        invite: true,
+        roles
+      })
+    } catch (error) {
+      console.error('Error inviting member:', error)
+      throw error
+    }
+  },
+
+  // Remove a member (or withdraw an invitation)
+  async removeMember(memberId) {
+    try {
+      return await db.members.delete(memberId)
+    } catch (error) {
+      console.error('Error removing member:', error)
+      throw error
+    }
+  }
+}
+
+// Batch actions on selected notes. Each batch runs in a single transaction
+// and returns an `undo` that reverts the whole batch in one transaction too.
+// Notes the user may not change are skipped and counted.
+export const bulkHelpers = {
+  // Load the notes and split them by the permission `check`
+  async partition(ids, check) {
+    const notes = (await db.notes.bulkGet(ids)).filter(Boolean)
+    const allowed = []
+    for (const note of notes) {
+      if (await check(note)) allowed.push(note)
+    }
+    return { allowed, skipped: notes.length - allowed.length }
+  },
+
+  // Write `buildChanges(note)` to every note that has changes, recording a
+  // revision each. Returns the previous values for undo. Public cards are
+  // written one by one through the server function after the transaction.
+  async apply(notes, buildChanges, { action, touch = true } = {}) {
+    const previous = []
+    const remember = (note, changes) => previous.push({
+      id: note.id,
+      values: Object.fromEntries(Object.keys(changes).map(key => [key, note[key]]))
+    })
+    await db.transaction('rw', [db.notes, db.noteRevisions, db.attachments, db.comments], async () => {
+      for (const note of notes) {
+        if (note.realmId === PUBLIC_REALM_ID) continue
+        const changes = buildChanges(note)
+        if (!changes) continue
+        const after = { ...note, ...changes }
+        await db.notes.update(note.id, touch ? { ...changes, updatedAt: Date.now() } : changes)
+        await revisionHelpers.record(note, after, action ? { action } : {})
+        if ('realmId' in changes) await this.moveChildren(note.id, after)
+        remember(note, changes)
+      }
+    })
+    for (const note of notes.filter(note => note.realmId === PUBLIC_REALM_ID)) {
+      const changes = buildChanges(note)
+      if (!changes) continue
+      await noteHelpers.updatePublicNote(note.id, changes)
+      await revisionHelpers.record(note, { ...note, ...changes }, action ? { action } : {})
+      remember(note, changes)
+    }
+    return previous
+  },
+
+  // Attachments, revisions and comments follow their note into a new realm
+  async moveChildren(noteId, note) {
+    const realmId = childRealmId(note)
+    await db.attachments.where('noteId').equals(noteId).modify({ realmId })
+    await db.noteRevisions.where('noteId').equals(noteId).modify({ realmId })
+    await db.comments.where('noteId').equals(noteId).modify({ realmId })
+  },
+
+  // Put back the values saved by apply()
+  async revert(previous, { action } = {}) {
+    try {
+      await this.apply(
+        (await db.notes.bulkGet(previous.map(p => p.id))).filter(Boolean),
+        note => previous.find(p => p.id === note.id).values,
+        { action, touch: false }
+      )
+    } catch (error) {
+      console.error('Error undoing batch:', error)
+      throw error
+    }
+  },
+
+  async run(ids, check, buildChanges, { action, undoAction, touch } = {}) {
+    try {
+      const { allowed, skipped } = await this.partition(ids, check)
+      const previous = await this.apply(allowed, buildChanges, { action, touch })
+      return {
+        updated: previous.length,
+        skipped,
+        undo: () => this.revert(previous, { action: undoAction })
+      }
+    } catch (error) {
+      console.error('Error running batch:', error)
+      throw error
+    }
+  },
+
+  addTags(ids, tags) {
+    const added = normalizeTags(tags)
+    return this.run(ids, note => roleHelpers.canEditNote(note), note => {
+      const next = normalizeTags([...(note.tags || []), ...added])
+      return next.length === (note.tags || []).length ? null : { tags: next }
+    })
+  },
+
+  removeTags(ids, tags) {
+    return this.run(ids, note => roleHelpers.canEditNote(note), note => {
+      const next = (note.tags || []).filter(tag => !tags.includes(tag))
+      return next.length === (note.tags || []).length ? null : { tags: next }
+    })
+  },
+
+  setPriority(ids, priority) {
+    return this.run(ids, note => roleHelpers.canEditNote(note), note =>
+      (note.priority || 'medium') === priority ? null : { priority }
+    )
+  },
+
+  // Move notes into a team realm or (realmId = null) the personal realm.
+  // Leaving a realm needs delete rights there; the public realm is only
+  // written through the server function, so it is neither source nor target.
+  async moveToRealm(ids, realmId) {
+    if (realmId === PUBLIC_REALM_ID) throw new Error('Cards cannot be moved into the public realm')
+    const target = realmId || db.cloud.currentUserId
+    if (realmId && !(await roleHelpers.hasRole(realmId, 'publisher', 'admin'))) {
+      throw new Error('You do not have permission to add cards to this realm')
+    }
+    return this.run(ids, note => note.realmId !== PUBLIC_REALM_ID && roleHelpers.canDeleteNote(note), note =>
+      note.realmId === target ? null : { realmId: target }
+    )
+  },
+
+  deleteNotes(ids) {
+    const trashed = { deletedAt: Date.now(), deletedBy: db.cloud.currentUserId || 'anonymous' }
+    return this.run(
+      ids,
+      note => roleHelpers.canDeleteNote(note),
+      note => note.deletedAt ? null : trashed,
+      { action: 'delete', undoAction: 'undelete', touch: false }
+    )
+  }
+}
+
+// Moving cards in and out of files (formats live in lib/transfer.js)
+export const transferHelpers = {
+  // Export notes with their attachments as a { blob, filename } download
+  async exportNotes(notes, format = 'json') {
+    try {
+      const attachments = format === 'csv'
+        ? []
+        : await db.attachments.where('noteId').anyOf(notes.map(n => n.id)).toArray()
+      return await exportNotes(notes, attachments, format)
+    } catch (error) {
+      console.error('Error exporting notes:', error)
+      throw error
+    }
+  },
+
+  // Flag records that match an existing card (same id, or same title and
+  // details) or an earlier record in the same file
+  async markDuplicates(records) {
+    const existing = await db.notes.where('type').equals('note').filter(note => !note.deletedAt).toArray()
+    const byId = new Map(existing.map(note => [note.id, note]))
+    const byFingerprint = new Map(existing.map(note => [noteFingerprint(note), note]))
+    const seen = new Map()
+
+    return records.map(record => {
+      if (record.error) return record
+      const fingerprint = noteFingerprint(record.note)
+      const match = byId.get(record.sourceId) || byFingerprint.get(fingerprint)
+      let duplicate = null
+      if (match) duplicate = `Already in your cards as "${match.title || 'Untitled Card'}"`
+      else if (seen.has(fingerprint)) duplicate = `Same as ${seen.get(fingerprint)} in this file`
+      seen.set(fingerprint, record.label)
+      return { ...record, duplicate }
+    })
+  },
+
+  // Add records one by one. Returns { imported, errors: [{ label, error }] };
+  // attachment problems are reported without failing the card.
+  async importRecords(records, { realmId = '', onProgress } = {}) {
+    let imported = 0
+    const errors = []
+    for (const [index, record] of records.entries()) {
+      try {
+        const noteId = await noteHelpers.addNote({ ...record.note, realmId })
+        imported++
+        if (record.attachments.length > 0) {
+          const result = await attachmentHelpers.addFiles(noteId, toFiles(record.attachments))
+          result.errors.forEach(e => errors.push({ label: `${record.label} / ${e.name}`, error: e.error }))
+        }
+      } catch (error) {
+        errors.push({ label: record.label, error: error.message })
+      }
+      onProgress?.(index + 1, records.length)
+    }
+    return { imported, errors }
+  }
+}
+
+// Moving cards made while signed out into the signed-in user's account.
+// They wait in the local-only localCards table until the user decides.
+const CARD_CHILD_TABLES = ['attachments', 'noteRevisions', 'comments']
+
+export const migrationHelpers = {
+  // Set the signed-out cards aside before logging in so the first sync
+  // leaves them on this device. Writes while signed out are not tracked for
+  // sync, so removing them from the synced tables uploads nothing.
+  async stashAnonymousNotes() {
+    const tables = [db.notes, db.localCards, ...CARD_CHILD_TABLES.map(name => db.table(name))]
+    return db.transaction('rw', tables, async () => {
+      const notes = await db.notes.where('type').equals('note').filter(isAnonymousNote).toArray()
+      for (const note of notes) {
+        const card = { id: note.id, createdAt: note.createdAt || Date.now(), note }
+        for (const name of CARD_CHILD_TABLES) {
+          const collection = db.table(name).where('noteId').equals(note.id)
+          card[name] = await collection.toArray()
+          await collection.delete()
+        }
+        await db.localCards.put(card)
+        await db.notes.delete(note.id)
+      }
+      return notes.length
+    })
+  },
+
+  // Put stashed cards back, for a sign-in that didn't go through
+  async unstashAnonymousNotes() {
+    if (syncHelpers.isAuthenticated()) return 0
+    const tables = [db.notes, db.localCards, ...CARD_CHILD_TABLES.map(name => db.table(name))]
+    return db.transaction('rw', tables, async () => {
+      const cards = await db.localCards.toArray()
+      for (const card of cards) {
+        await db.notes.put(card.note)
+        for (const name of CARD_CHILD_TABLES) {
+          if (card[name]?.length) await db.table(name).bulkPut(card[name])
+        }
+      }
+      await db.localCards.clear()
+      return cards.length
+    })
+  },
+
+  // Signed-out cards with duplicate flags and attachment counts, oldest first
+  async getPreview() {
+    if (!syncHelpers.isAuthenticated()) return []
+    try {
+      const cards = await db.localCards.orderBy('createdAt').toArray()
+      if (cards.length === 0) return []
+      const accountNotes = await db.notes
+        .where('type').equals('note')
+        .filter(note => !note.deletedAt)
+        .toArray()
+      const counts = new Map(cards.map(card => [card.id, (card.attachments || []).length]))
+      return markMigrationDuplicates(cards.map(card => card.note), accountNotes).map(item => ({
+        ...item,
+        attachmentCount: counts.get(item.note.id)
+      }))
+    } catch (error) {
+      console.error('Error previewing migration:', error)
+      return []
+    }
+  },
+
+  // Move one stashed card and its attachments, history and comments into the
+  // synced tables. Added while signed in, they upload on the next sync.
+  async moveNote(card, realmId) {
+    const user = syncHelpers.getCurrentUser()
+    const moved = { ...card.note, owner: user.id, realmId }
+    const claim = { realmId: childRealmId(moved), userId: user.id, email: user.email }
+    const tables = [db.notes, db.localCards, ...CARD_CHILD_TABLES.map(name => db.table(name))]
+    await db.transaction('rw', tables, async () => {
+      await db.notes.put(moved)
+      for (const name of CARD_CHILD_TABLES) {
+        const children = card[name] || []
+        if (children.length) await db.table(name).bulkPut(children.map(child => claimChild(child, claim)))
+      }
+      await db.localCards.delete(card.id)
+    })
+  },
+
+  // Move `ids` into `realmId` (personal when empty) and delete the local
+  // copies listed in `discardIds`. Returns { moved, discarded, errors }.
+  async migrate(ids, { realmId = '', discardIds = [] } = {}) {
+    if (!syncHelpers.isAuthenticated()) throw new Error('Sign in to move cards into your account')
+    if (realmId === PUBLIC_REALM_ID) throw new Error('Cards cannot be moved into the public realm')
+    if (realmId && !(await roleHelpers.hasRole(realmId, 'publisher', 'admin'))) {
+      throw new Error('You do not have permission to add cards to this realm')
+    }
+    const target = realmId || db.cloud.currentUserId
+    const cards = (await db.localCards.bulkGet([...ids, ...discardIds])).filter(Boolean)
+    let moved = 0
+    let discarded = 0
+    const errors = []
+    for (const card of cards) {
+      try {
+        if (discardIds.includes(card.id)) {
+          await db.localCards.delete(card.id)
+          discarded++
+        } else {
+          await this.moveNote(card, target)
+          moved++
+        }
+      } catch (error) {
+        console.error('Error migrating note:', error)
+        errors.push({ label: card.note.title || 'Untitled Card', error: error.message })
+      }
+    }
+    return { moved, discarded, errors }
+  }
+}
+
+// Tags across all notes: bulk rename, merge and delete, plus colors. Notes
+// the user may not edit are skipped and counted.
+export const tagHelpers = {
+  // Apply `transform` to the tag list of every note in one transaction, so a
+  // failure part way leaves all tags as they were. Trashed notes are included:
+  // restoring one shouldn't bring back a tag that was renamed or deleted.
+  // Public cards can't be written in the transaction and go through the
+  // server function afterwards.
+  async rewriteTags(transform) {
+    const publicChanges = []
+    // members and realms are read by the permission check
+    const result = await db.transaction('rw', [db.notes, db.noteRevisions, db.members, db.realms], async () => {
+      const notes = await db.notes.where('type').equals('note').toArray()
+      let updated = 0
+      let skipped = 0
+      for (const note of notes) {
+        const tags = note.tags || []
+        const next = transform(tags)
+        if (JSON.stringify(next) === JSON.stringify(tags)) continue
+        if (!(await roleHelpers.canEditNote(note))) {
+          skipped++
+          continue
+        }
+        const changes = { tags: normalizeTags(next) }
+        if (note.realmId === PUBLIC_REALM_ID) {
+          publicChanges.push({ note, changes })
+          continue
+        }
+        await db.notes.update(note.id, { ...changes, updatedAt: Date.now() })
+        await revisionHelpers.record(note, { ...note, ...changes })
+        updated++
+      }
+      return { updated, skipped }
+    })
+    for (const { note, changes } of publicChanges) {
+      await noteHelpers.updatePublicNote(note.id, changes)
+      await revisionHelpers.record(note, { ...note, ...changes })
+      result.updated++
+    }
+    return result
+  },
+
+  // Rename a tag and the tags nested below it
+  async renameTag(from, to) {
+    const target = normalizeTag(to)
+    if (!target) throw new Error('Enter a new tag name')
+    try {
+      const result = await this.rewriteTags(tags => renameInTags(tags, from, target))
+      await this.moveColors(from, target)
+      return result
+    } catch (error) {
+      console.error('Error renaming tag:', error)
+      throw error
+    }
+  },
+
+  // Fold several tags into one
+  async mergeTags(sources, into) {
+    const target = normalizeTag(into)
+    if (!target) throw new Error('Pick a tag to merge into')
+    try {
+      return await this.rewriteTags(tags =>
+        sources.reduce((next, source) => renameInTags(next, source, target), tags)
+      )
+    } catch (error) {
+      console.error('Error merging tags:', error)
+      throw error
+    }
+  },
+
+  // Remove a tag and the tags nested below it from every note
+  async deleteTag(tag) {
+    try {
+      const result = await this.rewriteTags(tags => removeFromTags(tags, tag))
+      await this.setColor(tag, null)
+      return result
+    } catch (error) {
+      console.error('Error deleting tag:', error)
+      throw error
+    }
+  },
+
+  // Merge tags that only differ in case or spacing
+  async normalizeAll() {
+    try {
+      return await this.rewriteTags(normalizeTags)
+    } catch (error) {
+      console.error('Error normalizing tags:', error)
+      throw error
+    }
+  },
+
+  // The current user's colors as { tag: color }
+  async getColors() {
+    try {
+      const owner = db.cloud.currentUserId || 'anonymous'
+      const rows = await db.tagColors.where('owner').equals(owner).toArray()
+      return Object.fromEntries(rows.map(row => [row.tag, row.color]))
+    } catch (error) {
+      console.error('Error fetching tag colors:', error)
+      return {}
+    }
+  },
+
+  // Set or clear (color = null) a tag's color
+  async setColor(tag, color) {
+    try {
+      const owner = db.cloud.currentUserId || 'anonymous'
+      const existing = await db.tagColors.where('owner').equals(owner).filter(row => row.tag === tag).first()
+      if (!color) {
+        if (existing) await db.tagColors.delete(existing.id)
+        return
+      }
+      if (existing) return await db.tagColors.update(existing.id, { color })
+      return await db.tagColors.add({ tag, color, owner })
+    } catch (error) {
+      console.error('Error saving tag color:', error)
+      throw error
+    }
+  },
+
+  // Carry colors over when a tag subtree is renamed
+  async moveColors(from, to) {
+    const owner = db.cloud.currentUserId || 'anonymous'
+    const rows = await db.tagColors.where('owner').equals(owner).filter(row => isTagOrChild(row.tag, from)).toArray()
+    for (const row of rows) {
+      await db.tagColors.update(row.id, { tag: `${to}${row.tag.slice(from.length)}` })
+    }
+  }
+}
+
+// [[Card title]] links between notes
+export const linkHelpers = {
+  // Rewrite links to `note` after it was renamed. Skipped when the old or new
+  // title is blank, or when another card shares the old title and the links
+  // could mean either. Failures are logged; the rename itself already saved.
+  async renameLinks(note, title) {
+    const from = note.title || ''
+    if (!linkKey(from) || !linkKey(title)) return { updated: 0, skipped: 0 }
+    try {
+      const notes = (await db.notes.where('type').equals('note').toArray()).filter(n => !n.deletedAt)
+      if (notes.some(n => n.id !== note.id && linkKey(n.title) === linkKey(from))) {
+        return { updated: 0, skipped: 0 }
+      }
+      let updated = 0
+      let skipped = 0
+      for (const other of notes) {
+        const details = renameLinks(other.details, from, title)
+        if (details === (other.details || '')) continue
+        if (!(await roleHelpers.canEditNote(other))) {
+          skipped++
+          continue
+        }
+        await noteHelpers.updateNote(other.id, { details })
+        updated++
+      }
+      return { updated, skipped }
+    } catch (error) {
+      console.error('Error updating links:', error)
+      return { updated: 0, skipped: 0 }
+    }
+  }
+}
+
+// Card templates. Personal templates live in the user's own realm; shared
+// ones in a team realm, where publishers and admins may change them.
+export const templateHelpers = {
+  // Every template the user can see, alphabetically
+  async getTemplates() {
+    try {
+      const templates = await db.templates.toArray()
+      return templates.sort((a, b) => a.name.localeCompare(b.name))
+    } catch (error) {
+      console.error('Error fetching templates:', error)
+      return []
+    }
+  },
+
+  async canEditTemplate(template) {
+    if (!template.realmId || roleHelpers.isPersonalRealm(template.realmId)) return true
+    return roleHelpers.hasRole(template.realmId, 'publisher', 'admin')
+  },
+
+  // Save a template from card fields. With an id, the template is updated.
+  async saveTemplate(name, fields, { id, realmId } = {}) {
+    const template = toTemplate(name, fields)
+    try {
+      if (id) {
+        const existing = await db.templates.get(id)
+        if (!existing) throw new Error('This template no longer exists')
+        if (!(await this.canEditTemplate(existing))) {
+          throw new Error('You do not have permission to edit this template')
+        }
+        await db.templates.update(id, { ...template, updatedAt: Date.now() })
+        return id
+      }
+      const record = {
+        ...template,
+        owner: db.cloud.currentUserId || 'anonymous',
+        createdAt: Date.now()
+      }
+      if (realmId && realmId !== PUBLIC_REALM_ID && !roleHelpers.isPersonalRealm(realmId)) {
+        if (!(await roleHelpers.hasRole(realmId, 'publisher', 'admin'))) {
+          throw new Error('You do not have permission to add templates to this realm')
+        }
+        record.realmId = realmId
+      }
+      return await db.templates.add(record)
+    } catch (error) {
+      console.error('Error saving template:', error)
+      throw error
+    }
+  },
+
+  async deleteTemplate(id) {
+    try {
+      const template = await db.templates.get(id)
+      if (!template) return
+      if (!(await this.canEditTemplate(template))) {
+        throw new Error('You do not have permission to delete this template')
+      }
+      return await db.templates.delete(id)
+    } catch (error) {
+      console.error('Error deleting template:', error)
+      throw error
+    }
+  }
+}
+
+// Comments on cards. Anyone who can see a card may comment on it; comments
+// can only be edited or deleted by their author.
+export const commentHelpers = {
+  // A card's comments, oldest first
+  async getComments(noteId) {
+    try {
+      return await db.comments.where('noteId').equals(noteId).sortBy('createdAt')
+    } catch (error) {
+      console.error('Error fetching comments:', error)
+      return []
+    }
+  },
+
+  async addComment(noteId, body, parentId) {
+    const text = (body || '').trim()
+    if (!text) throw new Error('Write something first')
+    try {
+      const note = await db.notes.get(noteId)
+      if (!note) throw new Error('This card no longer exists')
+      const user = syncHelpers.getCurrentUser()
+      const realmId = childRealmId(note)
+      return await db.comments.add({
+        noteId,
+        ...(parentId ? { parentId } : {}),
+        body: text,
+        mentions: parseMentions(text),
+        author: user.id || 'anonymous',
+        authorEmail: user.email,
+        createdAt: Date.now(),
+        ...(realmId ? { realmId } : {})
+      })
+    } catch (error) {
+      console.error('Error adding comment:', error)
+      throw error
+    }
+  },
+
+  isOwnComment(comment) {
+    return comment.author === (db.cloud.currentUserId || 'anonymous')
+  },
+
+  async updateComment(id, body) {
+    const text = (body || '').trim()
+    if (!text) throw new Error('A comment cannot be empty')
+    try {
+      const comment = await db.comments.get(id)
+      if (!comment || !this.isOwnComment(comment)) {
+        throw new Error('You can only edit your own comments')
+      }
+      return await db.comments.update(id, { body: text, mentions: parseMentions(text), editedAt: Date.now() })
+    } catch (error) {
+      console.error('Error updating comment:', error)
+      throw error
+    }
+  },
+
+  // Comments with replies keep their place in the thread as "deleted"
+  async deleteComment(id) {
+    try {
+      const comment = await db.comments.get(id)
+      if (!comment) return
+      if (!this.isOwnComment(comment)) throw new Error('You can only delete your own comments')
+      const replies = await db.comments.where('parentId').equals(id).count()
+      if (replies > 0) {
+        return await db.comments.update(id, { body: '', mentions: [], deletedAt: Date.now() })
+      }
+      return await db.comments.delete(id)
+    } catch (error) {
+      console.error('Error deleting comment:', error)
+      throw error
+    }
+  },
+
+  // Remember that the current user has seen a card's comments
+  async markRead(noteId) {
+    try {
+      const owner = db.cloud.currentUserId || 'anonymous'
+      const existing = await db.commentReads.where('owner').equals(owner).filter(r => r.noteId === noteId).first()
+      if (existing) return await db.commentReads.update(existing.id, { readAt: Date.now() })
+      return await db.commentReads.add({ owner, noteId, readAt: Date.now() })
+    } catch (error) {
+      console.error('Error marking comments read:', error)
+    }
+  },
+
+  // { noteId: count } of other people's comments the user has not seen
+  async getUnreadCounts() {
+    try {
+      const owner = db.cloud.currentUserId || 'anonymous'
+      const reads = await db.commentReads.where('owner').equals(owner).toArray()
+      const readAt = Object.fromEntries(reads.map(r => [r.noteId, r.readAt]))
+      const counts = {}
+      await db.comments.each(comment => {
+        if (comment.author === owner || comment.deletedAt) return
+        if (comment.createdAt > (readAt[comment.noteId] || 0)) {
+          counts[comment.noteId] = (counts[comment.noteId] || 0) + 1
+        }
+      })
+      return counts
+    } catch (error) {
+      console.error('Error counting unread comments:', error)
+      return {}
+    }
+  }
+}
+
+// Activity log: note revisions and comments, newest first, plus the
+// notification center built on it
+export const activityHelpers = {
+  async getActivity(since) {
+    try {
+      const [revisions, comments] = await Promise.all([
+        db.noteRevisions.where('createdAt').aboveOrEqual(since).toArray(),
+        db.comments.where('createdAt').aboveOrEqual(since).toArray()
+      ])
+      return mergeActivity(revisions, comments)
+    } catch (error) {
+      console.error('Error fetching activity:', error)
+      return []
+    }
+  },
+
+  // Other people's activity on the user's cards and on cards they were
+  // mentioned in, each with a `reason` and an `unread` flag
+  async getNotifications(since) {
+    if (!syncHelpers.isAuthenticated()) return []
+    try {
+      const me = db.cloud.currentUserId
+      const [activity, ownedIds, mentions, state] = await Promise.all([
+        this.getActivity(since),
+        db.notes.where('owner').equals(me).primaryKeys(),
+        db.comments.where('mentions').equals(me.toLowerCase()).toArray(),
+        this.getNotificationState()
+      ])
+      const context = {
+        me,
+        ownedIds: new Set(ownedIds),
+        mentionedIds: new Set(mentions.map(c => c.noteId))
+      }
+      return activity
+        .map(entry => ({ ...entry, reason: getNotificationReason(entry, context) }))
+        .filter(entry => entry.reason)
+        .map(entry => ({
+          ...entry,
+          unread: entry.createdAt > state.readAt && !state.readIds.includes(entry.id)
+        }))
+    } catch (error) {
+      console.error('Error fetching notifications:', error)
+      return []
+    }
+  },
+
+  // { readAt, readIds }: everything up to `readAt` is read, plus `readIds`
+  async getNotificationState() {
+    const owner = db.cloud.currentUserId || 'anonymous'
+    const state = await db.notificationState.where('owner').equals(owner).first()
+    return { readAt: 0, readIds: [], ...state }
+  },
+
+  async saveNotificationState(changes) {
+    const owner = db.cloud.currentUserId || 'anonymous'
+    const state = await db.notificationState.where('owner').equals(owner).first()
+    if (state) return db.notificationState.update(state.id, changes)
+    return db.notificationState.add({ owner, readAt: 0, readIds: [], ...changes })
+  },
+
+  async markRead(entryId) {
+    try {
+      const state = await this.getNotificationState()
+      if (state.readIds.includes(entryId)) return
+      await this.saveNotificationState({ readIds: [...state.readIds, entryId] })
+    } catch (error) {
+      console.error('Error marking notification read:', error)
+    }
+  },
+
+  async markAllRead() {
+    try {
+      await this.saveNotificationState({ readAt: Date.now(), readIds: [] })
+    } catch (error) {
+      console.error('Error marking notifications read:', error)
+    }
+  }
+}
+
+// Saved card grid views. They carry no realmId, so they stay private to the
+// user and sync to their other devices.
+export const viewHelpers = {
+  // The current user's views, alphabetically
+  async getViews() {
+    try {
+      const owner = db.cloud.currentUserId || 'anonymous'
+      const views = await db.views.where('owner').equals(owner).toArray()
+      return views.sort((a, b) => a.name.localeCompare(b.name))
+    } catch (error) {
+      console.error('Error fetching views:', error)
+      return []
+    }
+  },
+
+  // Save a view under a name, replacing any view already called that
+  async saveView(name, config) {
+    const trimmed = (name || '').trim()
+    if (!trimmed) throw new Error('Give the view a name')
+    try {
+      const owner = db.cloud.currentUserId || 'anonymous'
+      const existing = await db.views
+        .where('owner').equals(owner)
+        .filter(view => view.name.toLowerCase() === trimmed.toLowerCase())
+        .first()
+      if (existing) {
+        await db.views.update(existing.id, { config, updatedAt: Date.now() })
+        return existing.id
+      }
+      return await db.views.add({ name: trimmed, config, owner, createdAt: Date.now() })
+    } catch (error) {
+      console.error('Error saving view:', error)
+      throw error
+    }
+  },
+
+  async deleteView(id) {
+    try {
+      return await db.views.delete(id)
+    } catch (error) {
+      console.error('Error deleting view:', error)
+      throw error
+    }
+  }
+}
+
+const DEVICE_ID_KEY = 'deviceId'
+
+// Devices the user is signed in on. Dexie Cloud can't revoke another
+// device's tokens from the client, so signing out everywhere only marks the
+// other sessions revoked: each device signs itself out once it syncs that.
+export const sessionHelpers = {
+  getDeviceId() {
+    let id = localStorage.getItem(DEVICE_ID_KEY)
+    if (!id) {
+      id = crypto.randomUUID()
+      localStorage.setItem(DEVICE_ID_KEY, id)
+    }
+    return id
+  },
+
+  async getSessions() {
+    if (!syncHelpers.isAuthenticated()) return []
+    try {
+      const sessions = await db.sessions.where('owner').equals(db.cloud.currentUserId).toArray()
+      return sessions.sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+    } catch (error) {
+      console.error('Error fetching sessions:', error)
+      return []
+    }
+  },
+
+  async getCurrentSession() {
+    if (!syncHelpers.isAuthenticated()) return undefined
+    return db.sessions
+      .where('deviceId').equals(this.getDeviceId())
+      .filter(s => s.owner === db.cloud.currentUserId)
+      .first()
+  },
+
+  // Record this device as signed in at `signedInAt`, or refresh its
+  // last-seen time
+  async registerSession(signedInAt = Date.now()) {
+    if (!syncHelpers.isAuthenticated()) return
+    try {
+      const changes = { label: describeDevice(navigator.userAgent), signedInAt, lastSeenAt: Date.now() }
+      const session = await this.getCurrentSession()
+      if (session) return await db.sessions.update(session.id, changes)
+      return await db.sessions.add({
+        ...changes,
+        owner: db.cloud.currentUserId,
+        deviceId: this.getDeviceId(),
+        revokedAt: null
+      })
+    } catch (error) {
+      console.error('Error registering session:', error)
+    }
+  },
+
+  // Revoke the user's other sessions, then sign out here
+  async signOutEverywhere() {
+    try {
+      const deviceId = this.getDeviceId()
+      await db.transaction('rw', db.sessions, async () => {
+        const sessions = db.sessions.where('owner').equals(db.cloud.currentUserId)
+        await sessions.clone().filter(s => s.deviceId !== deviceId).modify({ revokedAt: Date.now() })
+        await sessions.filter(s => s.deviceId === deviceId).delete()
+      })
+      await db.cloud.sync({ purpose: 'push', wait: true })
+    } catch (error) {
+      console.error('Error revoking sessions:', error)
+      throw error
+    }
+    return syncHelpers.signOut()
+  }
+}
+
+// Counts syncHelpers.signIn calls so only the latest one restores stashed cards
+let signInAttempt = 0
+
+// Cloud sync utilities
+export const syncHelpers = {
+  // Check if user is authenticated (exclude "unauthorized")
+  isAuthenticated() {
+    const userId = db.cloud.currentUserId
+    return !!userId && userId !== 'unauthorized'
+  },
+
+  // Get current user info
+  getCurrentUser() {
+    const userId = db.cloud.currentUserId
+    const isReallyLoggedIn = !!userId && userId !== 'unauthorized'
+    return {
+      id: userId,
+      email: db.cloud.currentUser?.value?.email,
+      isLoggedIn: isReallyLoggedIn
+    }
+  },
+
+  // Sign in with email. The server emails a one-time code, which is asked
+  // for through db.cloud.userInteraction.
+  // Cards made while signed out are set aside first (see migrationHelpers)
+  // and put back if the sign-in doesn't complete. A newer attempt, such as a
+  // resent code, keeps them aside.
+  async signIn(email) {
+    const attempt = ++signInAttempt
+    try {
+      await migrationHelpers.stashAnonymousNotes()
+      return await db.cloud.login({ email: email.trim(), grant_type: 'otp' })
+    } catch (error) {
+      console.error('Error signing in:', error)
+      if (attempt === signInAttempt) {
+        await migrationHelpers.unstashAnonymousNotes().catch(restoreError => {
+          console.error('Error restoring signed-out cards:', restoreError)
+        })
+      }
+      throw error
+    }
+  },
+
+  // Sign out
+  async signOut() {
+    try {
+      return await db.cloud.logout()
+    } catch (error) {
+      console.error('Error signing out:', error)
+      throw error
+    }
+  },
+
+  // Current sync status: { phase, status, progress, license, error,
+  // attempt, nextRetryAt, lastSyncAt }. The same object is returned until
+  // something changes, so it can back useSyncExternalStore.
+  getSyncStatus() {
+    return syncStatus
+  },
+
+  subscribeSyncStatus(listener) {
+    syncStatusListeners.add(listener)
+    return () => syncStatusListeners.delete(listener)
+  },
+
+  // Sync now, resetting the backoff
+  async syncNow() {
+    setSyncStatus({ attempt: 0 })
+    await retrySync()
+  },
+
+  // Local writes not yet uploaded, oldest first, with the titles of the
+  // cards they touch
+  async getOutbox() {
+    if (!this.isAuthenticated()) return []
+    try {
+      const tables = Object.entries(db.cloud.schema || {})
+        .filter(([name, { markedForSync }]) => markedForSync && db.tables.some(t => t.name === `$${name}_mutations`))
+        .map(([name]) => name)
+      const perTable = await Promise.all(tables.map(async name =>
+        toOutboxEntries(name, await db.table(`$${name}_mutations`).toArray())
+      ))
+      const entries = perTable.flat().sort((a, b) => a.createdAt - b.createdAt)
+      const noteIds = Array.from(new Set(entries.flatMap(e => e.noteIds)))
+      const notes = await db.notes.bulkGet(noteIds)
+      const titles = new Map(notes.filter(Boolean).map(n => [n.id, n.title || 'Untitled Card']))
+      return entries.map(entry => ({ ...entry, titles: entry.noteIds.map(id => titles.get(id)).filter(Boolean) }))
+    } catch (error) {
+      console.error('Error reading outbox:', error)
+      return []
+    }
+  },
+
+  // Ids of cards with changes waiting to upload
+  async getPendingNoteIds() {
+    const outbox = await this.getOutbox()
+    return new Set(outbox.flatMap(entry => entry.noteIds))
   }
 }
\ No newline at end of file
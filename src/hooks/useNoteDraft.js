@@ -0,0 +1,181 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { noteHelpers, NOTE_META_FIELDS } from '../database.js'
+
+const LOADING = Symbol('loading')
+
+function isEditableField(key) {
+  return !NOTE_META_FIELDS.includes(key) && !key.startsWith('$')
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+// Local editing state for a note with debounced saves and a live subscription
+// to the stored record. Remote changes to fields the user isn't editing are
+// merged in silently; remote changes to fields with unsaved local edits
+// become conflicts that the user resolves per field.
+//
+// `base` is the last stored value each local edit was made against. A field
+// is dirty when the local value differs from its base.
+export function useNoteDraft(noteId, { delay = 800 } = {}) {
+  const remote = useLiveQuery(() => noteHelpers.getNote(noteId), [noteId], LOADING)
+
+  const [doc, setDocState] = useState(null)
+  const [conflicts, setConflictsState] = useState({})
+  const [saveState, setSaveState] = useState('saved')
+  const [error, setError] = useState('')
+
+  // Refs mirror state so timers and live query callbacks see current values
+  const docRef = useRef(null)
+  const baseRef = useRef(null)
+  const conflictsRef = useRef({})
+  const pendingRef = useRef({})
+  const timerRef = useRef(null)
+
+  const setDoc = (next) => {
+    docRef.current = next
+    setDocState(next)
+  }
+
+  const setConflicts = (next) => {
+    conflictsRef.current = next
+    setConflictsState(next)
+  }
+
+  const flush = useCallback(async () => {
+    clearTimeout(timerRef.current)
+    timerRef.current = null
+    const updates = pendingRef.current
+    pendingRef.current = {}
+    if (Object.keys(updates).length === 0) return
+
+    // Treat the values as stored from now on, so the echo from our own save
+    // isn't mistaken for a remote change
+    baseRef.current = { ...baseRef.current, ...updates }
+    setSaveState('saving')
+    try {
+      await noteHelpers.updateNote(noteId, updates)
+      setError('')
+      setSaveState(Object.keys(pendingRef.current).length ? 'pending' : 'saved')
+    } catch (error) {
+      setError(error.message)
+      setSaveState('error')
+    }
+  }, [noteId])
+
+  const scheduleFlush = useCallback(() => {
+    setSaveState('pending')
+    clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(flush, delay)
+  }, [flush, delay])
+
+  // Start fresh for every note, saving whatever was left of the previous one
+  useEffect(() => {
+    docRef.current = null
+    baseRef.current = null
+    setDocState(null)
+    setConflicts({})
+    setSaveState('saved')
+    setError('')
+    return () => { flush() }
+  }, [noteId, flush])
+
+  // Merge remote changes into the local draft
+  useEffect(() => {
+    if (remote === LOADING) return
+    if (!remote) {
+      setDoc(null)
+      baseRef.current = null
+      return
+    }
+
+    const base = baseRef.current
+    const current = docRef.current
+    if (!base || !current || base.id !== remote.id) {
+      baseRef.current = remote
+      setDoc(remote)
+      return
+    }
+
+    const nextDoc = { ...current }
+    const nextBase = { ...base }
+    const nextConflicts = { ...conflictsRef.current }
+    const keys = new Set([...Object.keys(remote), ...Object.keys(base)])
+
+    for (const key of keys) {
+      if (!isEditableField(key) || same(remote[key], base[key])) continue
+
+      if (same(remote[key], current[key])) {
+        // Both sides agree (usually our own save coming back)
+        nextBase[key] = remote[key]
+        delete nextConflicts[key]
+      } else if (!same(current[key], base[key])) {
+        // Local unsaved edit collides with a remote one: hold it back
+        nextConflicts[key] = remote[key]
+        delete pendingRef.current[key]
+      } else {
+        nextDoc[key] = remote[key]
+        nextBase[key] = remote[key]
+      }
+    }
+
+    // Meta fields always follow the stored record
+    NOTE_META_FIELDS.forEach(key => { nextDoc[key] = remote[key] })
+
+    baseRef.current = nextBase
+    setDoc(nextDoc)
+    setConflicts(nextConflicts)
+  }, [remote])
+
+  const updateDoc = useCallback((updates) => {
+    if (!docRef.current) return
+    setDoc({ ...docRef.current, ...updates })
+    for (const [key, value] of Object.entries(updates)) {
+      // Conflicted fields wait until the user picks a side
+      if (!(key in conflictsRef.current)) pendingRef.current[key] = value
+    }
+    if (Object.keys(pendingRef.current).length) scheduleFlush()
+  }, [scheduleFlush])
+
+  // Settle a conflicted field: 'mine' keeps the local value, 'theirs' takes the remote one
+  const resolveConflict = useCallback((key, choice) => {
+    if (!(key in conflictsRef.current)) return
+    const remoteValue = conflictsRef.current[key]
+    const next = { ...conflictsRef.current }
+    delete next[key]
+    setConflicts(next)
+
+    baseRef.current = { ...baseRef.current, [key]: remoteValue }
+    if (choice === 'theirs') {
+      setDoc({ ...docRef.current, [key]: remoteValue })
+    } else {
+      pendingRef.current[key] = docRef.current[key]
+      scheduleFlush()
+    }
+  }, [scheduleFlush])
+
+  const resolveAll = useCallback((choice) => {
+    Object.keys(conflictsRef.current).forEach(key => resolveConflict(key, choice))
+  }, [resolveConflict])
+
+  // Forget unsaved edits, e.g. before deleting the note
+  const discard = useCallback(() => {
+    clearTimeout(timerRef.current)
+    pendingRef.current = {}
+  }, [])
+
+  return {
+    doc,
+    loading: remote === LOADING || (!!remote && !doc),
+    updateDoc,
+    conflicts,
+    resolveConflict,
+    resolveAll,
+    saveState,
+    error,
+    flush,
+    discard
+  }
+}
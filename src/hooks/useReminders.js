@@ -0,0 +1,51 @@
+import { useEffect, useRef } from 'react'
+import { reminderHelpers } from '../database.js'
+import { getDueReminders } from '../lib/due.js'
+import { getNotificationPermission, showNotification } from '../lib/notifications.js'
+
+const CHECK_INTERVAL = 30 * 1000
+
+// Fire notifications for reminders that have come due, and open the card
+// when the service worker reports a notification click. There is no push
+// server, so reminders only go off while the app is open in a tab: one
+// that comes due while it is closed fires the next time it is opened.
+// Sent state is kept per device, so everyone with the card gets notified.
+export function useReminders(notes, onOpen) {
+  const firedRef = useRef(new Set())
+
+  useEffect(() => {
+    const check = async () => {
+      // Without permission reminders stay pending until it is granted
+      if (getNotificationPermission() !== 'granted') return
+      const sent = await reminderHelpers.getSent()
+      for (const note of getDueReminders(notes, sent)) {
+        const key = `${note.id}:${note.remindAt}`
+        if (firedRef.current.has(key)) continue
+        firedRef.current.add(key)
+        try {
+          // Marking first keeps other tabs from repeating the reminder
+          await reminderHelpers.markSent(note)
+          await showNotification(`⏰ ${note.title || 'Untitled Card'}`, {
+            body: note.dueDate ? `Due ${note.dueDate}` : 'Reminder',
+            tag: `reminder-${note.id}`,
+            data: { noteId: note.id }
+          })
+        } catch (error) {
+          console.error('Error sending reminder:', error)
+        }
+      }
+    }
+    check()
+    const timer = setInterval(check, CHECK_INTERVAL)
+    return () => clearInterval(timer)
+  }, [notes])
+
+  useEffect(() => {
+    if (!navigator.serviceWorker) return
+    const handleMessage = (event) => {
+      if (event.data?.type === 'open-note' && event.data.noteId) onOpen(event.data.noteId)
+    }
+    navigator.serviceWorker.addEventListener('message', handleMessage)
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage)
+  }, [onOpen])
+}
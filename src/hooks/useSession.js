@@ -0,0 +1,35 @@
+import { useEffect, useState } from 'react'
+import { useLiveQuery, useObservable } from 'dexie-react-hooks'
+import { db, sessionHelpers, syncHelpers } from '../database.js'
+import { getSessionInfo, isSessionRevoked } from '../lib/auth.js'
+
+const NO_SESSIONS = []
+
+// The signed-in user, their session details and devices. Registers this
+// device on sign-in and signs it out when another device revokes it;
+// `revokeError` says why that sign-out failed.
+export function useSession() {
+  const user = useObservable(db.cloud.currentUser)
+  const isLoggedIn = !!user?.isLoggedIn && user.userId !== 'unauthorized'
+  const info = getSessionInfo(user)
+  const sessions = useLiveQuery(() => sessionHelpers.getSessions(), [user?.userId]) || NO_SESSIONS
+  const deviceId = sessionHelpers.getDeviceId()
+  const current = sessions.find(s => s.deviceId === deviceId)
+  const revoked = isLoggedIn && isSessionRevoked(current, info.lastLogin)
+  const [revokeError, setRevokeError] = useState('')
+
+  useEffect(() => {
+    if (isLoggedIn) sessionHelpers.registerSession(info.lastLogin || Date.now())
+  }, [isLoggedIn, user?.userId, info.lastLogin])
+
+  useEffect(() => {
+    if (!revoked) return
+    setRevokeError('')
+    syncHelpers.signOut().catch(error => {
+      console.error('Error signing out revoked session:', error)
+      setRevokeError(error.message)
+    })
+  }, [revoked])
+
+  return { user, isLoggedIn, info, sessions, deviceId, revokeError }
+}
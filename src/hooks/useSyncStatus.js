@@ -0,0 +1,27 @@
+import { useEffect, useState, useSyncExternalStore } from 'react'
+import { useLiveQuery } from 'dexie-react-hooks'
+import { syncHelpers } from '../database.js'
+
+const NO_OUTBOX = []
+const NO_IDS = new Set()
+
+// Live sync status plus the outbox of unsynced changes. While a retry is
+// scheduled `now` ticks every second so countdowns stay current.
+export function useSyncStatus() {
+  const status = useSyncExternalStore(syncHelpers.subscribeSyncStatus, syncHelpers.getSyncStatus)
+  const outbox = useLiveQuery(() => syncHelpers.getOutbox(), [status.lastSyncAt]) || NO_OUTBOX
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (!status.nextRetryAt) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [status.nextRetryAt])
+
+  return { ...status, outbox, pending: outbox.length, now }
+}
+
+// Ids of cards with local changes that haven't been uploaded yet
+export function usePendingNoteIds() {
+  return useLiveQuery(() => syncHelpers.getPendingNoteIds()) || NO_IDS
+}
@@ -0,0 +1,9 @@
+import { useLiveQuery } from 'dexie-react-hooks'
+import { tagHelpers } from '../database.js'
+
+const NO_COLORS = {}
+
+// Live { tag: color } map for the current user
+export function useTagColors() {
+  return useLiveQuery(() => tagHelpers.getColors()) || NO_COLORS
+}
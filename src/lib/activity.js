@@ -0,0 +1,100 @@
+// Activity entries combine note revisions (creates, edits, deletes, restores)
+// and comments into one shape:
+// { id, kind, noteId, action, actor, actorEmail, title, summary, mentions, createdAt }
+
+export const ACTION_LABELS = {
+  create: '✨ CREATED',
+  update: '✏️ EDITED',
+  restore: '⏪ RESTORED',
+  delete: '🗑️ MOVED TO TRASH',
+  undelete: '♻️ RESTORED FROM TRASH',
+  comment: '💬 COMMENTED ON',
+  reply: '↩️ REPLIED ON'
+}
+
+const SUMMARY_LENGTH = 80
+
+function shorten(text = '', length = SUMMARY_LENGTH) {
+  const flat = String(text).replace(/\s+/g, ' ').trim()
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat
+}
+
+function describeChange(field, { from, to }) {
+  switch (field) {
+    case 'title':
+      return `renamed to "${shorten(to, 40)}"`
+    case 'priority':
+    case 'status':
+      return `${field} ${from || 'none'} → ${to || 'none'}`
+    case 'dueDate':
+      return to ? `due ${to}` : 'due date removed'
+    case 'tags': {
+      const before = from || []
+      const after = to || []
+      const added = after.filter(t => !before.includes(t)).map(t => `+#${t}`)
+      const removed = before.filter(t => !after.includes(t)).map(t => `−#${t}`)
+      return [...added, ...removed].join(' ') || 'tags'
+    }
+    case 'checklist': {
+      const items = to || []
+      return `checklist ${items.filter(i => i.done).length}/${items.length} done`
+    }
+    case 'remindAt':
+      return to ? 'reminder set' : 'reminder removed'
+    default:
+      return field
+  }
+}
+
+// One line describing a revision's changes, e.g. "priority low → high, +#ops"
+export function summarizeChanges(changes = {}) {
+  return Object.entries(changes).map(([field, change]) => describeChange(field, change)).join(', ')
+}
+
+export function fromRevision(revision) {
+  const changes = revision.changes || {}
+  return {
+    id: `revision:${revision.id}`,
+    kind: 'revision',
+    noteId: revision.noteId,
+    action: revision.action,
+    actor: revision.author,
+    actorEmail: revision.authorEmail,
+    title: revision.snapshot?.title,
+    summary: revision.action === 'update' || revision.action === 'restore' ? summarizeChanges(changes) : '',
+    mentions: [],
+    createdAt: revision.createdAt
+  }
+}
+
+export function fromComment(comment) {
+  return {
+    id: `comment:${comment.id}`,
+    kind: 'comment',
+    noteId: comment.noteId,
+    action: comment.parentId ? 'reply' : 'comment',
+    actor: comment.author,
+    actorEmail: comment.authorEmail,
+    summary: shorten(comment.body),
+    mentions: comment.mentions || [],
+    createdAt: comment.createdAt
+  }
+}
+
+// Newest first
+export function mergeActivity(revisions = [], comments = []) {
+  return [
+    ...revisions.map(fromRevision),
+    ...comments.filter(c => !c.deletedAt).map(fromComment)
+  ].sort((a, b) => b.createdAt - a.createdAt)
+}
+
+// Why `entry` concerns the user, or null. `ownedIds` are the user's cards,
+// `mentionedIds` the cards where someone mentioned them.
+export function getNotificationReason(entry, { me, ownedIds, mentionedIds }) {
+  if (!me || entry.actor === me) return null
+  if (entry.mentions.includes(me.toLowerCase())) return 'mention'
+  if (ownedIds.has(entry.noteId)) return 'owner'
+  if (mentionedIds.has(entry.noteId)) return 'mentioned card'
+  return null
+}
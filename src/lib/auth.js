@@ -0,0 +1,70 @@
+// Sign-in flow helpers: alert text, login error messages, session details
+// and device labels.
+
+export const RESEND_COOLDOWN_MS = 30 * 1000
+
+// Dexie Cloud alerts carry "{param}" placeholders
+export function alertText(alert) {
+  return (alert.message || '').replace(/\{(\w+)\}/g, (match, name) => alert.messageParams?.[name] ?? match)
+}
+
+// A message for a failed login, or null when the user cancelled it
+export function describeLoginError(error) {
+  if (!error || error.name === 'AbortError' || /cancel/i.test(error.message)) return null
+  const message = error.message || String(error)
+  if (/expired/i.test(message) || error.httpStatus === 410) {
+    return 'That code has expired. Request a new one and try again.'
+  }
+  if (error.messageCode === 'INVALID_OTP' || /invalid|incorrect|wrong/i.test(message) || error.httpStatus === 401) {
+    return 'That code is not valid. Check the latest email and try again.'
+  }
+  if (error.messageCode === 'LICENSE_LIMIT_REACHED') {
+    return 'No more seats are available on this database. Ask the owner to add one.'
+  }
+  if (error.name === 'TypeError' || (typeof navigator !== 'undefined' && !navigator.onLine)) {
+    return 'Could not reach the sync server. Check your connection and try again.'
+  }
+  if (error.httpStatus === 429) return 'Too many attempts. Wait a minute before trying again.'
+  return `Sign in failed: ${message}`
+}
+
+// Email, license and expiry details from a Dexie Cloud UserLogin
+export function getSessionInfo(user) {
+  const license = user?.license || {}
+  const toTime = (date) => date ? new Date(date).getTime() : null
+  return {
+    email: user?.email || user?.userId || '',
+    name: user?.name || '',
+    licenseType: license.type || null,
+    licenseStatus: license.status || 'ok',
+    licenseValidUntil: toTime(license.validUntil),
+    evalDaysLeft: license.evalDaysLeft ?? null,
+    // The refresh token outlives the access token, so it is the session end
+    sessionExpiresAt: toTime(user?.refreshTokenExpiration || user?.accessTokenExpiration),
+    lastLogin: toTime(user?.lastLogin)
+  }
+}
+
+// "Chrome on macOS" from a user agent string
+export function describeDevice(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Browser'
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0] || 'unknown OS'
+  return `${browser} on ${os}`
+}
+
+// A session was revoked from another device after this device signed in
+export function isSessionRevoked(session, lastLogin) {
+  return !!session?.revokedAt && session.revokedAt > (lastLogin || 0)
+}
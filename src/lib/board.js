@@ -0,0 +1,65 @@
+// Kanban board: columns by status or priority and fractional sort keys so a
+// move only ever rewrites the card that moved
+
+const STATUS_EMOJI = { todo: '📋', doing: '🚧', done: '✅' }
+const PRIORITY_COLUMNS = [
+  { value: 'high', label: '🔴 HIGH' },
+  { value: 'medium', label: '🟡 MEDIUM' },
+  { value: 'low', label: '🟢 LOW' }
+]
+
+// Board statuses, configurable as a comma-separated VITE_BOARD_STATUSES list.
+// The first one is where new and unsorted cards start.
+export const BOARD_STATUSES = (import.meta.env.VITE_BOARD_STATUSES || 'todo,doing,done')
+  .split(',')
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean)
+  .map(value => ({ value, label: `${STATUS_EMOJI[value] || '📌'} ${value.toUpperCase()}` }))
+
+export const DEFAULT_STATUS = BOARD_STATUSES[0]?.value || 'todo'
+
+// The last status means finished: due dates no longer count as overdue
+export const DONE_STATUS = BOARD_STATUSES[BOARD_STATUSES.length - 1]?.value || 'done'
+
+export const BOARD_FIELDS = {
+  status: '📋 BY STATUS',
+  priority: '🔥 BY PRIORITY'
+}
+
+// The value of a card in the board's column field
+export function getColumnValue(note, field) {
+  if (field === 'priority') return note.priority || 'medium'
+  const status = note.status || DEFAULT_STATUS
+  return BOARD_STATUSES.some(s => s.value === status) ? status : DEFAULT_STATUS
+}
+
+// Cards without a stored position sort newest first, like the grid
+export function effectivePosition(note) {
+  return typeof note.position === 'number' ? note.position : -(note.createdAt || 0)
+}
+
+// [{ value, label, notes }] with each column in position order
+export function getColumns(notes, field = 'status') {
+  const columns = field === 'priority' ? PRIORITY_COLUMNS : BOARD_STATUSES
+  return columns.map(column => ({
+    ...column,
+    notes: notes
+      .filter(note => getColumnValue(note, field) === column.value)
+      .sort((a, b) => effectivePosition(a) - effectivePosition(b))
+  }))
+}
+
+// Sort key for dropping a card in front of `beforeId`, or at the end of the
+// column when there is none. The moving card is left out of the column first
+// so moves within a column work too.
+export function positionBefore(columnNotes, beforeId, movingId) {
+  const others = columnNotes.filter(note => note.id !== movingId)
+  const found = beforeId ? others.findIndex(note => note.id === beforeId) : -1
+  const index = found === -1 ? others.length : found
+  const before = others[index - 1]
+  const after = others[index]
+  if (!before && !after) return 0
+  if (!before) return effectivePosition(after) - 1
+  if (!after) return effectivePosition(before) + 1
+  return (effectivePosition(before) + effectivePosition(after)) / 2
+}
@@ -0,0 +1,65 @@
+import { toDateKey, fromDateKey } from './due.js'
+
+// Date math for the calendar and timeline. Weeks start on Monday.
+
+export function addDays(date, days) {
+  const next = new Date(date)
+  next.setDate(next.getDate() + days)
+  return next
+}
+
+export function addMonths(date, months) {
+  return new Date(date.getFullYear(), date.getMonth() + months, 1)
+}
+
+export function startOfWeek(date) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+  return addDays(day, -((day.getDay() + 6) % 7))
+}
+
+// The 7 days of the week containing `date`
+export function getWeekDays(date) {
+  const start = startOfWeek(date)
+  return Array.from({ length: 7 }, (_, i) => addDays(start, i))
+}
+
+// Whole weeks covering the month of `date`, as arrays of 7 days
+export function getMonthWeeks(date) {
+  const first = new Date(date.getFullYear(), date.getMonth(), 1)
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0)
+  const weeks = []
+  for (let start = startOfWeek(first); start <= last; start = addDays(start, 7)) {
+    weeks.push(getWeekDays(start))
+  }
+  return weeks
+}
+
+// Day a card sits on: its due date, else the day it was created
+export function getCalendarDay(note) {
+  return note.dueDate || toDateKey(note.createdAt || Date.now())
+}
+
+// { 'YYYY-MM-DD': [notes] }
+export function groupByDay(notes, getDay = getCalendarDay) {
+  const days = {}
+  for (const note of notes) {
+    const key = getDay(note)
+    if (!days[key]) days[key] = []
+    days[key].push(note)
+  }
+  return days
+}
+
+// Move a "YYYY-MM-DD" day by a number of days
+export function shiftDateKey(key, days) {
+  return toDateKey(addDays(fromDateKey(key), days))
+}
+
+// Days from `from` back to `to`, newest first, as "YYYY-MM-DD"
+export function dayRange(from, to) {
+  const days = []
+  for (let day = fromDateKey(toDateKey(from)); day.getTime() >= to; day = addDays(day, -1)) {
+    days.push(toDateKey(day))
+  }
+  return days
+}
@@ -0,0 +1,52 @@
+// Structured checklist on a card: an ordered array of
+// { id, text, done, assignee } stored in the note's `checklist` field.
+
+export function createItem(text, assignee = '') {
+  return {
+    id: crypto.randomUUID(),
+    text: text.trim(),
+    done: false,
+    ...(assignee.trim() ? { assignee: assignee.trim().toLowerCase() } : {})
+  }
+}
+
+// Drop malformed items and fill in missing ids, e.g. after an import
+export function normalizeChecklist(items) {
+  if (!Array.isArray(items)) return []
+  return items
+    .filter(item => item && String(item.text ?? '').trim())
+    .map(item => ({
+      id: item.id ? String(item.id) : crypto.randomUUID(),
+      text: String(item.text).trim(),
+      done: !!item.done,
+      ...(item.assignee ? { assignee: String(item.assignee).trim().toLowerCase() } : {})
+    }))
+}
+
+export function getProgress(checklist = []) {
+  const total = checklist.length
+  const done = checklist.filter(item => item.done).length
+  return { done, total, open: total - done, percent: total ? Math.round((done / total) * 100) : 0 }
+}
+
+export function hasOpenItems(note) {
+  return (note.checklist || []).some(item => !item.done)
+}
+
+export function updateItem(checklist, id, changes) {
+  return checklist.map(item => item.id === id ? { ...item, ...changes } : item)
+}
+
+export function removeItem(checklist, id) {
+  return checklist.filter(item => item.id !== id)
+}
+
+// Move an item to another index
+export function moveItem(checklist, id, to) {
+  const from = checklist.findIndex(item => item.id === id)
+  if (from === -1 || to < 0 || to >= checklist.length) return checklist
+  const next = [...checklist]
+  const [item] = next.splice(from, 1)
+  next.splice(to, 0, item)
+  return next
+}
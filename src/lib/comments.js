@@ -0,0 +1,49 @@
+// Card comments: replies point at their parent through `parentId`, and
+// @email mentions are stored lowercase in `mentions`.
+
+const MENTION_PATTERN = /@([^\s@]+@[^\s@]+\.[^\s@.,;:!?)]+)/g
+
+export function parseMentions(body = '') {
+  return Array.from(new Set([...body.matchAll(MENTION_PATTERN)].map(([, email]) => email.toLowerCase())))
+}
+
+// Split a comment into text and { mention } parts for rendering
+export function mentionSegments(body = '') {
+  const segments = []
+  let last = 0
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    if (match.index > last) segments.push({ text: body.slice(last, match.index) })
+    segments.push({ text: match[0], mention: match[1].toLowerCase() })
+    last = match.index + match[0].length
+  }
+  if (last < body.length) segments.push({ text: body.slice(last) })
+  return segments
+}
+
+// The unfinished "@query" right before the caret, if the caret is in one
+export function getMentionQuery(text = '', caret = text.length) {
+  const match = /(^|\s)@([^\s@]*(?:@[^\s@]*)?)$/.exec(text.slice(0, caret))
+  if (!match) return null
+  return { start: caret - match[2].length - 1, query: match[2].toLowerCase() }
+}
+
+// Replace the "@query" at `start` with a full mention
+export function completeMention(text, start, caret, email) {
+  const rest = text.slice(caret)
+  const mention = /^\s/.test(rest) ? `@${email}` : `@${email} `
+  return { text: text.slice(0, start) + mention + rest, caret: start + mention.length }
+}
+
+// Comments as a tree, oldest first: [{ ...comment, replies: [...] }].
+// Replies whose parent is gone are shown at the top level.
+export function buildThreads(comments) {
+  const byId = new Map(comments.map(c => [c.id, { ...c, replies: [] }]))
+  const roots = []
+  const sorted = [...byId.values()].sort((a, b) => a.createdAt - b.createdAt)
+  for (const comment of sorted) {
+    const parent = comment.parentId && byId.get(comment.parentId)
+    if (parent) parent.replies.push(comment)
+    else roots.push(comment)
+  }
+  return roots
+}
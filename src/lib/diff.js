@@ -0,0 +1,55 @@
+// Line-based diff for showing what changed between two revisions
+
+// Longest-common-subsequence diff of two texts, line by line.
+// Returns [{ type: 'same' | 'added' | 'removed', text }].
+export function diffLines(before = '', after = '') {
+  const a = String(before ?? '').split('\n')
+  const b = String(after ?? '').split('\n')
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const result = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] })
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] })
+    } else {
+      result.push({ type: 'added', text: b[j++] })
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] })
+  while (j < b.length) result.push({ type: 'added', text: b[j++] })
+  return result
+}
+
+// Checklist items read as "☑ text"
+function formatItem(value) {
+  if (typeof value === 'string') return value
+  if (value && typeof value.text === 'string') return `${value.done ? '☑' : '☐'} ${value.text}`
+  return JSON.stringify(value)
+}
+
+// Short human-readable form of a field value
+export function formatFieldValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)'
+  if (Array.isArray(value)) {
+    return value.length
+      ? value.map(formatItem).join(', ')
+      : '(none)'
+  }
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
@@ -0,0 +1,58 @@
+// Due dates and reminders. `dueDate` is a calendar day ("2024-06-01") so it
+// means the same day in every time zone; `remindAt` is a timestamp.
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Days ahead that still count as "upcoming"
+export const UPCOMING_DAYS = 7
+
+// Local calendar day of a date as "YYYY-MM-DD"
+export function toDateKey(date = new Date()) {
+  const d = new Date(date)
+  const month = String(d.getMonth() + 1).padStart(2, '0')
+  const day = String(d.getDate()).padStart(2, '0')
+  return `${d.getFullYear()}-${month}-${day}`
+}
+
+// Midnight local time of a "YYYY-MM-DD" day
+export function fromDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+// Whole days from today to the due date (negative when overdue)
+export function daysUntil(dueDate, now = new Date()) {
+  const today = fromDateKey(toDateKey(now))
+  return Math.round((fromDateKey(dueDate) - today) / DAY)
+}
+
+// { status: 'overdue' | 'today' | 'upcoming' | 'later', label } or null
+// when the card has no due date or is done
+export function getDueStatus(note, { now = new Date(), doneStatus } = {}) {
+  if (!note.dueDate) return null
+  if (doneStatus && note.status === doneStatus) return null
+  const days = daysUntil(note.dueDate, now)
+  const date = fromDateKey(note.dueDate).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+  if (days < 0) return { status: 'overdue', label: `⏰ OVERDUE ${date}` }
+  if (days === 0) return { status: 'today', label: '📅 DUE TODAY' }
+  if (days <= UPCOMING_DAYS) return { status: 'upcoming', label: `🗓️ DUE ${date}` }
+  return { status: 'later', label: `🗓️ DUE ${date}` }
+}
+
+// Value for <input type="datetime-local"> from a timestamp, and back
+export function toDateTimeInput(time) {
+  if (!time) return ''
+  const d = new Date(time)
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+export function fromDateTimeInput(value) {
+  return value ? new Date(value).getTime() : undefined
+}
+
+// Reminders whose time has come and that have not fired yet. `sent` maps
+// note ids to the remindAt already shown on this device.
+export function getDueReminders(notes, sent = new Map(), now = Date.now()) {
+  return notes.filter(note => note.remindAt && note.remindAt <= now && !note.deletedAt &&
+    sent.get(note.id) !== note.remindAt)
+}
@@ -0,0 +1,139 @@
+// Helpers for attachment blobs: validation, checksums, thumbnails and preview detection
+
+const THUMBNAIL_SIZE = 240
+const MB = 1024 * 1024
+
+function parseList(value, fallback) {
+  if (!value) return fallback
+  return value.split(',').map(v => v.trim()).filter(Boolean)
+}
+
+// Attachment limits, overridable through VITE_ environment variables.
+// An empty allow-list accepts every type that is not denied.
+export const ATTACHMENT_LIMITS = {
+  maxFileSize: (Number(import.meta.env.VITE_MAX_FILE_SIZE_MB) || 10) * MB,
+  maxNoteSize: (Number(import.meta.env.VITE_MAX_NOTE_SIZE_MB) || 50) * MB,
+  allowedTypes: parseList(import.meta.env.VITE_ALLOWED_FILE_TYPES, []),
+  deniedTypes: parseList(import.meta.env.VITE_DENIED_FILE_TYPES, [
+    'application/x-msdownload',
+    'application/x-msdos-program',
+    'application/x-sh',
+    'application/x-executable'
+  ]),
+  // 'rename' saves "file (1).png"; 'version' keeps the name and bumps a version number
+  duplicates: import.meta.env.VITE_DUPLICATE_FILES === 'version' ? 'version' : 'rename'
+}
+
+// Match a mime type against a pattern such as "image/png" or "image/*"
+export function matchesType(type = '', pattern) {
+  if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1))
+  return type === pattern
+}
+
+function renameDuplicate(name, taken) {
+  const dot = name.lastIndexOf('.')
+  const base = dot > 0 ? name.slice(0, dot) : name
+  const ext = dot > 0 ? name.slice(dot) : ''
+  let n = 1
+  while (taken.has(`${base} (${n})${ext}`)) n++
+  return `${base} (${n})${ext}`
+}
+
+// Check dropped files against the limits and the note's existing attachments
+// ({ name, size, version }). Returns one entry per file with the name and
+// version to store it under, or an error explaining why it was rejected.
+export function validateFiles(files, existing = [], limits = ATTACHMENT_LIMITS) {
+  const taken = new Set(existing.map(a => a.name))
+  const versions = {}
+  existing.forEach(a => { versions[a.name] = Math.max(versions[a.name] || 1, a.version || 1) })
+  let totalSize = existing.reduce((sum, a) => sum + (a.size || 0), 0)
+
+  return Array.from(files).map(file => {
+    const type = file.type || 'application/octet-stream'
+
+    if (file.size > limits.maxFileSize) {
+      return { file, name: file.name, error: `Larger than ${formatFileSize(limits.maxFileSize)}` }
+    }
+    if (limits.deniedTypes.some(p => matchesType(type, p))) {
+      return { file, name: file.name, error: `File type ${type} is not allowed` }
+    }
+    if (limits.allowedTypes.length > 0 && !limits.allowedTypes.some(p => matchesType(type, p))) {
+      return { file, name: file.name, error: `File type ${type} is not allowed` }
+    }
+    if (totalSize + file.size > limits.maxNoteSize) {
+      return { file, name: file.name, error: `Card attachments would exceed ${formatFileSize(limits.maxNoteSize)}` }
+    }
+    totalSize += file.size
+
+    let name = file.name
+    let version = 1
+    if (taken.has(name)) {
+      if (limits.duplicates === 'version') {
+        version = (versions[name] || 1) + 1
+      } else {
+        name = renameDuplicate(name, taken)
+      }
+    }
+    taken.add(name)
+    versions[name] = version
+
+    return { file, name, version }
+  })
+}
+
+// Read a file into memory, reporting progress from 0 to 1
+export function readFileWithProgress(file, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total)
+    }
+    reader.onload = () => {
+      onProgress(1)
+      resolve(reader.result)
+    }
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`))
+    reader.readAsArrayBuffer(file)
+  })
+}
+
+// SHA-256 of a blob or ArrayBuffer as a hex string
+export async function computeChecksum(data) {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data
+  const digest = await crypto.subtle.digest('SHA-256', buffer)
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+// Scaled-down JPEG of an image, or null for non-images and unreadable files
+export async function createThumbnail(blob, maxSize = THUMBNAIL_SIZE) {
+  if (!(blob.type || '').startsWith('image/')) return null
+  try {
+    const bitmap = await createImageBitmap(blob)
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height))
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale))
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale))
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+    bitmap.close()
+    return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8))
+  } catch (error) {
+    console.log('Could not create thumbnail:', error.message)
+    return null
+  }
+}
+
+// How an attachment can be previewed inline
+export function getPreviewKind(type = '') {
+  if (type.startsWith('image/')) return 'image'
+  if (type === 'application/pdf') return 'pdf'
+  if (type.startsWith('text/') || type === 'application/json') return 'text'
+  return null
+}
+
+export function formatFileSize(bytes = 0) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
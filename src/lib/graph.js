@@ -0,0 +1,83 @@
+// Force-directed layout for the card link graph. Starts from a circle so the
+// same cards always land in the same place.
+
+export function layoutGraph(nodes, edges, { width = 800, height = 600, padding = 40, iterations = 150 } = {}) {
+  const count = nodes.length
+  if (count === 0) return {}
+
+  const ids = nodes.map(n => n.id)
+  const index = new Map(ids.map((id, i) => [id, i]))
+  const x = new Float64Array(count)
+  const y = new Float64Array(count)
+  const radius = Math.min(width, height) / 3
+  ids.forEach((_, i) => {
+    const angle = (2 * Math.PI * i) / count
+    x[i] = width / 2 + radius * Math.cos(angle)
+    y[i] = height / 2 + radius * Math.sin(angle)
+  })
+
+  const links = edges
+    .map(e => [index.get(e.from), index.get(e.to)])
+    .filter(([a, b]) => a !== undefined && b !== undefined)
+  const k = 0.5 * Math.sqrt((width * height) / count)
+  const dx = new Float64Array(count)
+  const dy = new Float64Array(count)
+  let temperature = width / 10
+
+  for (let step = 0; step < iterations; step++) {
+    dx.fill(0)
+    dy.fill(0)
+
+    // Every pair pushes apart
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const ox = x[i] - x[j] || 0.01
+        const oy = y[i] - y[j] || 0.01
+        const dist = Math.max(Math.hypot(ox, oy), 0.01)
+        const force = (k * k) / dist
+        dx[i] += (ox / dist) * force
+        dy[i] += (oy / dist) * force
+        dx[j] -= (ox / dist) * force
+        dy[j] -= (oy / dist) * force
+      }
+    }
+
+    // Linked cards pull together
+    for (const [a, b] of links) {
+      const ox = x[a] - x[b]
+      const oy = y[a] - y[b]
+      const dist = Math.max(Math.hypot(ox, oy), 0.01)
+      const force = (dist * dist) / k
+      dx[a] -= (ox / dist) * force
+      dy[a] -= (oy / dist) * force
+      dx[b] += (ox / dist) * force
+      dy[b] += (oy / dist) * force
+    }
+
+    // Gravity keeps unlinked cards from drifting off
+    for (let i = 0; i < count; i++) {
+      dx[i] += (width / 2 - x[i]) * 0.1
+      dy[i] += (height / 2 - y[i]) * 0.1
+      const dist = Math.max(Math.hypot(dx[i], dy[i]), 0.01)
+      const move = Math.min(dist, temperature)
+      x[i] += (dx[i] / dist) * move
+      y[i] += (dy[i] / dist) * move
+    }
+    temperature *= 0.97
+  }
+
+  // Scale the result to fit the box, centered
+  const minX = Math.min(...x)
+  const minY = Math.min(...y)
+  const spanX = Math.max(...x) - minX
+  const spanY = Math.max(...y) - minY
+  const scale = Math.min((width - 2 * padding) / Math.max(spanX, 1), (height - 2 * padding) / Math.max(spanY, 1))
+  const positions = {}
+  ids.forEach((id, i) => {
+    positions[id] = {
+      x: width / 2 + (x[i] - minX - spanX / 2) * scale,
+      y: height / 2 + (y[i] - minY - spanY / 2) * scale
+    }
+  })
+  return positions
+}
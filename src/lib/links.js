@@ -0,0 +1,87 @@
+// [[Card title]] links between cards. Titles match ignoring case and extra
+// spaces; an optional label follows a pipe: [[Card title|shown text]].
+
+const LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g
+
+export function linkKey(title = '') {
+  return title.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+// Link targets in a card's details, in order, without duplicates
+export function parseLinks(source = '') {
+  const keys = new Set()
+  const titles = []
+  for (const [, title] of source.matchAll(LINK_PATTERN)) {
+    const key = linkKey(title)
+    if (!key || keys.has(key)) continue
+    keys.add(key)
+    titles.push(title.trim())
+  }
+  return titles
+}
+
+// Point [[from]] links at a new title, keeping their labels
+export function renameLinks(source = '', from, to) {
+  const key = linkKey(from)
+  return source.replace(LINK_PATTERN, (match, title, label) => {
+    if (linkKey(title) !== key) return match
+    return `[[${to.trim()}${label ? `|${label}` : ''}]]`
+  })
+}
+
+// { linkKey: note } for the cards a link can point to. The oldest card wins
+// when titles repeat.
+export function indexByTitle(notes) {
+  const index = new Map()
+  const sorted = [...notes].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+  for (const note of sorted) {
+    const key = linkKey(note.title)
+    if (key && !index.has(key)) index.set(key, note)
+  }
+  return index
+}
+
+// Cards that link to `note`
+export function getBacklinks(notes, note) {
+  const key = linkKey(note.title)
+  if (!key) return []
+  return notes.filter(n =>
+    n.id !== note.id && parseLinks(n.details).some(title => linkKey(title) === key)
+  )
+}
+
+// Nodes and resolved edges for the cards in `notes`. Links to cards outside
+// the set are left out.
+export function buildLinkGraph(notes) {
+  const index = indexByTitle(notes)
+  const edges = []
+  const seen = new Set()
+  for (const note of notes) {
+    for (const title of parseLinks(note.details)) {
+      const target = index.get(linkKey(title))
+      const id = target && `${note.id}>${target.id}`
+      if (!target || target.id === note.id || seen.has(id)) continue
+      seen.add(id)
+      edges.push({ from: note.id, to: target.id })
+    }
+  }
+  return { nodes: notes, edges }
+}
+
+// The unfinished "[[query" right before the caret, if the caret is in one
+export function getLinkQuery(text = '', caret = text.length) {
+  const before = text.slice(0, caret)
+  const start = before.lastIndexOf('[[')
+  if (start === -1) return null
+  const query = before.slice(start + 2)
+  if (/[[\]|\n]/.test(query)) return null
+  return { start, query }
+}
+
+// Replace the "[[query" at `start` with a finished link, returning the new
+// text and the caret position after it
+export function completeLink(text, start, caret, title) {
+  const rest = text.slice(caret).replace(/^[^[\]\n]*\]\]/, '')
+  const link = `[[${title}]]`
+  return { text: text.slice(0, start) + link + rest, caret: start + link.length }
+}
@@ -0,0 +1,97 @@
+import { Marked } from 'marked'
+import DOMPurify from 'dompurify'
+
+// Card details are stored as Markdown (GFM: task lists, fenced code, tables).
+// Attached images are embedded by reference as ![alt](attachment:file.png),
+// other cards as [[Card title]] or [[Card title|label]].
+
+const ATTACHMENT_PREFIX = 'attachment:'
+
+// DOMPurify's default URI check plus blob: URLs for resolved attachments
+const ALLOWED_URI = /^(?:(?:https?|mailto|tel|blob):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i
+
+// Open links in a new tab without giving the target access to the app.
+// Links to other cards stay in the app.
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href') && !node.hasAttribute('data-note-link')) {
+    node.setAttribute('target', '_blank')
+    node.setAttribute('rel', 'noopener noreferrer')
+  }
+})
+
+function escapeHtml(text = '') {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+const NOTE_LINK = /^\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/
+
+function createParser(attachmentUrls, resolveLink) {
+  return new Marked({
+    gfm: true,
+    breaks: true,
+    extensions: [{
+      name: 'noteLink',
+      level: 'inline',
+      start(src) {
+        return src.indexOf('[[')
+      },
+      tokenizer(src) {
+        const match = NOTE_LINK.exec(src)
+        if (!match) return undefined
+        return { type: 'noteLink', raw: match[0], title: match[1].trim(), label: (match[2] || match[1]).trim() }
+      },
+      renderer({ title, label }) {
+        const id = resolveLink?.(title)
+        if (!id) {
+          return `<span class="note-link-missing" title="No card titled &quot;${escapeHtml(title)}&quot;">${escapeHtml(label)}</span>`
+        }
+        return `<a href="?note=${encodeURIComponent(id)}" data-note-link="${escapeHtml(id)}" class="note-link">${escapeHtml(label)}</a>`
+      }
+    }],
+    renderer: {
+      image(href, title, text) {
+        if (!href?.startsWith(ATTACHMENT_PREFIX)) return false
+        const name = decodeURIComponent(href.slice(ATTACHMENT_PREFIX.length))
+        const url = attachmentUrls?.[name]
+        if (!url) {
+          return `<span class="markdown-missing">🖼️ ${escapeHtml(text || name)}</span>`
+        }
+        const titleAttr = title ? ` title="${escapeHtml(title)}"` : ''
+        return `<img src="${url}" alt="${escapeHtml(text)}"${titleAttr}>`
+      }
+    }
+  })
+}
+
+// Render Markdown to sanitized HTML. `attachmentUrls` maps attachment names to
+// object URLs; references without a URL render as a placeholder.
+// With `interactive`, task list checkboxes are left enabled so they can be toggled.
+// `resolveLink(title)` returns the id of the card a [[link]] points to.
+export function renderMarkdown(source = '', { attachmentUrls, resolveLink, interactive = false } = {}) {
+  let html = createParser(attachmentUrls, resolveLink).parse(source)
+  if (interactive) html = html.replace(/(<input[^>]*?) disabled=""/g, '$1')
+  return DOMPurify.sanitize(html, {
+    ALLOWED_URI_REGEXP: ALLOWED_URI,
+    ADD_ATTR: ['target']
+  })
+}
+
+// Markdown reference for an attached image
+export function attachmentImageMarkdown(name) {
+  return `![${name}](${ATTACHMENT_PREFIX}${encodeURIComponent(name)})`
+}
+
+const TASK_PATTERN = /^(\s*(?:[-*+]|\d+[.)])\s+)\[( |x|X)\]/gm
+
+// Flip the nth task list item ("- [ ]" <-> "- [x]") in the source
+export function toggleTask(source = '', index) {
+  let i = 0
+  return source.replace(TASK_PATTERN, (match, prefix, mark) => {
+    if (i++ !== index) return match
+    return `${prefix}[${mark === ' ' ? 'x' : ' '}]`
+  })
+}
@@ -0,0 +1,39 @@
+import { noteFingerprint } from './transfer.js'
+
+// Cards made while signed out are owned by "anonymous" (or Dexie Cloud's
+// "unauthorized" placeholder user) and have no realm. Signing in sets them
+// aside on this device until they are moved into an account.
+
+export const ANONYMOUS_OWNERS = ['anonymous', 'unauthorized']
+
+export function isAnonymousNote(note) {
+  return ANONYMOUS_OWNERS.includes(note.owner) && (!note.realmId || ANONYMOUS_OWNERS.includes(note.realmId))
+}
+
+// Flag local cards that match a card already in the account (same title and
+// details) or an earlier local card. Returns [{ note, duplicate }].
+export function markMigrationDuplicates(localNotes, accountNotes) {
+  const byFingerprint = new Map(accountNotes.map(note => [noteFingerprint(note), note]))
+  const seen = new Map()
+  return localNotes.map(note => {
+    const fingerprint = noteFingerprint(note)
+    const match = byFingerprint.get(fingerprint)
+    let duplicate = null
+    if (match) duplicate = `Already in your account as "${match.title || 'Untitled Card'}"`
+    else if (seen.has(fingerprint)) duplicate = `Same as "${seen.get(fingerprint)}" on this device`
+    else seen.set(fingerprint, note.title || 'Untitled Card')
+    return { note, duplicate }
+  })
+}
+
+// A child record (attachment, revision, comment) of a moved card, rewritten
+// for the new realm. Work done while signed out is credited to the user.
+export function claimChild(child, { realmId, userId, email }) {
+  const claimed = { ...child, realmId }
+  if (ANONYMOUS_OWNERS.includes(child.owner)) claimed.owner = userId
+  if (ANONYMOUS_OWNERS.includes(child.author)) {
+    claimed.author = userId
+    if (email) claimed.authorEmail = email
+  }
+  return claimed
+}
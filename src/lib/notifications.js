@@ -0,0 +1,44 @@
+// Service worker registration and notifications. In development Vite serves
+// the worker from source; the build emits it as /sw.js (see vite.config.js).
+// Either way it controls the whole app: the dev server sends
+// Service-Worker-Allowed so /src/sw.js may take the root scope.
+
+const SW_URL = import.meta.env.DEV ? '/src/sw.js' : '/sw.js'
+
+export async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return null
+  try {
+    return await navigator.serviceWorker.register(SW_URL, { type: 'module', scope: '/' })
+  } catch (error) {
+    console.error('Error registering service worker:', error)
+    return null
+  }
+}
+
+// 'granted' | 'denied' | 'default' | 'unsupported'
+export function getNotificationPermission() {
+  return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+}
+
+export async function requestNotificationPermission() {
+  if (getNotificationPermission() === 'unsupported') return 'unsupported'
+  return Notification.requestPermission()
+}
+
+// Show a notification through the service worker when there is one, so
+// clicks reach it. Returns false when notifications are not allowed.
+export async function showNotification(title, options = {}) {
+  if (getNotificationPermission() !== 'granted') return false
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration()
+    if (registration) {
+      await registration.showNotification(title, options)
+    } else {
+      new Notification(title, options)
+    }
+    return true
+  } catch (error) {
+    console.error('Error showing notification:', error)
+    return false
+  }
+}
@@ -0,0 +1,173 @@
+import { fromDateKey } from './due.js'
+import { addDays } from './calendar.js'
+
+// Full-text search: tokenizing notes for the `words` index, parsing the
+// query syntax, and matching, ranking and highlighting results.
+//
+// Query syntax:
+//   word            notes containing a word starting with "word"
+//   "some phrase"   exact phrase in title, details or tags
+//   #tag            notes tagged "tag" or a tag nested below it
+//   priority:high   notes with that priority
+//   owner:alice     notes whose owner contains "alice"
+//   before:2024-06-01 / after:2024-06-01   created before / after that date
+//   -anything       negates any of the above
+
+// Lowercase, strip accents and split into words
+export function tokenize(text = '') {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+}
+
+// Distinct words of a note, stored in the multi-entry `words` index
+export function getNoteWords(note = {}) {
+  const tags = Array.isArray(note.tags) ? note.tags.join(' ') : ''
+  const items = Array.isArray(note.checklist) ? note.checklist.map(item => item.text).join(' ') : ''
+  return Array.from(new Set(tokenize(`${note.title || ''} ${note.details || ''} ${tags} ${items}`)))
+}
+
+function normalize(text = '') {
+  return tokenize(text).join(' ')
+}
+
+// Local midnight of a "YYYY-MM-DD" day, like the date filters in views.js
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null
+  const time = fromDateKey(value).getTime()
+  return Number.isNaN(time) ? null : time
+}
+
+// Turn a query string into clauses: { type, value, negate }
+export function parseQuery(query = '') {
+  const clauses = []
+  const pattern = /(-?)(?:"([^"]*)"?|(\S+))/g
+  let match
+  while ((match = pattern.exec(query)) !== null) {
+    const negate = match[1] === '-'
+    const phrase = match[2]
+    const raw = match[3]
+
+    if (phrase !== undefined) {
+      if (normalize(phrase)) clauses.push({ type: 'phrase', value: normalize(phrase), negate })
+      continue
+    }
+    if (!raw) continue
+
+    if (raw.startsWith('#') && raw.length > 1) {
+      clauses.push({ type: 'tag', value: raw.slice(1).toLowerCase(), negate })
+      continue
+    }
+
+    const field = raw.match(/^(priority|owner|before|after):(.+)$/i)
+    if (field) {
+      const type = field[1].toLowerCase()
+      const value = field[2].toLowerCase()
+      if (type === 'before' || type === 'after') {
+        const time = parseDate(field[2])
+        if (time !== null) clauses.push({ type, value: time, negate })
+      } else {
+        clauses.push({ type, value, negate })
+      }
+      continue
+    }
+
+    tokenize(raw).forEach(word => clauses.push({ type: 'word', value: word, negate }))
+  }
+  return clauses
+}
+
+function matchesClause(note, clause, words) {
+  const tags = (note.tags || []).map(t => String(t).toLowerCase())
+  switch (clause.type) {
+    case 'word':
+      return words.some(w => w.startsWith(clause.value))
+    case 'phrase':
+      return normalize(`${note.title || ''} ${note.details || ''} ${tags.join(' ')}`).includes(clause.value)
+    case 'tag':
+      return tags.some(t => t === clause.value || t.startsWith(`${clause.value}/`))
+    case 'priority':
+      return (note.priority || 'medium') === clause.value
+    case 'owner':
+      return String(note.owner || '').toLowerCase().includes(clause.value)
+    case 'before':
+      return (note.createdAt || 0) < clause.value
+    case 'after':
+      return (note.createdAt || 0) >= addDays(new Date(clause.value), 1).getTime()
+    default:
+      return true
+  }
+}
+
+// True when the note satisfies every clause
+export function matchesQuery(note, clauses) {
+  const words = note.words || getNoteWords(note)
+  return clauses.every(clause => matchesClause(note, clause, words) !== clause.negate)
+}
+
+// Relevance: title hits outweigh tag hits, which outweigh details hits
+export function scoreNote(note, clauses) {
+  const titleWords = tokenize(note.title)
+  const tagWords = tokenize((note.tags || []).join(' '))
+  const detailWords = tokenize(note.details)
+  let score = 0
+
+  for (const clause of clauses) {
+    if (clause.negate) continue
+    if (clause.type === 'word') {
+      const w = clause.value
+      score += titleWords.filter(t => t === w).length * 4 + titleWords.filter(t => t !== w && t.startsWith(w)).length * 2
+      score += tagWords.filter(t => t.startsWith(w)).length * 2
+      score += Math.min(5, detailWords.filter(t => t.startsWith(w)).length)
+    } else if (clause.type === 'phrase') {
+      if (normalize(note.title).includes(clause.value)) score += 6
+      if (normalize(note.details).includes(clause.value)) score += 3
+    } else {
+      score += 1
+    }
+  }
+  return score
+}
+
+// Words and phrases to highlight for a set of clauses
+export function getHighlightTerms(clauses) {
+  return clauses
+    .filter(c => !c.negate && (c.type === 'word' || c.type === 'phrase' || c.type === 'tag'))
+    .map(c => c.value)
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Split text into [{ text, match }] segments around the highlight terms.
+// Words match as prefixes, phrases allow any run of separators between words.
+export function highlightSegments(text = '', terms = []) {
+  if (!text || terms.length === 0) return [{ text, match: false }]
+  const patterns = terms
+    .map(term => term.split(' ').map(escapeRegExp).join('[^\\p{L}\\p{N}]+'))
+    .sort((a, b) => b.length - a.length)
+  const regex = new RegExp(`(${patterns.join('|')})`, 'giu')
+  // split() with a capturing group alternates non-matching and matching parts
+  return text
+    .split(regex)
+    .map((part, i) => ({ text: part, match: i % 2 === 1 }))
+    .filter(segment => segment.text !== '')
+}
+
+// Short excerpt of text around the first highlighted term
+export function getSnippet(text = '', terms = [], radius = 60) {
+  const plain = String(text).replace(/[#*_`>[\]()!-]+/g, ' ').replace(/\s+/g, ' ').trim()
+  const lower = plain.toLowerCase()
+  const index = terms
+    .map(term => lower.indexOf(term.split(' ')[0]))
+    .filter(i => i >= 0)
+    .sort((a, b) => a - b)[0]
+  if (index === undefined) return plain.slice(0, radius * 2)
+  const start = Math.max(0, index - radius)
+  const end = Math.min(plain.length, index + radius)
+  return `${start > 0 ? '…' : ''}${plain.slice(start, end)}${end < plain.length ? '…' : ''}`
+}
@@ -0,0 +1,79 @@
+// Sync status as shown in the UI, retry backoff, and the local outbox of
+// changes that haven't been uploaded yet.
+
+export const RETRY_BASE_MS = 5000
+export const RETRY_MAX_MS = 5 * 60 * 1000
+
+// 5s, 10s, 20s, ... capped at 5 minutes
+export function retryDelay(attempt) {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1), RETRY_MAX_MS)
+}
+
+// Badge label, longer text and tone ('ok' | 'busy' | 'warn' | 'error')
+// for a status from syncHelpers.getSyncStatus()
+export function describeSyncStatus(status, now = Date.now()) {
+  const { phase, status: connection, progress, error, nextRetryAt, attempt, pending = 0 } = status
+  if (connection === 'offline' || phase === 'offline') {
+    return {
+      tone: 'error',
+      label: '🔴 OFFLINE',
+      text: pending > 0 ? `🔴 OFFLINE — ${pending} changes waiting to upload` : '🔴 OFFLINE — changes are kept on this device'
+    }
+  }
+  if (phase === 'error') {
+    const retry = nextRetryAt > now ? `, retry #${attempt} in ${Math.ceil((nextRetryAt - now) / 1000)}s` : ''
+    return {
+      tone: 'error',
+      label: '⚠️ SYNC ERROR',
+      text: `⚠️ ${error || 'Sync failed'}${retry}`
+    }
+  }
+  if (phase === 'pushing' || phase === 'pulling') {
+    const percent = typeof progress === 'number' ? ` ${Math.round(progress)}%` : ''
+    return {
+      tone: 'busy',
+      label: '🔄 SYNCING',
+      text: `🔄 ${phase === 'pushing' ? 'UPLOADING' : 'DOWNLOADING'}${percent}...`
+    }
+  }
+  if (phase === 'initial' || connection === 'connecting' || connection === 'not-started') {
+    return { tone: 'busy', label: '⏳ CONNECTING', text: '⏳ CONNECTING TO THE CLOUD...' }
+  }
+  if (pending > 0 || phase === 'not-in-sync') {
+    return {
+      tone: 'warn',
+      label: '🟡 PENDING',
+      text: pending > 0 ? `🟡 ${pending} changes waiting to upload` : '🟡 WAITING FOR THE NEXT SYNC'
+    }
+  }
+  return { tone: 'ok', label: '🟢 IN SYNC', text: '🟢 ONLINE & UP TO DATE' }
+}
+
+// Human "3 min ago" for the last successful sync
+export function formatSyncTime(time, now = Date.now()) {
+  if (!time) return 'never'
+  const seconds = Math.round((now - time) / 1000)
+  if (seconds < 10) return 'just now'
+  if (seconds < 60) return `${seconds}s ago`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`
+  return new Date(time).toLocaleString()
+}
+
+// Outbox entries, oldest first, from the rows of a `$<table>_mutations` table.
+// Each row is one write: { type, keys, values?, changeSpec(s)?, ts }.
+export function toOutboxEntries(table, mutations) {
+  return mutations.map(mutation => ({
+    id: `${table}:${mutation.rev}`,
+    table,
+    type: mutation.type,
+    keys: mutation.keys || [],
+    // Inserted children point at their card
+    noteIds: table === 'notes'
+      ? (mutation.keys || [])
+      : (mutation.values || []).map(value => value?.noteId).filter(Boolean),
+    fields: Array.from(new Set(
+      [mutation.changeSpec, ...(mutation.changeSpecs || [])].filter(Boolean).flatMap(spec => Object.keys(spec))
+    )),
+    createdAt: mutation.ts || 0
+  }))
+}
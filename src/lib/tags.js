@@ -0,0 +1,103 @@
+// Tag normalization, hierarchy and colors. Nested tags use "/" as the
+// separator: "project/alpha" is a child of "project".
+
+export const TAG_COLORS = [
+  '#ff6b6b',
+  '#ffd93d',
+  '#6bcb77',
+  '#4d96ff',
+  '#c77dff',
+  '#ff9f1c',
+  '#2ec4b6',
+  '#f15bb5'
+]
+
+// Lowercase, trim, turn spaces into dashes and tidy up the "/" separators
+export function normalizeTag(tag = '') {
+  return String(tag)
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .split('/')
+    .map(part => part.trim().replace(/\s+/g, '-'))
+    .filter(Boolean)
+    .join('/')
+}
+
+// Normalized, de-duplicated tag list
+export function normalizeTags(tags = []) {
+  return Array.from(new Set(tags.map(normalizeTag).filter(Boolean)))
+}
+
+// True for the tag itself and any tag nested below it
+export function isTagOrChild(tag, parent) {
+  return tag === parent || tag.startsWith(`${parent}/`)
+}
+
+// Rename `from` (and everything nested below it) to `to` in a tag list.
+// Returns the same array when nothing changed.
+export function renameInTags(tags = [], from, to) {
+  if (!tags.some(tag => isTagOrChild(tag, from))) return tags
+  return normalizeTags(tags.map(tag => isTagOrChild(tag, from) ? `${to}${tag.slice(from.length)}` : tag))
+}
+
+// Remove `tag` and everything nested below it from a tag list
+export function removeFromTags(tags = [], tag) {
+  if (!tags.some(t => isTagOrChild(t, tag))) return tags
+  return tags.filter(t => !isTagOrChild(t, tag))
+}
+
+// Color for a tag: its own, else the nearest ancestor's
+export function getTagColor(tag, colors = {}) {
+  const parts = normalizeTag(tag).split('/')
+  for (let i = parts.length; i > 0; i--) {
+    const color = colors[parts.slice(0, i).join('/')]
+    if (color) return color
+  }
+  return null
+}
+
+// Tags in use with their note counts, as a tree:
+// [{ name, path, count, total, children }] where `count` is the notes tagged
+// exactly `path` and `total` includes the notes of nested tags
+export function buildTagTree(notes = []) {
+  const counts = new Map()
+  for (const note of notes) {
+    for (const tag of note.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1)
+  }
+
+  const root = { children: new Map() }
+  for (const [tag, count] of counts) {
+    let node = root
+    tag.split('/').forEach((name, i, parts) => {
+      const path = parts.slice(0, i + 1).join('/')
+      if (!node.children.has(name)) node.children.set(name, { name, path, count: 0, children: new Map() })
+      node = node.children.get(name)
+    })
+    node.count += count
+  }
+
+  const finish = node => {
+    const children = [...node.children.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(finish)
+    return {
+      ...node,
+      children,
+      total: node.count + children.reduce((sum, child) => sum + child.total, 0)
+    }
+  }
+  return finish(root).children
+}
+
+// Groups of tags that only differ in case or spacing, e.g. ["Test", "test"]
+export function findDuplicateTags(tags = []) {
+  const groups = new Map()
+  for (const tag of tags) {
+    const key = normalizeTag(tag)
+    if (!groups.has(key)) groups.set(key, new Set())
+    groups.get(key).add(tag)
+  }
+  return [...groups.entries()]
+    .filter(([key, variants]) => variants.size > 1 || !variants.has(key))
+    .map(([key, variants]) => ({ tag: key, variants: [...variants] }))
+}
@@ -0,0 +1,63 @@
+import { toDateKey } from './due.js'
+import { normalizeTags } from './tags.js'
+import { normalizeChecklist } from './checklist.js'
+
+// Card templates: a title pattern, prefilled details, default tags, priority
+// and checklist. {{variables}} in the title, details and checklist are filled
+// in when a card is created from the template.
+
+export const TEMPLATE_VARIABLES = {
+  date: 'Today, as YYYY-MM-DD',
+  time: 'The current time, as HH:MM',
+  weekday: 'The day of the week',
+  user: 'Your email, or "anonymous"'
+}
+
+const PRIORITIES = ['low', 'medium', 'high']
+
+// Replace known {{variables}}; unknown ones are left as typed
+export function expandTemplate(text = '', { now = new Date(), user = 'anonymous' } = {}) {
+  const values = {
+    date: toDateKey(now),
+    time: `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`,
+    weekday: now.toLocaleDateString(undefined, { weekday: 'long' }),
+    user
+  }
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name.toLowerCase()] ?? match)
+}
+
+// Template record from the fields of a card
+export function toTemplate(name, fields = {}) {
+  const trimmed = (name || '').trim()
+  if (!trimmed) throw new Error('Give the template a name')
+  return {
+    name: trimmed,
+    title: fields.title || '',
+    details: fields.details || '',
+    tags: normalizeTags(fields.tags || []),
+    priority: PRIORITIES.includes(fields.priority) ? fields.priority : 'medium',
+    checklist: normalizeChecklist(fields.checklist).map(item => ({ ...item, done: false }))
+  }
+}
+
+// New-card form fields from a template. Variables stay in place until the
+// card is saved. Checklist items get fresh ids.
+export function applyTemplate(template) {
+  return {
+    title: template.title || '',
+    details: template.details || '',
+    tags: normalizeTags(template.tags || []),
+    priority: template.priority || 'medium',
+    checklist: normalizeChecklist(template.checklist).map(item => ({ ...item, id: crypto.randomUUID(), done: false }))
+  }
+}
+
+// Fill in the variables of a card made from a template
+export function expandNote(note, context) {
+  return {
+    ...note,
+    title: expandTemplate(note.title, context),
+    details: expandTemplate(note.details, context),
+    checklist: (note.checklist || []).map(item => ({ ...item, text: expandTemplate(item.text, context) }))
+  }
+}
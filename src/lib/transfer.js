@@ -0,0 +1,441 @@
+import { createZip, readZip } from './zip.js'
+import { normalizeTags } from './tags.js'
+import { normalizeChecklist } from './checklist.js'
+
+// Exporting cards to files and reading them back in. Formats:
+//   json      versioned bundle with attachments as base64
+//   markdown  zip of .md files with YAML front matter, attachments alongside
+//   csv       one row per card, no attachments
+// Imports also accept Dexie Cloud's raw export (the clients.json shape).
+
+export const EXPORT_VERSION = 1
+export const EXPORT_FORMAT_ID = 'playful-data-lab'
+
+export const EXPORT_FORMATS = {
+  json: '🧾 JSON BUNDLE',
+  markdown: '📝 MARKDOWN ZIP',
+  csv: '📊 CSV'
+}
+
+const PRIORITIES = ['low', 'medium', 'high']
+const CSV_COLUMNS = ['id', 'title', 'details', 'tags', 'priority', 'status', 'dueDate', 'remindAt', 'createdAt', 'updatedAt']
+
+const decoder = new TextDecoder()
+
+// Note record as written to an export: derived fields are dropped
+export function toExportRecord(note) {
+  const { words, ...record } = note
+  return Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('$')))
+}
+
+function toIso(time) {
+  return time ? new Date(time).toISOString() : ''
+}
+
+function bytesToBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64)
+  return Uint8Array.from(binary, c => c.charCodeAt(0))
+}
+
+async function blobBytes(blob) {
+  return new Uint8Array(await blob.arrayBuffer())
+}
+
+// File-name friendly version of a title
+function slugify(text) {
+  return (text || 'untitled')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'untitled'
+}
+
+// Unique slug per note within one export
+function slugsFor(notes) {
+  const used = new Map()
+  return new Map(notes.map(note => {
+    const base = slugify(note.title)
+    const count = used.get(base) || 0
+    used.set(base, count + 1)
+    return [note.id, count ? `${base}-${count + 1}` : base]
+  }))
+}
+
+// ---- JSON ----
+
+export async function buildJsonBundle(notes, attachments = []) {
+  const files = []
+  for (const attachment of attachments) {
+    files.push({
+      noteId: attachment.noteId,
+      name: attachment.name,
+      type: attachment.type,
+      createdAt: attachment.createdAt,
+      data: bytesToBase64(await blobBytes(attachment.blob))
+    })
+  }
+  return JSON.stringify({
+    format: EXPORT_FORMAT_ID,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    notes: notes.map(toExportRecord),
+    attachments: files
+  }, null, 2)
+}
+
+// ---- Markdown ----
+
+export function noteToMarkdown(note) {
+  const meta = {
+    id: note.id,
+    title: note.title || '',
+    tags: note.tags || [],
+    priority: note.priority || 'medium',
+    status: note.status,
+    checklist: note.checklist?.length ? note.checklist : undefined,
+    due: note.dueDate,
+    remind: toIso(note.remindAt),
+    created: toIso(note.createdAt),
+    updated: toIso(note.updatedAt)
+  }
+  // JSON scalars and arrays are valid YAML, so the front matter stays simple
+  const lines = Object.entries(meta)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+  return `---\n${lines.join('\n')}\n---\n\n${note.details || ''}\n`
+}
+
+function parseYamlValue(value) {
+  if (value === '') return ''
+  if (/^["[{]/.test(value)) {
+    try {
+      return JSON.parse(value)
+    } catch {
+      // fall through to the plain-scalar forms below
+    }
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value.slice(1, -1).split(',').map(v => v.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean)
+  }
+  return value.replace(/^'(.*)'$/, '$1')
+}
+
+// Split a Markdown file into its front matter fields and body. Understands
+// the subset of YAML that exports use plus block lists ("- item").
+export function parseMarkdown(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/)
+  if (!match) return { fields: {}, body: text }
+
+  const fields = {}
+  let listKey = null
+  for (const line of match[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue
+    const item = line.match(/^\s+-\s*(.*)$/)
+    if (item && listKey) {
+      fields[listKey].push(parseYamlValue(item[1].trim()))
+      continue
+    }
+    const pair = line.match(/^([\w-]+):\s*(.*)$/)
+    if (!pair) throw new Error(`Cannot read front matter line "${line.trim()}"`)
+    const value = pair[2].trim()
+    if (value === '') {
+      fields[pair[1]] = []
+      listKey = pair[1]
+    } else {
+      fields[pair[1]] = parseYamlValue(value)
+      listKey = null
+    }
+  }
+  return { fields, body: match[2].replace(/^\r?\n/, '').replace(/\r?\n$/, '') }
+}
+
+export async function buildMarkdownZip(notes, attachments = []) {
+  const slugs = slugsFor(notes)
+  const files = notes.map(note => ({ name: `${slugs.get(note.id)}.md`, data: noteToMarkdown(note) }))
+  for (const attachment of attachments) {
+    const slug = slugs.get(attachment.noteId)
+    if (!slug) continue
+    files.push({ name: `attachments/${slug}/${attachment.name}`, data: await blobBytes(attachment.blob) })
+  }
+  return createZip(files)
+}
+
+// ---- CSV ----
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function buildCsv(notes) {
+  const rows = notes.map(note => [
+    note.id,
+    note.title,
+    note.details,
+    (note.tags || []).join(';'),
+    note.priority || 'medium',
+    note.status,
+    note.dueDate,
+    toIso(note.remindAt),
+    toIso(note.createdAt),
+    toIso(note.updatedAt)
+  ])
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')
+}
+
+// RFC 4180 parser: quoted cells may hold commas, quotes and newlines
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        cell += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += c
+    }
+  }
+  if (quoted) throw new Error('Unclosed quote in CSV')
+  if (cell || row.length) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''))
+}
+
+// ---- Export ----
+
+export async function exportNotes(notes, attachments, format) {
+  const stamp = dateStamp()
+  if (format === 'markdown') {
+    return { blob: await buildMarkdownZip(notes, attachments), filename: `cards-${stamp}.zip` }
+  }
+  if (format === 'csv') {
+    return { blob: new Blob([buildCsv(notes)], { type: 'text/csv' }), filename: `cards-${stamp}.csv` }
+  }
+  return {
+    blob: new Blob([await buildJsonBundle(notes, attachments)], { type: 'application/json' }),
+    filename: `cards-${stamp}.json`
+  }
+}
+
+// Save a blob through a temporary download link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// File-name friendly date stamp, e.g. 2024-06-01
+export function dateStamp(date = new Date()) {
+  return date.toISOString().slice(0, 10)
+}
+
+// ---- Import ----
+
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return undefined
+  const time = typeof value === 'number' ? value : Date.parse(value)
+  if (Number.isNaN(time)) throw new Error(`Invalid date "${value}"`)
+  return time
+}
+
+// Check and clean one imported record. Throws with a readable reason.
+export function normalizeImportedNote(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Record is not an object')
+  const title = String(raw.title ?? '').trim()
+  const details = String(raw.details ?? '')
+  if (!title && !details.trim()) throw new Error('Record has no title or details')
+
+  const tags = Array.isArray(raw.tags)
+    ? raw.tags
+    : String(raw.tags ?? '').split(/[;,]/)
+  const priority = String(raw.priority || 'medium').trim().toLowerCase()
+  if (!PRIORITIES.includes(priority)) throw new Error(`Unknown priority "${raw.priority}"`)
+
+  const note = {
+    title,
+    details,
+    tags: normalizeTags(tags),
+    priority
+  }
+  if (raw.status) note.status = String(raw.status).trim().toLowerCase()
+  const checklist = normalizeChecklist(raw.checklist)
+  if (checklist.length) note.checklist = checklist
+  const dueDate = String(raw.dueDate ?? raw.due ?? '').trim()
+  if (dueDate) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) throw new Error(`Invalid due date "${dueDate}"`)
+    note.dueDate = dueDate
+  }
+  const remindAt = parseTime(raw.remindAt ?? raw.remind)
+  if (remindAt) note.remindAt = remindAt
+  const createdAt = parseTime(raw.createdAt ?? raw.created)
+  if (createdAt) note.createdAt = createdAt
+  return { sourceId: raw.id ? String(raw.id) : undefined, note }
+}
+
+// Wrap a raw record as { label, sourceId, note, attachments, error }
+function toRecord(raw, label, attachments = []) {
+  try {
+    const { sourceId, note } = normalizeImportedNote(raw)
+    return { label, sourceId, note, attachments }
+  } catch (error) {
+    return { label, attachments: [], error: error.message }
+  }
+}
+
+function recordsFromJson(data) {
+  // Our own bundle
+  if (data && Array.isArray(data.notes)) {
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`This file was exported by a newer version (v${data.version}) of the app`)
+    }
+    const files = data.attachments || []
+    return {
+      format: 'JSON bundle',
+      records: data.notes.map((raw, i) => toRecord(
+        raw,
+        raw?.title || `Note ${i + 1}`,
+        files
+          .filter(f => f.noteId && f.noteId === raw?.id)
+          .map(f => ({ name: f.name, type: f.type, data: base64ToBytes(f.data || '') }))
+      ))
+    }
+  }
+
+  // Dexie Cloud export: { data: { [realm or user]: { notes: { [id]: note } } } }
+  if (data && data.data && typeof data.data === 'object') {
+    const records = []
+    for (const [realm, tables] of Object.entries(data.data)) {
+      for (const [id, raw] of Object.entries(tables?.notes || {})) {
+        if (raw?.type && raw.type !== 'note') continue
+        records.push(toRecord({ ...raw, id }, `${raw?.title || id} (${realm})`))
+      }
+    }
+    return { format: 'Dexie Cloud export', records }
+  }
+
+  // A bare array of notes
+  if (Array.isArray(data)) {
+    return { format: 'JSON', records: data.map((raw, i) => toRecord(raw, raw?.title || `Note ${i + 1}`)) }
+  }
+
+  throw new Error('Unrecognized JSON: expected a card export or a Dexie Cloud export')
+}
+
+function recordFromMarkdown(name, text, attachments = []) {
+  try {
+    const { fields, body } = parseMarkdown(text)
+    const title = fields.title || name.replace(/^.*\//, '').replace(/\.md$/i, '')
+    return toRecord({ ...fields, title, details: body }, name, attachments)
+  } catch (error) {
+    return { label: name, attachments: [], error: error.message }
+  }
+}
+
+async function recordsFromZip(buffer) {
+  const files = await readZip(buffer)
+  const markdown = files.filter(f => /\.md$/i.test(f.name) && !f.name.startsWith('attachments/'))
+  if (markdown.length === 0) throw new Error('The zip has no Markdown files')
+  return {
+    format: 'Markdown zip',
+    records: markdown.map(file => {
+      const slug = file.name.replace(/\.md$/i, '')
+      const prefix = `attachments/${slug}/`
+      const attachments = files
+        .filter(f => f.name.startsWith(prefix))
+        .map(f => ({ name: f.name.slice(prefix.length), data: f.data }))
+      return recordFromMarkdown(file.name, decoder.decode(file.data), attachments)
+    })
+  }
+}
+
+function recordsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text)
+  if (!header) throw new Error('The CSV file is empty')
+  const columns = header.map(h => h.trim().toLowerCase())
+  if (!columns.includes('title') && !columns.includes('details')) {
+    throw new Error('The CSV needs a "title" or "details" column')
+  }
+  const pick = (row, name) => {
+    const index = columns.indexOf(name.toLowerCase())
+    return index === -1 ? undefined : row[index]
+  }
+  return {
+    format: 'CSV',
+    records: rows.map((row, i) => toRecord({
+      id: pick(row, 'id'),
+      title: pick(row, 'title'),
+      details: pick(row, 'details'),
+      tags: pick(row, 'tags'),
+      priority: pick(row, 'priority'),
+      status: pick(row, 'status'),
+      dueDate: pick(row, 'dueDate'),
+      remindAt: pick(row, 'remindAt'),
+      createdAt: pick(row, 'createdAt')
+    }, `Row ${i + 2}${pick(row, 'title') ? `: ${pick(row, 'title')}` : ''}`))
+  }
+}
+
+// Read an import file into { format, records }
+export async function parseImportFile(file) {
+  const name = file.name.toLowerCase()
+  if (name.endsWith('.zip')) return recordsFromZip(await file.arrayBuffer())
+  const text = await file.text()
+  if (name.endsWith('.csv')) return recordsFromCsv(text)
+  if (name.endsWith('.md') || name.endsWith('.markdown')) {
+    return { format: 'Markdown', records: [recordFromMarkdown(file.name, text)] }
+  }
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Unsupported file: use .json, .zip, .md or .csv')
+  }
+  return recordsFromJson(data)
+}
+
+// Key for spotting the same card in two places
+export function noteFingerprint(note) {
+  return `${(note.title || '').trim().toLowerCase()}\n${(note.details || '').trim()}`
+}
+
+// Turn imported attachment bytes into File objects for attachmentHelpers
+export function toFiles(attachments = []) {
+  return attachments.map(a => new File([a.data], a.name, { type: a.type || '' }))
+}
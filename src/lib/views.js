@@ -0,0 +1,150 @@
+import { isTagOrChild } from './tags.js'
+import { fromDateKey } from './due.js'
+import { addDays } from './calendar.js'
+import { hasOpenItems } from './checklist.js'
+
+// Filtering, sorting and grouping for the card grid. A view is a plain
+// object so it can be saved to the `views` table and synced as-is.
+
+export const DEFAULT_VIEW = {
+  search: '',
+  filters: {
+    tags: [],
+    priority: 'all',
+    owner: 'all',
+    realm: 'all',
+    checklist: 'all',
+    from: '',
+    to: ''
+  },
+  sort: 'relevance',
+  direction: 'desc',
+  group: 'none',
+  layout: 'grid',
+  boardBy: 'status'
+}
+
+export const SORT_OPTIONS = {
+  relevance: '⭐ BEST MATCH',
+  created: '🕒 CREATED',
+  updated: '✏️ UPDATED',
+  due: '📅 DUE DATE',
+  priority: '🔥 PRIORITY',
+  title: '🔤 TITLE'
+}
+
+export const GROUP_OPTIONS = {
+  none: '▦ NO GROUPS',
+  priority: '🔥 BY PRIORITY',
+  tag: '🏷️ BY TAG'
+}
+
+export const LAYOUT_OPTIONS = {
+  grid: '▦ GRID',
+  board: '📋 BOARD',
+  calendar: '📅 CALENDAR',
+  timeline: '📈 TIMELINE',
+  graph: '🕸️ GRAPH'
+}
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 }
+const PRIORITY_GROUPS = ['high', 'medium', 'low']
+
+// Fill in anything missing from an older or partial saved view
+export function normalizeView(view = {}) {
+  return {
+    ...DEFAULT_VIEW,
+    ...view,
+    filters: { ...DEFAULT_VIEW.filters, ...(view.filters || {}) }
+  }
+}
+
+// Number of filters that differ from the defaults
+export function countActiveFilters(filters = {}) {
+  return Object.entries(DEFAULT_VIEW.filters).filter(([key, value]) =>
+    JSON.stringify(filters[key] ?? value) !== JSON.stringify(value)
+  ).length
+}
+
+// `isPersonalRealm` decides what the "personal" realm filter matches
+export function applyFilters(notes, filters, { isPersonalRealm = realmId => !realmId } = {}) {
+  const { tags, priority, owner, realm, checklist, from, to } = { ...DEFAULT_VIEW.filters, ...filters }
+  // Bounds are local days, "to" included
+  const fromTime = from ? fromDateKey(from).getTime() : null
+  const toTime = to ? addDays(fromDateKey(to), 1).getTime() : null
+
+  return notes.filter(note => {
+    if (tags.length > 0 && !tags.every(tag => (note.tags || []).some(t => isTagOrChild(t, tag)))) return false
+    if (priority !== 'all' && (note.priority || 'medium') !== priority) return false
+    if (owner !== 'all' && note.owner !== owner) return false
+    if (realm === 'personal' && !isPersonalRealm(note.realmId)) return false
+    if (realm !== 'all' && realm !== 'personal' && note.realmId !== realm) return false
+    if (checklist === 'open' && !hasOpenItems(note)) return false
+    if (checklist === 'done' && ((note.checklist || []).length === 0 || hasOpenItems(note))) return false
+    if (fromTime !== null && (note.createdAt || 0) < fromTime) return false
+    if (toTime !== null && (note.createdAt || 0) >= toTime) return false
+    return true
+  })
+}
+
+// Sort a copy of the notes. 'relevance' keeps the incoming order, which is
+// search rank while searching and newest first otherwise. Cards without a
+// due date go last when sorting by due date, in either direction.
+export function sortNotes(notes, sort = 'relevance', direction = 'desc') {
+  if (sort === 'relevance') return notes
+  if (sort === 'due') {
+    const dated = notes.filter(note => note.dueDate)
+    const undated = notes.filter(note => !note.dueDate)
+    return [...sortNotes(dated, 'dueTime', direction), ...undated]
+  }
+  const sign = direction === 'asc' ? 1 : -1
+  const value = {
+    dueTime: note => fromDateKey(note.dueDate).getTime(),
+    created: note => note.createdAt || 0,
+    updated: note => note.updatedAt || note.createdAt || 0,
+    priority: note => PRIORITY_RANK[note.priority] || PRIORITY_RANK.medium,
+    title: note => (note.title || '').toLowerCase()
+  }[sort]
+  if (!value) return notes
+
+  return [...notes].sort((a, b) => {
+    const x = value(a)
+    const y = value(b)
+    const order = typeof x === 'string' ? x.localeCompare(y) : x - y
+    return order * sign || (b.createdAt || 0) - (a.createdAt || 0)
+  })
+}
+
+// Split notes into [{ key, label, notes }]. With tag grouping a note shows
+// up under each of its tags.
+export function groupNotes(notes, group = 'none') {
+  if (group === 'priority') {
+    return PRIORITY_GROUPS
+      .map(priority => ({
+        key: priority,
+        label: priority.toUpperCase(),
+        notes: notes.filter(note => (note.priority || 'medium') === priority)
+      }))
+      .filter(section => section.notes.length > 0)
+  }
+
+  if (group === 'tag') {
+    const byTag = new Map()
+    const untagged = []
+    for (const note of notes) {
+      const tags = note.tags || []
+      if (tags.length === 0) untagged.push(note)
+      tags.forEach(tag => {
+        if (!byTag.has(tag)) byTag.set(tag, [])
+        byTag.get(tag).push(note)
+      })
+    }
+    const sections = [...byTag.keys()]
+      .sort((a, b) => a.localeCompare(b))
+      .map(tag => ({ key: `tag:${tag}`, label: `#${tag}`, notes: byTag.get(tag) }))
+    if (untagged.length > 0) sections.push({ key: 'untagged', label: 'NO TAGS', notes: untagged })
+    return sections
+  }
+
+  return [{ key: 'all', label: '', notes }]
+}
@@ -0,0 +1,121 @@
+// Minimal zip archives for exports: writes stored (uncompressed) entries and
+// reads stored or deflated ones, so archives from other tools open as well
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// DOS date and time fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+// Build a zip Blob from [{ name, data }] where data is a string or bytes
+export function createZip(files, modified = new Date()) {
+  const { time, date } = dosDateTime(modified)
+  const parts = []
+  const central = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(8, 0, true) // stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    parts.push(local, name, data)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true)
+    entry.setUint16(4, 20, true)
+    entry.setUint16(6, 20, true)
+    entry.setUint16(8, 0x0800, true)
+    entry.setUint16(10, 0, true)
+    entry.setUint16(12, time, true)
+    entry.setUint16(14, date, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, data.length, true)
+    entry.setUint16(28, name.length, true)
+    entry.setUint32(42, offset, true)
+    central.push(entry, name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// Read a zip into [{ name, data: Uint8Array }], folders left out
+export async function readZip(buffer) {
+  const view = new DataView(buffer)
+  let endOffset = -1
+  for (let i = buffer.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i
+      break
+    }
+  }
+  if (endOffset === -1) throw new Error('Not a zip file')
+
+  const count = view.getUint16(endOffset + 10, true)
+  let pointer = view.getUint32(endOffset + 16, true)
+  const files = []
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Damaged zip file')
+    const method = view.getUint16(pointer + 10, true)
+    const compressedSize = view.getUint32(pointer + 20, true)
+    const nameLength = view.getUint16(pointer + 28, true)
+    const extraLength = view.getUint16(pointer + 30, true)
+    const commentLength = view.getUint16(pointer + 32, true)
+    const localOffset = view.getUint32(pointer + 42, true)
+    const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength))
+    pointer += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/')) continue
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+    const raw = new Uint8Array(buffer, dataStart, compressedSize)
+    if (method === 0) files.push({ name, data: raw.slice() })
+    else if (method === 8) files.push({ name, data: await inflate(raw) })
+    else throw new Error(`Unsupported compression in ${name}`)
+  }
+  return files
+}
@@ -0,0 +1,18 @@
+// Service worker: Dexie Cloud background sync (picked up through
+// `tryUseServiceWorker`) plus clicks on reminder notifications
+import 'dexie-cloud-addon/service-worker'
+
+// Focus the app, or open it, on the card the notification is about
+self.addEventListener('notificationclick', event => {
+  event.notification.close()
+  const noteId = event.notification.data?.noteId
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+    if (windows.length > 0) {
+      await windows[0].focus()
+      windows[0].postMessage({ type: 'open-note', noteId })
+    } else {
+      await self.clients.openWindow(noteId ? `/?note=${encodeURIComponent(noteId)}` : '/')
+    }
+  })())
+})
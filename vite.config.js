@@ -9,9 +9,25 @@ export default defineConfig({
       "@": path.resolve(__dirname, "./src"),
     },
   },
+  build: {
+    rollupOptions: {
+      // The service worker is built as its own entry and served from the root
+      input: {
+        main: path.resolve(__dirname, "index.html"),
+        sw: path.resolve(__dirname, "src/sw.js"),
+      },
+      output: {
+        entryFileNames: (chunk) => chunk.name === "sw" ? "sw.js" : "assets/[name]-[hash].js",
+      },
+    },
+  },
   server: {
     port: 3001,
     host: '0.0.0.0',
-    open: true
+    open: true,
+    // Lets the dev service worker at /src/sw.js control the whole app
+    headers: {
+      'Service-Worker-Allowed': '/'
+    }
   }
 })
\ No newline at end of file